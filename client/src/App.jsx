@@ -1,7 +1,10 @@
 import { TopPanel } from './components/controls/TopPanel';
 import { Grid } from './components/grid/Grid';
+import { useAudioPrecache } from './hooks/useAudioPrecache';
 
 export default function App() {
+    useAudioPrecache();
+
     return (
         <>
             <div className="app">
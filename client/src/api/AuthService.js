@@ -1,4 +1,8 @@
-class AuthApiError extends Error {
+/**
+ * @typedef {{ id: string, email: string, name: string }} User
+ */
+
+export class AuthApiError extends Error {
     /**
      * @param {string} message 
      * @param {string} code 
@@ -29,7 +33,7 @@ export class AuthService {
      * @param {string} email 
      * @param {string} name 
      * @param {string} password 
-     * @returns {Promise<any>}
+     * @returns {Promise<User>}
      */
     async register(email, name, password) {
         const response = await fetch('/api/auth/register', {
@@ -45,13 +49,13 @@ export class AuthService {
         }
 
         const data = await response.json();
-        return data;
+        return data.user;
     }
 
     /**
      * @param {string} email 
      * @param {string} password 
-     * @returns {Promise<any>}
+     * @returns {Promise<User>}
      */
     async login(email, password) {
         const response = await fetch('/api/auth/login', {
@@ -67,7 +71,7 @@ export class AuthService {
         }
 
         const data = await response.json();
-        return data;
+        return data.user;
     }
 
     async logout() {
@@ -78,11 +82,13 @@ export class AuthService {
     }
 
     /**
-     * @returns {Promise<any>}
+     * @returns {Promise<User | null>} null if not logged in. Rejects with a NETWORK_ERROR AuthApiError while offline.
      */
     async getCurrentUser() {
         const response = await fetch('/api/auth/me', {
             credentials: 'include',
+        }).catch(() => {
+            throw new AuthApiError('Network error', 'NETWORK_ERROR', 0);
         });
 
         if (!response.ok) {
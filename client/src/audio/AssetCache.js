@@ -0,0 +1,95 @@
+import { AUDIO_CONFIG } from '../constants';
+
+export const ASSET_CACHE_NAME = `${AUDIO_CONFIG.cache.NAME_PREFIX}${AUDIO_CONFIG.cache.VERSION}`;
+
+/**
+ * AssetCache is a utility class for SampleLoader.
+ * It keeps fetched audio files in Cache Storage, so they load from disk on later visits instead of the network.
+ * The cache is named by AUDIO_CONFIG.cache.VERSION: bumping it when audio files change starts a new cache,
+ * and the old versions' caches are deleted. The service worker caches audio into the same cache, see /src/offline/service-worker.js.
+ * Browsers without Cache Storage (e.g. pages not served over HTTPS) fetch from the network every time.
+ */
+export class AssetCache {
+    constructor() {
+        this.name = ASSET_CACHE_NAME;
+        /** @type {Promise<Cache | null> | null} */
+        this.cachePromise = null; // See open()
+    }
+
+    /**
+     * @returns {boolean} whether the browser supports Cache Storage
+     */
+    static isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    /**
+     * Open this version's cache once, deleting older versions'.
+     * @returns {Promise<Cache | null>} null if Cache Storage is unsupported or unavailable, e.g. in some private modes
+     */
+    open() {
+        if (!this.cachePromise) {
+            this.cachePromise = AssetCache.isSupported()
+                ? this.deleteStaleCaches()
+                    .then(() => caches.open(this.name))
+                    .catch(error => {
+                        console.warn('AssetCache: Cache Storage unavailable, loading audio from the network.', error);
+                        return null;
+                    })
+                : Promise.resolve(null);
+        }
+        return this.cachePromise;
+    }
+
+    async deleteStaleCaches() {
+        const names = await caches.keys();
+        const staleNames = names.filter(name => name.startsWith(AUDIO_CONFIG.cache.NAME_PREFIX) && name !== this.name);
+        await Promise.all(staleNames.map(name => caches.delete(name)));
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise<Response | undefined>} the cached file, if any
+     */
+    async match(url) {
+        const cache = await this.open();
+        return cache?.match(url);
+    }
+
+    /**
+     * Fetch a file into the cache without reading it, e.g. to have audio ready to play offline.
+     * Does nothing if it's cached already, or without Cache Storage.
+     * @param {string} url
+     * @returns {Promise<void>}
+     */
+    async add(url) {
+        const cache = await this.open();
+        if (!cache || await cache.match(url)) return;
+        await cache.add(url);
+    }
+
+    /**
+     * Get a file from the cache, or fetch and cache it.
+     * Failing to cache doesn't fail the fetch, e.g. when storage is full.
+     * @param {string} url
+     * @returns {Promise<Response>}
+     */
+    async fetch(url) {
+        const cache = await this.open();
+        const cachedResponse = await cache?.match(url);
+        if (cachedResponse) return cachedResponse;
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: ${response.statusText}`);
+        }
+        if (cache) {
+            try {
+                await cache.put(url, response.clone());
+            } catch (error) {
+                console.warn(`AssetCache: failed to cache ${url}.`, error);
+            }
+        }
+        return response;
+    }
+}
@@ -1,8 +1,77 @@
 import { SampleLoader } from "./SampleLoader";
-import { AUDIO_CONFIG } from "../constants";
-import { clampVolume, sliderToGain } from "./audio-utils";
+import { BackingBand } from "./BackingBand";
+import { BufferedBackingTrack } from "./BufferedBackingTrack";
+import { EffectsChain } from "./EffectsChain";
+import { AUDIO_CONFIG, NOTE_EVENTS } from "../constants";
+import {
+    BEND_SMOOTHING, DEFAULT_ARTICULATION, DEFAULT_INSTRUMENT, DEFAULT_VELOCITY, LEGATO_GLIDE_TIME, MAX_BEND_CENTS,
+    MAX_REPITCH_SEMITONES, POLYPHONY_DEFAULTS, STACCATO_RELEASE, STEAL_RELEASE, getSampleMidiNumbers, getVelocityLayers,
+    isInPlayableRange,
+} from "./instrument-data";
+import { EFFECTS_DEFAULTS, LIMITER } from "./effects-data";
+import { clampVolume, findNearestSample, semitonesToPlaybackRate, sliderToGain, velocityToGain } from "./audio-utils";
+import { Heartbeat } from "../timing/Heartbeat";
+import { dispatchNoteEvent } from "../utils";
+import { getBeatDuration, getFormMeasureStartBeat, wrapLoopTime } from "../timing/progression-data";
 
 /** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../constants').BackingSource} BackingSource */
+/** @typedef {import('./band-data').BandPart} BandPart */
+/** @typedef {import('../theory/key-data').MusicalKey} MusicalKey */
+/** @typedef {import('./instrument-data').InstrumentKey} InstrumentKey */
+/** @typedef {import('./instrument-data').Articulation} Articulation */
+/** @typedef {import('./instrument-data').Envelope} Envelope */
+/** @typedef {import('./instrument-data').PolyphonySettings} PolyphonySettings */
+/** @typedef {import('./instrument-data').VoiceStealing} VoiceStealing */
+/** @typedef {import('./effects-data').EffectsSettings} EffectsSettings */
+/** @typedef {import('./effects-data').ReverbImpulse} ReverbImpulse */
+
+/**
+ * A sounding note.
+ * @typedef {{
+ *   midiNumber: number,
+ *   sampleMidiNumber: number,
+ *   sourceNode: AudioBufferSourceNode,
+ *   gainNode: GainNode,
+ *   envelope: Envelope,
+ *   startedAt: number,
+ *   bend: number,
+ * }} Voice
+ * sampleMidiNumber is the note of the sample played, repitched to midiNumber.
+ * envelope is the instrument's when the note started, kept through switching instruments.
+ * startedAt is the AudioContext time the sample started, kept through legato glides.
+ * bend is in cents from midiNumber, see bendNote().
+ */
+/** @typedef {import('../timing/progression-data').LoopRegion} LoopRegion */
+/** @typedef {import('../timing/progression-data').LoopTimes} LoopTimes */
+
+/**
+ * @typedef {{ tempo: number, contextTime: number }} TempoChange
+ * A backing track playback rate to change to at an AudioContext time, see setTempo().
+ */
+
+/**
+ * @typedef {{ loaded: number, total: number }} SampleLoadProgress
+ * How many of the samples loadSamples() is loading have loaded or failed, of all of them.
+ */
+
+const LOOP_CHECK_INTERVAL_MS = 10; // How often the backing track element's playhead is checked against a loop's end
+
+const CLICK_FREQUENCIES = /** @type {const} */ ({ ACCENT: 1760, BEAT: 1320 }); // Hz
+const CLICK_DURATION = 0.05; // seconds
+
+/**
+ * @param {Map<string, Voice>} voices - not empty
+ * @param {VoiceStealing} stealing
+ * @returns {[string, Voice]} inputID and voice to steal
+ */
+function findVoiceToSteal(voices, stealing) {
+    const entries = Array.from(voices.entries());
+    const measure = stealing === 'quietest'
+        ? (/** @type {Voice} */ voice) => voice.gainNode.gain.value
+        : (/** @type {Voice} */ voice) => voice.startedAt;
+    return entries.reduce((best, entry) => measure(entry[1]) < measure(best[1]) ? entry : best);
+}
 
 /**
  * AudioEngine manages audio playback and Web Audio API interactions.
@@ -15,31 +84,82 @@ export class AudioEngine {
     constructor(backingTrack) {
         this.audioContext = null;
 
-        this.backingTrack = backingTrack;   // TODO: make user configurable
+        this.backingTrack = backingTrack;   // See setBackingTrack()
+        /** @type {MusicalKey} */
+        this.key = 'C';                     // Key of backing track render and samples, see setKey()
+        this.tempo = 1;                     // Backing track playback rate relative to its recorded tempo, see setTempo()
+        /** @type {InstrumentKey} */
+        this.instrument = DEFAULT_INSTRUMENT; // Whose samples notes play, see setInstrument()
+        /** @type {Articulation} */
+        this.articulation = DEFAULT_ARTICULATION; // See setArticulation()
         this.sampleLoader = null;
 
         // Sample-related elements
-        this.samples = new Map();           // Stores decoded AudioBuffers: MIDI Number -> decoded AudioBuffer
-        this.activeSources = new Map();     // Keeps track of actively playing samples: uniqueID -> { midiNumber, sourceNode, gainNode }
+        /** @type {{ minVelocity: number, samples: Map<number, AudioBuffer> }[]} */
+        this.sampleLayers = [];             // Stores decoded AudioBuffers per velocity layer, softest first: MIDI Number -> decoded AudioBuffer
+        /** @type {Map<string, Voice>} */
+        this.activeSources = new Map();     // Keeps track of actively playing samples: uniqueID -> voice
+        /** @type {Map<string, Voice>} */
+        this.releasingSources = new Map();  // Released samples still fading out, for legato to glide from: uniqueID -> voice
+        /** @type {PolyphonySettings} */
+        this.polyphony = { ...POLYPHONY_DEFAULTS }; // See setPolyphony()
+        /** @type {Set<string>} */
+        this.stolenInputIDs = new Set();    // Held notes whose voice was stolen, their 'noteend' already dispatched
 
         // Backing track elements
         this.backingTrackElement = null;    // HTMLAudioElement for backing track
+        /** @type {string | null} */
+        this.backingTrackObjectURL = null;  // The element's source when loaded from the asset cache, revoked on teardown
         this.backingTrackSource = null;     // Web Audio API MediaElementAudioSourceNode for backing track
         this.pausedAt = null;               // Time where backing track was paused, for resuming
+        /** @type {BackingSource} */
+        this.backingSource = 'recording';   // See setBackingSource()
+        /** @type {BackingBand | BufferedBackingTrack | null} */
+        this.backingTrackPlayer = null;     // Clocked by the AudioContext when backingSource is 'decoded' or 'band'
+        /** @type {{ url: string, buffer: AudioBuffer } | null} */
+        this.decodedBackingTrack = null;    // Kept through interruption recovery, AudioBuffers outlive their AudioContext
+        /** @type {Set<BandPart>} */
+        this.mutedBandParts = new Set();
+        /** @type {number | null} */
+        this.countInEndsAt = null;          // AudioContext time the backing track element starts after a generated count-in
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this.countInTimeoutID = null;
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        this.tempoChangeTimeoutID = null;   // Changes the backing track element's rate at a time, see setTempo()
+        /** @type {LoopRegion | null} */
+        this.loopRegion = null;             // See setLoopRegion()
+        this.loopHeartbeat = new Heartbeat(() => this.checkBackingTrackLoop(), LOOP_CHECK_INTERVAL_MS);
 
         // Volume state - from UI sliders, saved when muted
         this.backingTrackDesiredVolume = 0; // Holds slider value
         this.backingTrackMuted = false;
         this.samplesDesiredVolume = 0;      // Holds slider value
         this.samplesMuted = false;
+        this.metronomeDesiredVolume = 0;    // Holds slider value
+        this.metronomeMuted = false;
+        this.metronomeInRecordings = false; // See setMetronomeInRecordings()
+
+        // Effects state - from preferences
+        /** @type {EffectsSettings} */
+        this.effectsSettings = { ...EFFECTS_DEFAULTS }; // See setEffectsSettings()
+        /** @type {Map<ReverbImpulse, AudioBuffer>} */
+        this.impulseResponses = new Map();  // Kept through interruption recovery, AudioBuffers outlive their AudioContext
 
         // Gain nodes
         this.mainGain = null;
         this.samplesGain = null;
         this.backingTrackGain = null;
+        /** @type {GainNode | null} */
+        this.metronomeGain = null;
+        /** @type {EffectsChain | null} */
+        this.effectsChain = null;           // Between samplesGain and mainGain
+        /** @type {DynamicsCompressorNode | null} */
+        this.limiter = null;                // After mainGain, the master output recordings capture
 
         // Callback when backing track ends
         this.onEnded = null;
+        /** @type {((progress: SampleLoadProgress) => void) | null} */
+        this.onSamplesProgress = null;      // See setOnSamplesProgress()
         this.handleBackingTrackEnded = () => {
             if (this.onEnded) this.onEnded();
         };
@@ -61,11 +181,11 @@ export class AudioEngine {
         if (!this.audioContext) this.createContext();
         if (!this.audioContext) throw new Error('AudioEngine failed to create AudioContext');
         if (!this.mainGain || !this.samplesGain || !this.backingTrackGain) this.setupGainNodes();
-        if (!this.backingTrackElement || !this.backingTrackSource) {
-            this.backingTrackCanPlayThroughPromise = this.setupBackingTrack(this.pausedAt ?? 0);
-        }
         if (!this.sampleLoader) this.sampleLoader = new SampleLoader(this.audioContext);
         else this.sampleLoader.updateAudioContext(this.audioContext);
+        if (!this.isBackingTrackSetUp()) {
+            this.backingTrackCanPlayThroughPromise = this.setupBackingTrack(this.pausedAt ?? 0);
+        }
         if (!this.samplesLoaded) this.samplesLoadingPromise = this.loadSamples();
 
         await this.samplesLoadingPromise; // Wait for samples to finish loading
@@ -88,6 +208,7 @@ export class AudioEngine {
         this.clearGainNodes();
         await this.teardownContext();
         this.activeSources.clear();
+        this.releasingSources.clear();
         // Keep samples! samplesLoaded can stay true.
         this.backingTrackCanPlayThrough = false;
         this.backingTrackCanPlayThroughPromise = null;
@@ -118,31 +239,65 @@ export class AudioEngine {
             throw new Error('AudioContext needs to be initialized before setting up gain nodes. Call createContext() first.');
         }
 
+        this.limiter = this.audioContext.createDynamicsCompressor();
+        for (const [param, value] of Object.entries(LIMITER)) {
+            this.limiter[/** @type {keyof typeof LIMITER} */ (param)].value = value;
+        }
+        this.limiter.connect(this.audioContext.destination);
+
         this.mainGain = this.audioContext.createGain();
         this.mainGain.gain.value = AUDIO_CONFIG.volumes.MAIN_GAIN_DEFAULT;
-        this.mainGain.connect(this.audioContext.destination);
+        this.mainGain.connect(this.limiter);
+
+        this.effectsChain = new EffectsChain(this.audioContext, this.mainGain, this.impulseResponses, this.getBpm());
+        this.effectsChain.setSettings(this.effectsSettings);
 
         this.samplesGain = this.audioContext.createGain();
         this.samplesGain.gain.value = sliderToGain(this.samplesDesiredVolume);
-        this.samplesGain.connect(this.mainGain);
+        this.samplesGain.connect(this.effectsChain.input);
         
         this.backingTrackGain = this.audioContext.createGain();
         this.backingTrackGain.gain.value = sliderToGain(this.backingTrackDesiredVolume);
         this.backingTrackGain.connect(this.mainGain);
+
+        this.metronomeGain = this.audioContext.createGain();
+        this.metronomeGain.gain.value = this.metronomeMuted ? 0 : sliderToGain(this.metronomeDesiredVolume);
+        this.connectMetronomeGain();
     }
 
     clearGainNodes() {
         this.mainGain = null;
         this.samplesGain = null;
         this.backingTrackGain = null;
+        this.metronomeGain = null;
+        this.effectsChain = null;
+        this.limiter = null;
+    }
+
+    /**
+     * Route the metronome into the main gain, which recordings capture, or straight to the speakers past the limiter.
+     */
+    connectMetronomeGain() {
+        if (!this.audioContext || !this.mainGain || !this.metronomeGain) return;
+        this.metronomeGain.disconnect();
+        this.metronomeGain.connect(this.metronomeInRecordings ? this.mainGain : this.audioContext.destination);
     }
 
     clearPausedAt() {
         this.pausedAt = null;
     }
 
+    /**
+     * @returns {boolean} whether the backing track element or band for the current backing source exists
+     */
+    isBackingTrackSetUp() {
+        if (this.backingSource !== 'recording') return this.backingTrackPlayer !== null;
+        return this.backingTrackElement !== null && this.backingTrackSource !== null;
+    }
+
     /**
      * Set up backing track using MediaElementAudioSourceNode to use HTML5 Audio element with Web Audio API's timing.
+     * Sets up the decoded track or synthesized band instead if that is the backing source.
      * 
      * @param {number} startPosition - Optional start position in seconds for backing track (default 0).
      * @returns {Promise<void>} Resolves when backing track is ready to play through.
@@ -154,11 +309,26 @@ export class AudioEngine {
         if (!this.backingTrackGain) {
             throw new Error('Gain nodes need to be initialized before setting up backing track. Call setupGainNodes() after createContext() first.');
         }
+        if (this.backingSource === 'band') {
+            this.setupBackingBand(startPosition);
+            return;
+        }
+        if (this.backingSource === 'decoded') {
+            await this.setupDecodedBackingTrack(startPosition);
+            return;
+        }
+
+        if (!this.sampleLoader) this.sampleLoader = new SampleLoader(this.audioContext);
+        else this.sampleLoader.updateAudioContext(this.audioContext);
 
         try {
             // Create HTML5 Audio element to hold backing track at specified start position
-            this.backingTrackElement = new Audio(AUDIO_CONFIG.getBackingTrackPath(this.backingTrack));
+            const source = await this.sampleLoader.getBackingTrackSource(AUDIO_CONFIG.getBackingTrackPath(this.backingTrack, this.key));
+            if (source.startsWith('blob:')) this.backingTrackObjectURL = source;
+            this.backingTrackElement = new Audio(source);
             this.backingTrackElement.loop = false;
+            this.backingTrackElement.preservesPitch = true; // Time-stretch without changing key
+            this.backingTrackElement.defaultPlaybackRate = this.tempo; // Survives load()
             const backingTrackElement = this.backingTrackElement; // For event listener closure
 
             // Create and connect Web Audio API nodes: source ->  gain (already connected to destination)
@@ -198,26 +368,329 @@ export class AudioEngine {
         }
     }
 
+    /**
+     * Decode the backing track through SampleLoader and play it from an AudioBufferSourceNode,
+     * so its position comes from audioContext.currentTime rather than HTMLAudioElement.currentTime.
+     * @param {number} startPosition - in seconds, like setupBackingTrack()
+     * @returns {Promise<void>} Resolves when the backing track is decoded.
+     */
+    async setupDecodedBackingTrack(startPosition = 0) {
+        const audioContext = /** @type {AudioContext} */ (this.audioContext);
+        const backingTrackGain = /** @type {GainNode} */ (this.backingTrackGain);
+        if (!this.sampleLoader) this.sampleLoader = new SampleLoader(audioContext);
+        else this.sampleLoader.updateAudioContext(audioContext);
+
+        try {
+            const url = AUDIO_CONFIG.getBackingTrackPath(this.backingTrack, this.key);
+            if (this.decodedBackingTrack?.url !== url) {
+                this.decodedBackingTrack = null; // Release the previous track before decoding another
+                this.decodedBackingTrack = { url, buffer: await this.sampleLoader.loadBackingTrack(url) };
+            }
+
+            const player = new BufferedBackingTrack(audioContext, this.decodedBackingTrack.buffer, backingTrackGain);
+            player.setTempo(this.tempo);
+            await player.restretch(); // Start in tune at a tempo set while stopped
+            player.onEnded = this.handleBackingTrackEnded;
+            player.setCurrentTime(startPosition);
+            player.setLoop(this.getLoopTimes());
+            this.backingTrackPlayer = player;
+            this.backingTrackCanPlayThrough = true;
+        } catch (error) {
+            console.error('AudioEngine: Error decoding backing track:', error);
+            const message = error instanceof Error ? error.message : String(error);
+            throw new Error(`AudioEngine failed to set up backing track: ${message}`);
+        }
+    }
+
+    /**
+     * Set up the synthesized band, playing into the backing track gain node. Nothing needs loading.
+     * @param {number} startPosition - in seconds of the recording, like setupBackingTrack()
+     */
+    setupBackingBand(startPosition = 0) {
+        const audioContext = /** @type {AudioContext} */ (this.audioContext);
+        const backingTrackGain = /** @type {GainNode} */ (this.backingTrackGain);
+
+        const band = new BackingBand(audioContext, backingTrackGain);
+        band.setTrack(this.backingTrack, this.key);
+        band.setTempo(this.tempo);
+        for (const part of this.mutedBandParts) {
+            band.setPartMuted(part, true);
+        }
+        band.onEnded = this.handleBackingTrackEnded;
+        band.setCurrentTime(startPosition);
+        band.setLoop(this.getLoopTimes());
+        this.backingTrackPlayer = band;
+        this.backingTrackCanPlayThrough = true;
+    }
+
     /**
      * Tears down backing track, saves current position for later recovery.
      * @return {number|null} current position of backing track in seconds, or null if backing track not initialized
      */
     teardownBackingTrack() {
+        if (this.backingTrackPlayer) {
+            this.backingTrackPlayer.dispose();
+            this.pausedAt = this.backingTrackPlayer.getCurrentTime();
+            this.backingTrackPlayer = null;
+            return this.pausedAt;
+        }
+        this.cancelCountIn();
+        this.loopHeartbeat.stop();
         this.backingTrackElement?.pause();
         this.pausedAt = this.backingTrackElement?.currentTime ?? null;
         this.backingTrackElement?.removeEventListener('ended', this.handleBackingTrackEnded);
         this.backingTrackElement = null;
         this.backingTrackSource = null;
+        if (this.backingTrackObjectURL) {
+            URL.revokeObjectURL(this.backingTrackObjectURL);
+            this.backingTrackObjectURL = null;
+        }
 
         return this.pausedAt;
     }
 
     /**
-     * Load all samples.
+     * Switch to another backing track, and the samples its scale rows need.
+     * Only call while stopped: the backing track is torn down, and both reload on the next initialize().
+     * @param {BackingTrackKey} backingTrack
+     */
+    setBackingTrack(backingTrack) {
+        if (backingTrack === this.backingTrack) return;
+        this.backingTrack = backingTrack;
+        this.effectsChain?.setBpm(this.getBpm());
+        this.unloadForReload();
+    }
+
+    /**
+     * Switch between streaming the recorded backing track, decoding it, and the synthesized band.
+     * Only call while stopped: the current one is torn down, and the new one is set up on the next initialize().
+     * @param {BackingSource} backingSource
+     */
+    setBackingSource(backingSource) {
+        if (backingSource === this.backingSource) return;
+        this.teardownBackingTrack();
+        this.backingSource = backingSource;
+        this.decodedBackingTrack = null;
+        this.pausedAt = null;
+        this.backingTrackCanPlayThrough = false;
+        this.backingTrackCanPlayThroughPromise = null;
+    }
+
+    /**
+     * Mute or unmute one part of the synthesized band. Kept for bands set up later.
+     * @param {BandPart} part
+     * @param {boolean} muted
+     */
+    setBandPartMuted(part, muted) {
+        if (muted) this.mutedBandParts.add(part);
+        else this.mutedBandParts.delete(part);
+        if (this.backingTrackPlayer instanceof BackingBand) {
+            this.backingTrackPlayer.setPartMuted(part, muted);
+        }
+    }
+
+    /**
+     * Switch the backing track render and samples to another key.
+     * Only call while stopped: the backing track is torn down, and both reload on the next initialize().
+     * @param {MusicalKey} key
+     */
+    setKey(key) {
+        if (key === this.key) return;
+        this.key = key;
+        this.unloadForReload();
+    }
+
+    /**
+     * Switch the samples notes play to another instrument. Can be called during playback:
+     * the current instrument's samples keep playing until the new ones load.
+     * Before the first initialize(), or while the AudioContext is torn down for recovery, they load on the next one.
+     * If they fail to load, switches back to the previous instrument.
+     * @param {InstrumentKey} instrument
+     * @returns {Promise<void>} Resolves when the instrument's samples are loaded, rejects if they fail to
+     */
+    async setInstrument(instrument) {
+        if (instrument === this.instrument) return;
+        const { instrument: previousInstrument, samplesLoaded: previousSamplesLoaded } = this;
+        this.instrument = instrument;
+        this.samplesLoaded = false;
+        if (!this.sampleLoader || !this.audioContext) return;
+        this.samplesLoadingPromise = this.loadSamples();
+        try {
+            await this.samplesLoadingPromise;
+        } catch (error) {
+            if (this.instrument === instrument) { // Not switched again meanwhile
+                this.instrument = previousInstrument;
+                this.samplesLoaded = previousSamplesLoaded;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Change how notes connect from the next one played. Can be called during playback.
+     * @param {Articulation} articulation
+     */
+    setArticulation(articulation) {
+        this.articulation = articulation;
+    }
+
+    /**
+     * Time-stretch the backing track, keeping its pitch. Can be called during playback.
+     * TimingEngine.setTempo() should be given the same rate, and time, so beat timing follows.
+     * @param {number} tempo - playback rate relative to the recorded tempo, e.g. 0.8 plays a 120 BPM track at 96 BPM
+     * @param {number} [contextTime] - AudioContext time to change at, e.g. a beat scheduled ahead; defaults to now
+     */
+    setTempo(tempo, contextTime) {
+        this.tempo = tempo;
+        this.effectsChain?.setBpm(this.getBpm(), contextTime);
+        this.backingTrackPlayer?.setTempo(tempo, contextTime);
+        if (this.tempoChangeTimeoutID !== null) clearTimeout(this.tempoChangeTimeoutID);
+        this.tempoChangeTimeoutID = null;
+        const backingTrackElement = this.backingTrackElement;
+        if (!backingTrackElement) return;
+
+        const setElementRate = () => {
+            backingTrackElement.defaultPlaybackRate = tempo;
+            backingTrackElement.playbackRate = tempo;
+        };
+        const delay = contextTime !== undefined && this.audioContext ? contextTime - this.audioContext.currentTime : 0;
+        if (delay <= 0) {
+            setElementRate();
+            return;
+        }
+        // An audio element can't be scheduled on the AudioContext clock, so its rate changes only as precisely as a timeout
+        this.tempoChangeTimeoutID = setTimeout(() => {
+            this.tempoChangeTimeoutID = null;
+            setElementRate();
+        }, delay * 1000);
+    }
+
+    /**
+     * @returns {number} the tempo played at, in BPM
+     */
+    getBpm() {
+        return AUDIO_CONFIG.backingTracks[this.backingTrack].bpm * this.tempo;
+    }
+
+    /**
+     * Change the samples' EQ, reverb and delay. Can be called during playback.
+     * @param {EffectsSettings} settings
+     */
+    setEffectsSettings(settings) {
+        this.effectsSettings = { ...settings };
+        this.effectsChain?.setSettings(settings);
+    }
+
+    /**
+     * Cycle the backing track through some measures of the form, from any backing source. Null to stop looping.
+     * Can be called during playback, a playhead past the loop moves to its start.
+     * TimingEngine.setLoopRegion() should be given the same region so beat timing follows.
+     * @param {LoopRegion | null} loopRegion
+     */
+    setLoopRegion(loopRegion) {
+        this.loopRegion = loopRegion;
+        this.backingTrackPlayer?.setLoop(this.getLoopTimes());
+        this.checkBackingTrackLoop();
+    }
+
+    /**
+     * @returns {LoopTimes | null} the loop region in seconds of the recording, spanning the form's first chorus
+     */
+    getLoopTimes() {
+        if (!this.loopRegion) return null;
+        return {
+            start: this.getMeasureTime(this.loopRegion.startMeasure),
+            end: this.getMeasureTime(this.loopRegion.endMeasure + 1),
+        };
+    }
+
+    /**
+     * Get where a measure of the form starts in the backing track.
+     * @param {number} measure - 1-indexed within the form
+     * @param {number} [chorus=0] - choruses of the form before it
+     * @returns {number} seconds of the recording
+     */
+    getMeasureTime(measure, chorus = 0) {
+        const track = AUDIO_CONFIG.backingTracks[this.backingTrack];
+        const beats = track.countInBeats + getFormMeasureStartBeat(track.progression, measure, chorus);
+        return track.silenceOffset + beats * getBeatDuration(track.bpm);
+    }
+
+    /**
+     * Move the backing track element back into the loop once it plays past the loop's end.
+     * The decoded track and band loop on their own (see setLoop()).
+     */
+    checkBackingTrackLoop() {
+        const loop = this.getLoopTimes();
+        const element = this.backingTrackElement;
+        if (!loop || !element || this.backingTrackPlayer) return;
+        if (element.currentTime >= loop.end) element.currentTime = wrapLoopTime(element.currentTime, loop);
+    }
+
+    /**
+     * Move the backing track playhead to the start of a measure of the form, while playing or paused.
+     * TimingEngine.resync() should follow so beat timing and chords catch up.
+     * @param {number} measure - 1-indexed within the form
+     * @param {number} [chorus=0] - choruses of the form before it (loopsCompleted)
+     */
+    seekToMeasure(measure, chorus = 0) {
+        this.seekBackingTrack(this.getMeasureTime(measure, chorus));
+    }
+
+    /**
+     * Move the backing track playhead, while playing or paused. A pending count-in is skipped,
+     * and a time past the loop region lands where playback would have cycled to.
+     * @param {number} time - seconds of the recording
+     */
+    seekBackingTrack(time) {
+        time = wrapLoopTime(Math.max(0, time), this.getLoopTimes());
+        if (this.backingTrackPlayer) {
+            this.backingTrackPlayer.setCurrentTime(time);
+            if (!this.backingTrackPlayer.isPlaying) this.pausedAt = time;
+            return;
+        }
+        if (!this.backingTrackElement) {
+            console.warn('AudioEngine: cannot seek - backing track not initialized. Call setupBackingTrack() first.');
+            return;
+        }
+        this.backingTrackElement.currentTime = time;
+        if (this.countInTimeoutID !== null) {
+            this.cancelCountIn();
+            this.backingTrackElement.play().catch(error => {
+                console.error('AudioEngine: Error starting backing track after seeking:', error);
+                this.handleBackingTrackEnded();
+            });
+            return;
+        }
+        if (this.backingTrackElement.paused) this.pausedAt = time;
+    }
+
+    /**
+     * Tear down backing track and mark samples unloaded, rewinding to the start.
+     */
+    unloadForReload() {
+        this.stopAllSamples();
+        this.teardownBackingTrack();
+        this.pausedAt = null;
+        this.backingTrackCanPlayThrough = false;
+        this.backingTrackCanPlayThroughPromise = null;
+        this.decodedBackingTrack = null;
+        this.samplesLoaded = false; // SampleLoader cache keeps notes shared between tracks and keys
+    }
+
+    /**
+     * Load all samples needed for the current backing track and key, from the current instrument's range.
+     * Notes past either end of the range load the sample at that end, and unsampled notes load none: playNote() repitches
+     * the nearest sample.
+     * Instruments sampled at several dynamics load every velocity layer.
+     * If the instrument, track or key changes meanwhile, the loaded samples are dropped for the newer load's.
+     * Reports progress to the onSamplesProgress callback, see setOnSamplesProgress().
      * 
      * @returns {Promise<void>} Resolves when all samples are loaded.
      */
     async loadSamples() {
+        const { instrument, backingTrack, key } = this;
+        const isCurrentLoad = () => instrument === this.instrument && backingTrack === this.backingTrack && key === this.key;
         try {
             if (!this.sampleLoader) {
                 if (!this.audioContext) {
@@ -225,10 +698,23 @@ export class AudioEngine {
                 }
                 this.sampleLoader = new SampleLoader(this.audioContext);
             }
-            this.samples = await this.sampleLoader.loadTrumpetSamples(
-                AUDIO_CONFIG.samples, AUDIO_CONFIG.paths.SAMPLES_BASE, AUDIO_CONFIG.format
-            );
-
+            const { sampleLoader } = this;
+            const midiNumbers = getSampleMidiNumbers(instrument, AUDIO_CONFIG.getSamples(backingTrack, key));
+            const velocityLayers = getVelocityLayers(instrument);
+            const progress = { loaded: 0, total: midiNumbers.length * velocityLayers.length };
+            this.onSamplesProgress?.({ ...progress });
+            const onSampleSettled = () => {
+                progress.loaded++;
+                if (isCurrentLoad()) this.onSamplesProgress?.({ ...progress });
+            };
+
+            const sampleLayers = await Promise.all(velocityLayers.map(async ({ minVelocity }, layer) => ({
+                minVelocity,
+                samples: await sampleLoader.loadInstrumentSamples(instrument, midiNumbers, layer, onSampleSettled),
+            })));
+            if (!isCurrentLoad()) return;
+
+            this.sampleLayers = sampleLayers;
             this.samplesLoaded = true;
         } catch (error) {
             console.error('Error loading samples in AudioEngine:', error);
@@ -245,32 +731,32 @@ export class AudioEngine {
     }
 
     /**
-     * Connect main gain node to external node (e.g. for recording, visualization, etc.)
+     * Connect the master output, after the limiter, to external node (e.g. for recording, visualization, etc.)
      * @param {AudioNode} externalNode 
      */
     connectMainToExternalNode(externalNode) {
-        if (!this.mainGain) {
+        if (!this.limiter) {
             throw new Error('Main gain node not initialized. Call setupGainNodes() after createContext() first.');
         }
         if (!externalNode || !(externalNode instanceof AudioNode)) {
             throw new Error('AudioEngine: Invalid external node provided for connection. Must be instance of AudioNode.');
         }
-        this.mainGain.connect(externalNode);
+        this.limiter.connect(externalNode);
     }
 
     /**
-     * Disconnect main gain node from external node
+     * Disconnect the master output from external node
      * @param {AudioNode} externalNode 
      */
     disconnectMainFromExternalNode(externalNode) {
-        if (!this.mainGain) {
+        if (!this.limiter) {
             throw new Error('Main gain node not initialized. Call setupGainNodes() after createContext() first.');
         }
         if (!externalNode || !(externalNode instanceof AudioNode)) {
             throw new Error('AudioEngine: Invalid external node provided for disconnection. Must be instance of AudioNode.');
         }
         try {
-            this.mainGain.disconnect(externalNode);
+            this.limiter.disconnect(externalNode);
         } catch (error) {
             const isInvalidAccessError =
                 typeof error === 'object' &&
@@ -286,18 +772,32 @@ export class AudioEngine {
         }
     }
 
+    /**
+     * Inputs check this before playing a note, so notes the instrument can't sound don't start (or log) anything.
+     * @param {number} midiNumber
+     * @returns {boolean} whether the current instrument can sound the note, see isInPlayableRange()
+     */
+    canPlayNote(midiNumber) {
+        return isInPlayableRange(this.instrument, midiNumber);
+    }
+
     /**
      * Play a note based off of unique identifier (and MIDI number).
      * The same note/sample can be played multiple times simultaneously if inputID is different.
+     * Notes without a loaded sample repitch the nearest one within MAX_REPITCH_SEMITONES (see /src/audio/instrument-data.js).
+     * Gain follows the instrument's envelope, peaking by velocity, which also picks the velocity layer
+     * for instruments sampled at several dynamics. With legato articulation, a note still sounding for the inputID
+     * glides to the new one instead (see glideNote()).
      * Examples:
      * - Keyboard key presses passes KeyboardEvent.code
      * - Touch input passes 'pointer-{pointerI}'
      * 
      * @param {string} inputID 
      * @param {number} midiNumber 
-     * @returns {{midiNumber: number, sourceNode: AudioBufferSourceNode, gainNode: GainNode}|null} {source} or null if sample not found
+     * @param {number} [velocity=DEFAULT_VELOCITY] - 0-1, from inputs that measure it
+     * @returns {Voice|null} the voice playing the note, or null if no sample is near enough
      */
-    playNote(inputID, midiNumber) {
+    playNote(inputID, midiNumber, velocity = DEFAULT_VELOCITY) {
         if (!this.audioContext || !this.samplesGain || !this.backingTrackGain) {
             throw new Error('AudioEngine: cannot play notes. Call createContext() and setupGainNodes() first.');
         }
@@ -305,53 +805,170 @@ export class AudioEngine {
             throw new Error('AudioEngine: cannot play notes. AudioContext not running');
         }
 
-        const buffer = this.samples.get(midiNumber);
-        if (!buffer) {
-            throw new Error(`AudioEngine: No sample found for MIDI number ${midiNumber}`);
+        const nearest = findNearestSample(this.getVelocityLayerSamples(velocity), midiNumber, MAX_REPITCH_SEMITONES);
+        if (!nearest) {
+            console.warn(`AudioEngine: No sample within ${MAX_REPITCH_SEMITONES} semitones of MIDI number ${midiNumber}`);
+            return null;
+        }
+
+        if (this.articulation === 'legato') {
+            const sounding = this.activeSources.get(inputID) ?? this.releasingSources.get(inputID);
+            if (sounding && Math.abs(midiNumber - sounding.sampleMidiNumber) <= MAX_REPITCH_SEMITONES) {
+                return this.glideNote(inputID, sounding, midiNumber, velocity);
+            }
         }
 
         // Handle rapid re-triggering (fade out takes time)
         if (this.activeSources.has(inputID)) {
             this.stopNote(inputID, midiNumber); // Stop existing note for this inputID first
         }
+        this.stolenInputIDs.delete(inputID);
+        this.stealVoices();
 
         // Create Web Audio AudioBufferSourceNode (one-shot)
         const sourceNode = this.audioContext.createBufferSource();
-        sourceNode.buffer = buffer;
+        sourceNode.buffer = nearest.sample;
+        sourceNode.playbackRate.value = semitonesToPlaybackRate(nearest.semitones);
 
-        // Create individual gain node (for later fade out on stop)
+        // Create individual gain node, shaped by the envelope: attack, then decay to sustain until stopNote releases
+        const { envelope } = AUDIO_CONFIG.instruments[this.instrument];
+        const peakGain = velocityToGain(velocity);
+        const now = this.audioContext.currentTime;
         const gainNode = this.audioContext.createGain();
-        gainNode.gain.value = 1.0; // Start at full volume
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(peakGain, now + envelope.attack);
+        gainNode.gain.linearRampToValueAtTime(peakGain * envelope.sustain, now + envelope.attack + envelope.decay);
 
-        // Connect nodes: source -> individual -> samples gain (already connected to destination)
+        // Connect nodes: source -> individual -> samples gain (already connected through effects to destination)
         sourceNode.connect(gainNode);
         gainNode.connect(this.samplesGain);
 
         // Start playing note
-        sourceNode.start()
-        this.activeSources.set(inputID, { midiNumber, sourceNode, gainNode });
+        sourceNode.start(now);
+        /** @type {Voice} */
+        const voice = { midiNumber, sampleMidiNumber: midiNumber - nearest.semitones, sourceNode, gainNode, envelope, startedAt: now, bend: 0 };
+        this.activeSources.set(inputID, voice);
         
         // Clean up when sample ends when either:
         // 1) sample ends before user releases input, or
         // 2) fade out from stopNote completes
         sourceNode.onended = () => {
-            const current = this.activeSources.get(inputID);
-
             // Only delete if same sourceNode (may have been rapidly retriggered)
-            if (current && current.sourceNode === sourceNode) {
+            if (this.activeSources.get(inputID)?.sourceNode === sourceNode) {
                 this.activeSources.delete(inputID);
             }
+            if (this.releasingSources.get(inputID)?.sourceNode === sourceNode) {
+                this.releasingSources.delete(inputID);
+            }
         };
 
-        return { midiNumber, sourceNode, gainNode };
+        return voice;
+    }
+
+    /**
+     * Glide a sounding voice to another note for legato, held again at its sustain level even if it was releasing.
+     * @param {string} inputID
+     * @param {Voice} voice - from activeSources or releasingSources
+     * @param {number} midiNumber - within MAX_REPITCH_SEMITONES of the voice's sample
+     * @param {number} velocity - 0-1, sets the level it sustains at
+     * @returns {Voice}
+     */
+    glideNote(inputID, voice, midiNumber, velocity) {
+        const audioContext = /** @type {AudioContext} */ (this.audioContext);
+        const { sourceNode, gainNode, envelope, sampleMidiNumber } = voice;
+        const now = audioContext.currentTime;
+        const glideEnd = now + LEGATO_GLIDE_TIME;
+
+        sourceNode.playbackRate.cancelScheduledValues(now);
+        sourceNode.playbackRate.setValueAtTime(sourceNode.playbackRate.value, now);
+        sourceNode.playbackRate.exponentialRampToValueAtTime(semitonesToPlaybackRate(midiNumber - sampleMidiNumber), glideEnd);
+
+        gainNode.gain.cancelScheduledValues(now);
+        gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+        gainNode.gain.linearRampToValueAtTime(velocityToGain(velocity) * envelope.sustain, glideEnd);
+
+        if (this.releasingSources.get(inputID) === voice) {
+            // A later stop() replaces the release's, so push it past where the sample ends by itself, even bent down an octave
+            sourceNode.stop(now + (sourceNode.buffer?.duration ?? 0) * 2);
+            this.releasingSources.delete(inputID);
+        }
+        voice.midiNumber = midiNumber;
+        this.activeSources.set(inputID, voice);
+        return voice;
+    }
+
+    /**
+     * Bend a held note's pitch, e.g. into a blue note, through its source's detune. The bend carries through legato glides.
+     * @param {string} inputID
+     * @param {number} cents - from the note's pitch, positive bends up, 0 releases the bend; clamped to MAX_BEND_CENTS either way
+     * @param {number} [timeConstant=BEND_SMOOTHING] - seconds, how quickly the pitch follows
+     * @returns {number | null} the bend applied, or null if no note is held for inputID
+     */
+    bendNote(inputID, cents, timeConstant = BEND_SMOOTHING) {
+        const voice = this.activeSources.get(inputID);
+        if (!this.audioContext || !voice) return null;
+
+        const bend = Math.min(Math.max(cents, -MAX_BEND_CENTS), MAX_BEND_CENTS);
+        voice.sourceNode.detune.setTargetAtTime(bend, this.audioContext.currentTime, timeConstant);
+        voice.bend = bend;
+        return bend;
+    }
+
+    /**
+     * Make room for one more voice within the polyphony limit. Voices fading out are stolen first, then held ones,
+     * picked by the stealing policy. A stolen held note's 'noteend' is dispatched here, and stopNote() skips it later.
+     */
+    stealVoices() {
+        const audioContext = /** @type {AudioContext} */ (this.audioContext);
+        const { maxVoices, stealing } = this.polyphony;
+
+        while (this.activeSources.size + this.releasingSources.size >= maxVoices) {
+            const isHeld = this.releasingSources.size === 0;
+            const voices = isHeld ? this.activeSources : this.releasingSources;
+            const [inputID, { sourceNode, gainNode, midiNumber }] = findVoiceToSteal(voices, stealing);
+
+            const now = audioContext.currentTime;
+            gainNode.gain.cancelScheduledValues(now);
+            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
+            gainNode.gain.linearRampToValueAtTime(0, now + STEAL_RELEASE);
+            sourceNode.stop(now + STEAL_RELEASE); // Replaces a release's later stop
+            voices.delete(inputID);
+
+            if (isHeld) {
+                this.stolenInputIDs.add(inputID);
+                dispatchNoteEvent(NOTE_EVENTS.END, inputID, midiNumber);
+            }
+        }
+    }
+
+    /**
+     * Change the polyphony limit and how voices are stolen past it, from the next note played. Can be called during playback.
+     * @param {PolyphonySettings} settings
+     */
+    setPolyphony(settings) {
+        this.polyphony = { ...settings };
+    }
+
+    /**
+     * @param {number} velocity - 0-1
+     * @returns {Map<number, AudioBuffer>} samples of the loudest velocity layer the velocity reaches, empty if none are loaded
+     */
+    getVelocityLayerSamples(velocity) {
+        let layer = this.sampleLayers[0];
+        for (const candidate of this.sampleLayers) {
+            if (candidate.minVelocity <= velocity) layer = candidate;
+        }
+        return layer?.samples ?? new Map();
     }
 
     /**
      * Stop a note based off of unique identifier (and MIDI number).
      * This occurs when the input is released before the sample ends.
+     * The note fades out over its envelope's release, or STACCATO_RELEASE with staccato articulation.
+     * Inputs dispatch 'noteend' unless this returns false: the voice was stolen (see stealVoices()), which dispatched it.
      * @param {string} inputID 
      * @param {number} midiNumber 
-     * @returns 
+     * @returns {boolean} false if the note's voice was stolen
      */
     stopNote(inputID, midiNumber) {
         const active = this.activeSources.get(inputID);
@@ -359,53 +976,101 @@ export class AudioEngine {
         if (!this.audioContext) {
             throw new Error('AudioEngine: no AudioContext');
         }
+        if (this.stolenInputIDs.delete(inputID)) return false;
         if (!active) {
             console.warn(`AudioEngine: No active note found for inputID ${inputID} to stop`);
-            return;
+            return true;
         }
         if (active.midiNumber !== midiNumber) {
             console.warn(`AudioEngine: Active note MIDI ${active.midiNumber} does not match requested stop MIDI ${midiNumber} for inputID ${inputID}`);
             // Still proceed to stop note with inputID
         }
 
-        const { sourceNode, gainNode } = active; // midiNumber not needed
+        const { sourceNode, gainNode, envelope } = active; // midiNumber not needed
+        const release = this.articulation === 'staccato' ? STACCATO_RELEASE : envelope.release;
 
-        // Fade out for more natural stoppage of sound
+        // Fade out for more natural stoppage of sound, from wherever the attack or decay got to
         const now = this.audioContext.currentTime;
+        gainNode.gain.cancelScheduledValues(now);
         gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, now + AUDIO_CONFIG.volumes.NOTE_FADE_TIME_DEFAULT);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, now + release);
 
         // Stop source after fade completes
-        sourceNode.stop(now + AUDIO_CONFIG.volumes.NOTE_FADE_TIME_DEFAULT);
+        sourceNode.stop(now + release);
         this.activeSources.delete(inputID);
+        this.releasingSources.set(inputID, active);
+        return true;
     }
 
     /**
      * Play backing track from the beginning, or resume from where it left off if paused.
      * Caller handles play promise for autoplay policy.
+     * A generated count-in delays the backing track, and getCurrentBackingTrackTime() counts up to 0 meanwhile.
      * 
+     * @param {number} [countInDuration=0] - seconds to wait before the backing track starts
      * @returns {Promise<void>} Resolves when playback starts successfully, rejects on error or if AudioContext not running.
      */
-    async playBackingTrack() {
-        if (!this.audioContext || !this.backingTrackElement) {
+    async playBackingTrack(countInDuration = 0) {
+        if (!this.audioContext || !this.isBackingTrackSetUp()) {
             throw new Error('AudioEngine: cannot play backing track. Call createContext() and setupBackingTrack() first.');
         }
         if (this.audioContext.state !== 'running') {
             throw new Error('AudioEngine: cannot play backing track - AudioContext not running.');
         }
 
+        if (this.backingTrackPlayer) {
+            if (this.pausedAt !== null) {
+                this.backingTrackPlayer.setCurrentTime(this.pausedAt);
+                this.pausedAt = null;
+            }
+            this.backingTrackPlayer.play(countInDuration);
+            return;
+        }
+
+        const backingTrackElement = /** @type {HTMLAudioElement} */ (this.backingTrackElement); // Set up, checked above
         if (this.pausedAt !== null) {
-            this.backingTrackElement.currentTime = this.pausedAt;
+            backingTrackElement.currentTime = this.pausedAt;
             this.pausedAt = null;
         }
-        this.backingTrackElement.playbackRate = 1.0;
-        await this.backingTrackElement.play();
+        backingTrackElement.playbackRate = this.tempo;
+        this.loopHeartbeat.start();
+        if (countInDuration <= 0) {
+            await backingTrackElement.play();
+            return;
+        }
+
+        // An audio element can't be scheduled on the AudioContext clock, so its start is only as precise as a timeout
+        this.countInEndsAt = this.audioContext.currentTime + countInDuration;
+        this.countInTimeoutID = setTimeout(() => {
+            this.countInTimeoutID = null;
+            this.countInEndsAt = null;
+            backingTrackElement.play().catch(error => {
+                console.error('AudioEngine: Error starting backing track after count-in:', error);
+                this.handleBackingTrackEnded();
+            });
+        }, countInDuration * 1000);
+    }
+
+    /**
+     * Cancel a pending generated count-in, leaving the backing track element at its start.
+     */
+    cancelCountIn() {
+        if (this.countInTimeoutID !== null) clearTimeout(this.countInTimeoutID);
+        this.countInTimeoutID = null;
+        this.countInEndsAt = null;
     }
 
     /**
      * Stop backing track playback and reset to beginning.
      */
     stopBackingTrack() {
+        this.pausedAt = null;
+        if (this.backingTrackPlayer) {
+            this.backingTrackPlayer.stop();
+            return;
+        }
+        this.cancelCountIn();
+        this.loopHeartbeat.stop();
         if (!this.backingTrackElement) {
             console.warn('AudioEngine: cannot stop - backing track not initialized. Call setupBackingTrack() first.');
             return;
@@ -419,6 +1084,13 @@ export class AudioEngine {
      * Pause backing track playback, and saves position.
      */
     pauseBackingTrack() {
+        if (this.backingTrackPlayer) {
+            this.backingTrackPlayer.pause();
+            this.pausedAt = this.backingTrackPlayer.getCurrentTime();
+            return;
+        }
+        this.cancelCountIn();
+        this.loopHeartbeat.stop();
         if (!this.backingTrackElement) {
             console.warn('AudioEngine: cannot pause - backing track not initialized. Call setupBackingTrack() first.');
             return;
@@ -437,10 +1109,15 @@ export class AudioEngine {
     }
 
     /**
-     * Get current time of backing track.
+     * Get current time of backing track, in seconds of the recording regardless of tempo.
+     * Negative during a generated count-in, see playBackingTrack().
      * @returns {number} Current time of backing track in seconds, or null if backing track not initialized.
      */
     getCurrentBackingTrackTime() {
+        if (this.backingTrackPlayer) return this.backingTrackPlayer.getCurrentTime();
+        if (this.countInEndsAt !== null && this.audioContext) {
+            return Math.min(0, (this.audioContext.currentTime - this.countInEndsAt) * this.tempo);
+        }
         if (!this.backingTrackElement) {
             throw new Error('AudioEngine: Cannot get backing track time - backing track not initialized');
         }
@@ -489,6 +1166,23 @@ export class AudioEngine {
         return this.samplesGain.gain.value;
     }
 
+    /**
+     * Set metronome volume, clamped to valid range [0.0, 1.0].
+     * Saves volume if muted; immediately applies if not muted.
+     * @param {number} volume
+     * @returns {number|undefined} current metronome gain value (0.0 if muted), or undefined if gain node unavailable
+     */
+    setMetronomeVolume(volume) {
+        if (!this.metronomeGain) return;
+
+        this.metronomeDesiredVolume = clampVolume(volume);
+        if (!this.metronomeMuted) {
+            this.metronomeGain.gain.value = sliderToGain(this.metronomeDesiredVolume);
+        }
+
+        return this.metronomeGain.gain.value;
+    }
+
     /**
      * Set backing track mute state directly.
      * @param {boolean} isMuted
@@ -523,6 +1217,53 @@ export class AudioEngine {
         return this.samplesMuted;
     }
 
+    /**
+     * Set metronome mute state directly.
+     * @param {boolean} isMuted
+     * @returns {boolean} current muted state
+     */
+    setMetronomeMuted(isMuted) {
+        this.metronomeMuted = Boolean(isMuted);
+
+        if (this.metronomeGain) {
+            this.metronomeGain.gain.value = this.metronomeMuted
+                ? 0
+                : sliderToGain(this.metronomeDesiredVolume);
+        }
+
+        return this.metronomeMuted;
+    }
+
+    /**
+     * Choose whether recordings capture the metronome. It is always heard either way.
+     * @param {boolean} included
+     */
+    setMetronomeInRecordings(included) {
+        this.metronomeInRecordings = included;
+        this.connectMetronomeGain();
+    }
+
+    /**
+     * Synthesize a metronome click: a short sine blip, higher when accented.
+     * @param {number} contextTime - AudioContext time to click at, e.g. a ScheduledBeat's contextTime
+     * @param {boolean} [accented=false] - e.g. on beat one
+     */
+    playClick(contextTime, accented = false) {
+        if (!this.audioContext || !this.metronomeGain) return;
+        const startTime = Math.max(contextTime, this.audioContext.currentTime);
+
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.frequency.value = accented ? CLICK_FREQUENCIES.ACCENT : CLICK_FREQUENCIES.BEAT;
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.setValueAtTime(accented ? 1 : 0.6, startTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + CLICK_DURATION);
+
+        oscillator.connect(gainNode).connect(this.metronomeGain);
+        oscillator.onended = () => gainNode.disconnect();
+        oscillator.start(startTime);
+        oscillator.stop(startTime + CLICK_DURATION);
+    }
+
     /**
      * Stop all currently playing samples, when user hits stop, changes tab, etc.
      */
@@ -579,10 +1320,21 @@ export class AudioEngine {
         this.onEnded = callback;
     }
 
+    /**
+     * Set the callback function to be called as samples load, e.g. for a progress bar.
+     * Set to null for cleanup.
+     * @param {((progress: SampleLoadProgress) => void) | null} callback
+     */
+    setOnSamplesProgress(callback) {
+        this.onSamplesProgress = callback;
+    }
+
     async dispose() {
         await this.teardownForRecovery();
+        this.loopHeartbeat.dispose();
         this.pausedAt = null;
         this.sampleLoader = null;
         this.samplesLoaded = false;
+        this.decodedBackingTrack = null;
     }
 }
\ No newline at end of file
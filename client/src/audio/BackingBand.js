@@ -0,0 +1,467 @@
+import { AUDIO_CONFIG } from '../constants';
+import {
+    BEATS_PER_MEASURE, STRAIGHT_GROOVE, applyGroove, getBeatDuration, getBeatNumberInMeasure, getChordInfo,
+    getTotalBeats, wrapLoopTime,
+} from '../timing/progression-data';
+import { getTransposition, transposeChordName } from '../theory/key-data';
+import {
+    BAND_PARTS, COMPING_PATTERN, DRUM_PATTERN, PART_LEVELS, getBassNote, getCompingVoicing, parseChord,
+} from './band-data';
+import { midiToFrequency } from './audio-utils';
+import { Heartbeat } from '../timing/Heartbeat';
+
+/** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../theory/key-data').MusicalKey} MusicalKey */
+/** @typedef {import('../theory/key-data').Transposition} Transposition */
+/** @typedef {import('../timing/progression-data').Progression} Progression */
+/** @typedef {import('../timing/progression-data').LoopTimes} LoopTimes */
+/** @typedef {import('../timing/progression-data').Groove} Groove */
+/** @typedef {import('./band-data').BandPart} BandPart */
+/** @typedef {import('./band-data').DrumSound} DrumSound */
+/** @typedef {import('./AudioEngine').TempoChange} TempoChange */
+
+const SCHEDULER_INTERVAL_MS = 25;   // How often to check for notes to schedule
+const SCHEDULE_AHEAD_TIME = 0.1;    // seconds - how far ahead notes are scheduled on the AudioContext clock
+const TEMPO_CHANGE_EPSILON = 1e-6;  // seconds - a beat landing on a tempo change despite floating point error is on it
+
+/**
+ * Create a buffer of white noise for drum sounds.
+ * @param {BaseAudioContext} audioContext
+ * @returns {AudioBuffer}
+ */
+function createNoiseBuffer(audioContext) {
+    const buffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate); // 1 second
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+/**
+ * BackingBand synthesizes bass, comping and drums from a backing track's progression, as an alternative to its recording.
+ * It keeps a playhead in seconds of the recording (count-in and silence included), so TimingEngine reads it
+ * exactly like the backing track element's currentTime, at any key or tempo.
+ */
+export class BackingBand {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} destination - e.g. AudioEngine's backingTrackGain
+     */
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+        this.noiseBuffer = createNoiseBuffer(audioContext);
+
+        // One gain node per part, for muting
+        this.partGains = /** @type {Record<BandPart, GainNode>} */ ({});
+        for (const part of BAND_PARTS) {
+            const gainNode = audioContext.createGain();
+            gainNode.gain.value = PART_LEVELS[part];
+            gainNode.connect(destination);
+            this.partGains[part] = gainNode;
+        }
+
+        // Track data, set in setTrack()
+        /** @type {Progression | null} */
+        this.progression = null;
+        /** @type {Transposition} */
+        this.transposition = getTransposition('C', 'C');
+        this.recordedBeatDuration = 0;
+        this.silenceOffset = 0;
+        this.countInBeats = 0;
+        /** @type {Groove} */
+        this.groove = STRAIGHT_GROOVE;  // Swings pattern offsets between beats
+        this.duration = 0;              // Recording-equivalent length, including the last chord ringing out
+
+        this.tempo = 1;                 // Playback rate relative to the track's recorded tempo
+        /** @type {TempoChange | null} */
+        this.tempoChange = null;        // Scheduled ahead by setTempo(), see applyTempoChange()
+
+        // Playhead: recording time anchorTime at AudioContext time anchorContextTime while playing
+        this.isPlaying = false;
+        this.currentTime = 0;           // Recording time while paused
+        this.anchorTime = 0;
+        this.anchorContextTime = 0;
+        /** @type {LoopTimes | null} */
+        this.loop = null;               // In seconds of the recording, see setLoop()
+        this.nextBeatIndex = 0;         // Next beat to schedule, counted from the first count-in beat as if never looping
+        this.heartbeat = new Heartbeat(() => this.schedule(), SCHEDULER_INTERVAL_MS); // Keeps scheduling in hidden tabs
+        this.scheduledSources = /** @type {Set<AudioScheduledSourceNode>} */ (new Set()); // Silenced on pause
+
+        /** @type {(() => void) | null} */
+        this.onEnded = null;
+    }
+
+    /**
+     * Play a backing track's progression in a key, with the timing of its recording.
+     * @param {BackingTrackKey} trackKey
+     * @param {MusicalKey} key
+     */
+    setTrack(trackKey, key) {
+        const track = AUDIO_CONFIG.backingTracks[trackKey];
+        this.progression = track.progression;
+        this.transposition = getTransposition(track.key, key);
+        this.recordedBeatDuration = getBeatDuration(track.bpm);
+        this.silenceOffset = track.silenceOffset;
+        this.countInBeats = track.countInBeats;
+        this.groove = track.groove;
+        // Let the last chord ring out for a measure
+        this.duration = this.getBeatTime(this.countInBeats + getTotalBeats(track.progression) + BEATS_PER_MEASURE);
+    }
+
+    /**
+     * Change the playback rate, keeping the playhead where it is.
+     * Beats from contextTime on are scheduled at the new rate, including any already within SCHEDULE_AHEAD_TIME.
+     * @param {number} tempo - playback rate relative to the recorded tempo
+     * @param {number} [contextTime] - AudioContext time to change at, e.g. a beat scheduled ahead; defaults to now
+     */
+    setTempo(tempo, contextTime = this.audioContext.currentTime) {
+        this.tempoChange = { tempo, contextTime };
+        this.applyTempoChange();
+    }
+
+    /**
+     * Move the playhead anchor to the tempo change setTempo() was last given, once its time comes.
+     * @param {boolean} [immediately=false] - apply it now even if its time is still ahead, e.g. on pause
+     */
+    applyTempoChange(immediately = false) {
+        const change = this.tempoChange;
+        const now = this.audioContext.currentTime;
+        if (!change || (!immediately && now < change.contextTime)) return;
+        this.tempoChange = null;
+        const contextTime = Math.min(change.contextTime, now);
+        if (this.isPlaying && contextTime > this.anchorContextTime) { // Not before a delayed start
+            this.anchorTime = this.getLinearTime(contextTime); // Keeps scheduled beat indices valid
+            this.anchorContextTime = contextTime;
+        }
+        this.tempo = change.tempo;
+    }
+
+    /**
+     * @param {number} contextTime - AudioContext time
+     * @returns {number} the playback rate then, following a tempo change scheduled ahead
+     */
+    getTempoAt(contextTime) {
+        const change = this.tempoChange;
+        return change && contextTime >= change.contextTime - TEMPO_CHANGE_EPSILON ? change.tempo : this.tempo;
+    }
+
+    /**
+     * @param {BandPart} part
+     * @param {boolean} muted
+     */
+    setPartMuted(part, muted) {
+        this.partGains[part].gain.value = muted ? 0 : PART_LEVELS[part];
+    }
+
+    /**
+     * Cycle between two times, e.g. a few measures of the form. Null to stop looping.
+     * A playhead past the loop moves to its start.
+     * @param {LoopTimes | null} loop - seconds of the recording, on beats
+     */
+    setLoop(loop) {
+        const wasPlaying = this.isPlaying;
+        if (wasPlaying) this.pause(); // Reschedules notes ahead for the new loop
+        this.loop = loop;
+        if (loop && this.currentTime >= loop.end) this.currentTime = loop.start;
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * @returns {number} playhead in seconds of the recording
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.currentTime;
+        this.applyTempoChange();
+        return wrapLoopTime(this.getLinearTime(), this.loop);
+    }
+
+    /**
+     * @param {number} [contextTime] - AudioContext time, defaults to now
+     * @returns {number} playhead in seconds of the recording as if never looping, while playing, at the current tempo
+     */
+    getLinearTime(contextTime = this.audioContext.currentTime) {
+        return this.anchorTime + (contextTime - this.anchorContextTime) * this.tempo;
+    }
+
+    /**
+     * Move the playhead, like setting an audio element's currentTime.
+     * @param {number} time - seconds of the recording
+     */
+    setCurrentTime(time) {
+        const wasPlaying = this.isPlaying;
+        if (wasPlaying) this.pause();
+        this.currentTime = Math.max(0, time);
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * @param {number} [startDelay=0] - seconds to wait before playing, e.g. for a count-in.
+     * getCurrentTime() counts up from below the playhead meanwhile.
+     */
+    play(startDelay = 0) {
+        if (this.isPlaying) return;
+        if (!this.progression) {
+            throw new Error('BackingBand: cannot play before setTrack()');
+        }
+        this.isPlaying = true;
+        this.anchorTime = this.currentTime;
+        this.anchorContextTime = this.audioContext.currentTime + startDelay;
+        this.nextBeatIndex = Math.max(0, Math.ceil((this.currentTime - this.silenceOffset) / this.recordedBeatDuration));
+
+        this.schedule();
+        this.heartbeat.start();
+    }
+
+    /**
+     * Pause, silencing notes that were scheduled ahead.
+     */
+    pause() {
+        if (!this.isPlaying) return;
+        this.applyTempoChange(true);
+        this.currentTime = this.audioContext.currentTime < this.anchorContextTime
+            ? this.anchorTime // Before a delayed start
+            : this.getCurrentTime();
+        this.isPlaying = false;
+        this.heartbeat.stop();
+        for (const source of this.scheduledSources) {
+            source.stop();
+        }
+        this.scheduledSources.clear();
+    }
+
+    /**
+     * Pause and rewind to the beginning.
+     */
+    stop() {
+        this.pause();
+        this.currentTime = 0;
+    }
+
+    /**
+     * Pause and disconnect from the destination. Not usable afterwards.
+     */
+    dispose() {
+        this.pause();
+        this.heartbeat.dispose();
+        for (const gainNode of Object.values(this.partGains)) {
+            gainNode.disconnect();
+        }
+    }
+
+    /**
+     * @param {number} beatIndex - counted from the first count-in beat
+     * @returns {number} seconds of the recording
+     */
+    getBeatTime(beatIndex) {
+        return this.silenceOffset + beatIndex * this.recordedBeatDuration;
+    }
+
+    /**
+     * @param {number} time - seconds of the recording
+     * @returns {number} AudioContext time, while playing, following a tempo change scheduled ahead
+     */
+    toContextTime(time) {
+        const change = this.tempoChange;
+        if (change) {
+            const changeTime = this.getLinearTime(change.contextTime);
+            if (time >= changeTime) return change.contextTime + (time - changeTime) / change.tempo;
+        }
+        return this.anchorContextTime + (time - this.anchorTime) / this.tempo;
+    }
+
+    /**
+     * Schedule beats coming up within SCHEDULE_AHEAD_TIME, or end once the progression has rung out.
+     */
+    schedule() {
+        if (!this.isPlaying) return; // A heartbeat may already be queued after pause()
+        if (this.getCurrentTime() >= this.duration) {
+            this.pause();
+            this.currentTime = this.duration;
+            this.onEnded?.();
+            return;
+        }
+
+        this.applyTempoChange();
+        const scheduleUntil = this.audioContext.currentTime + SCHEDULE_AHEAD_TIME;
+        while (true) {
+            const time = this.toContextTime(this.getBeatTime(this.nextBeatIndex));
+            if (time >= scheduleUntil) break;
+            this.scheduleBeat(this.getLoopedBeatIndex(this.nextBeatIndex), time);
+            this.nextBeatIndex++;
+        }
+    }
+
+    /**
+     * @param {number} beatIndex - counted from the first count-in beat as if never looping
+     * @returns {number} the beat played there, folded back into the loop
+     */
+    getLoopedBeatIndex(beatIndex) {
+        if (!this.loop) return beatIndex;
+        const loopStartBeat = Math.round((this.loop.start - this.silenceOffset) / this.recordedBeatDuration);
+        const loopEndBeat = Math.round((this.loop.end - this.silenceOffset) / this.recordedBeatDuration);
+        if (beatIndex < loopEndBeat) return beatIndex;
+        return loopStartBeat + (beatIndex - loopEndBeat) % (loopEndBeat - loopStartBeat);
+    }
+
+    /**
+     * Schedule every part's notes within one beat.
+     * @param {number} beatIndex - counted from the first count-in beat
+     * @param {number} time - AudioContext time of the beat
+     */
+    scheduleBeat(beatIndex, time) {
+        const progression = /** @type {Progression} */ (this.progression);
+        const beatDuration = this.recordedBeatDuration / this.getTempoAt(time);
+
+        // Count in on the hi-hat
+        if (beatIndex < this.countInBeats) {
+            this.playDrum('hihat', time);
+            return;
+        }
+
+        const elapsedBeats = beatIndex - this.countInBeats;
+        if (elapsedBeats >= getTotalBeats(progression)) return; // Ringing out
+
+        const { currentChord, nextChord, beatsUntilNextChord } = getChordInfo(progression, elapsedBeats);
+        const { rootPitchClass, intervals } = parseChord(transposeChordName(currentChord, this.transposition));
+        const beatInMeasure = getBeatNumberInMeasure(elapsedBeats) - 1; // 0-indexed, to match pattern offsets
+        const isChordChange = elapsedBeats === 0 ||
+            getChordInfo(progression, elapsedBeats - 1).currentChord !== currentChord;
+
+        /**
+         * @param {number} offset - straight pattern offset in beats from the downbeat
+         * @returns {number} AudioContext time, swung by the track's groove
+         */
+        const offsetToTime = (offset) => time + (applyGroove(offset, this.groove) - beatInMeasure) * beatDuration;
+
+        // Bass: root on chord changes, leading tone into the next chord, otherwise 5th and 3rd
+        let bassNote;
+        if (isChordChange) {
+            bassNote = getBassNote(rootPitchClass);
+        } else if (beatsUntilNextChord === 1 && nextChord !== null) {
+            const next = parseChord(transposeChordName(nextChord, this.transposition));
+            bassNote = getBassNote(next.rootPitchClass, -1);
+        } else {
+            bassNote = getBassNote(rootPitchClass, beatInMeasure % 2 === 1 ? intervals[2] : intervals[1]);
+        }
+        this.playBass(bassNote, time, beatDuration * 0.9);
+
+        // Comping: pattern hits, plus any chord change the pattern misses
+        const voicing = getCompingVoicing(rootPitchClass, intervals);
+        const hits = COMPING_PATTERN.filter(({ offset }) => Math.floor(offset) === beatInMeasure);
+        for (const { offset, duration } of hits) {
+            this.playChord(voicing, offsetToTime(offset), duration * beatDuration);
+        }
+        if (isChordChange && !hits.some(({ offset }) => offset === beatInMeasure)) {
+            this.playChord(voicing, time, COMPING_PATTERN[0].duration * beatDuration);
+        }
+
+        // Drums
+        for (const [sound, offsets] of Object.entries(DRUM_PATTERN)) {
+            for (const offset of offsets) {
+                if (Math.floor(offset) === beatInMeasure) {
+                    this.playDrum(/** @type {DrumSound} */ (sound), offsetToTime(offset));
+                }
+            }
+        }
+    }
+
+    /**
+     * Start and stop a source at AudioContext times, tracking it so pause() can silence it.
+     * @param {AudioScheduledSourceNode} source
+     * @param {number} startTime
+     * @param {number} stopTime
+     */
+    startSource(source, startTime, stopTime) {
+        source.start(startTime);
+        source.stop(stopTime);
+        this.scheduledSources.add(source);
+        source.onended = () => {
+            this.scheduledSources.delete(source);
+            source.disconnect();
+        };
+    }
+
+    /**
+     * @param {number} midiNumber
+     * @param {number} time - AudioContext time
+     * @param {number} duration - seconds
+     */
+    playBass(midiNumber, time, duration) {
+        const ctx = this.audioContext;
+        const oscillator = ctx.createOscillator();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = midiToFrequency(midiNumber);
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 800;
+
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(1, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(filter).connect(envelope).connect(this.partGains.bass);
+        this.startSource(oscillator, time, time + duration);
+    }
+
+    /**
+     * @param {number[]} midiNumbers
+     * @param {number} time - AudioContext time
+     * @param {number} duration - seconds
+     */
+    playChord(midiNumbers, time, duration) {
+        const ctx = this.audioContext;
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(1, time + 0.01);
+        envelope.gain.setTargetAtTime(0.6, time + 0.01, 0.1); // Decay to sustain
+        envelope.gain.setTargetAtTime(0, time + duration, 0.03); // Release
+        envelope.connect(this.partGains.comping);
+
+        for (const midiNumber of midiNumbers) {
+            const oscillator = ctx.createOscillator();
+            oscillator.type = 'triangle';
+            oscillator.frequency.value = midiToFrequency(midiNumber);
+            oscillator.connect(envelope);
+            this.startSource(oscillator, time, time + duration + 0.15); // Let release finish
+        }
+    }
+
+    /**
+     * @param {DrumSound} sound
+     * @param {number} time - AudioContext time
+     */
+    playDrum(sound, time) {
+        const ctx = this.audioContext;
+        const envelope = ctx.createGain();
+        envelope.connect(this.partGains.drums);
+
+        if (sound === 'kick') {
+            const oscillator = ctx.createOscillator();
+            oscillator.frequency.setValueAtTime(150, time);
+            oscillator.frequency.exponentialRampToValueAtTime(45, time + 0.15);
+            envelope.gain.setValueAtTime(1, time);
+            envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.3);
+            oscillator.connect(envelope);
+            this.startSource(oscillator, time, time + 0.3);
+            return;
+        }
+
+        // Snare and hi-hat are filtered noise
+        const isSnare = sound === 'snare';
+        const duration = isSnare ? 0.15 : 0.05;
+        const noise = ctx.createBufferSource();
+        noise.buffer = this.noiseBuffer;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = isSnare ? 1000 : 7000;
+
+        envelope.gain.setValueAtTime(isSnare ? 0.5 : 0.25, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        noise.connect(filter).connect(envelope);
+        this.startSource(noise, time, time + duration);
+    }
+}
@@ -0,0 +1,245 @@
+import { TimeStretcher } from './TimeStretcher';
+import { wrapLoopTime } from '../timing/progression-data';
+/** @typedef {import('../timing/progression-data').LoopTimes} LoopTimes */
+/** @typedef {import('./AudioEngine').TempoChange} TempoChange */
+
+const RESTRETCH_DELAY_MS = 300; // Wait for the tempo to settle before re-stretching
+
+/**
+ * BufferedBackingTrack plays a decoded backing track through an AudioBufferSourceNode.
+ * Its playhead comes from audioContext.currentTime, so it is sample-accurate, unlike HTMLAudioElement.currentTime.
+ * Other tempos are time-stretched in a worker to keep pitch (see /src/audio/TimeStretcher.js), and swapped in when done.
+ */
+export class BufferedBackingTrack {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioBuffer} buffer - decoded backing track at its recorded tempo
+     * @param {AudioNode} destination - e.g. AudioEngine's backingTrackGain
+     */
+    constructor(audioContext, buffer, destination) {
+        this.audioContext = audioContext;
+        this.buffer = buffer;
+        this.destination = destination;
+
+        this.tempo = 1;                     // Playback rate relative to the recorded tempo
+        /** @type {TempoChange | null} */
+        this.tempoChange = null;            // Scheduled ahead by setTempo(), see applyTempoChange()
+        this.stretchedBuffer = buffer;      // buffer stretched to stretchedTempo
+        this.stretchedTempo = 1;
+        /** @type {number | null} */
+        this.stretchingTempo = null;        // Tempo of the stretch in progress, see restretch()
+        this.restretchTimeoutID = /** @type {ReturnType<typeof setTimeout> | null} */ (null);
+        this.timeStretcher = new TimeStretcher();
+
+        // Playhead: recording time anchorTime at AudioContext time anchorContextTime while playing
+        this.isPlaying = false;
+        this.currentTime = 0;               // Recording time while paused
+        this.anchorTime = 0;
+        this.anchorContextTime = 0;
+        /** @type {LoopTimes | null} */
+        this.loop = null;                   // In seconds of the recording, see setLoop()
+        /** @type {AudioBufferSourceNode | null} */
+        this.source = null;
+
+        /** @type {(() => void) | null} */
+        this.onEnded = null;
+    }
+
+    /**
+     * @returns {number} length in seconds of the recording
+     */
+    get duration() {
+        return this.buffer.duration;
+    }
+
+    /**
+     * Change the playback rate, keeping the playhead where it is.
+     * The rate applies at contextTime, and the stretch catches up once the tempo settles (see restretch()).
+     * @param {number} tempo - playback rate relative to the recorded tempo
+     * @param {number} [contextTime] - AudioContext time to change at, e.g. a beat scheduled ahead; defaults to now
+     */
+    setTempo(tempo, contextTime = this.audioContext.currentTime) {
+        this.tempoChange = { tempo, contextTime };
+        if (this.source) {
+            const { playbackRate } = this.source;
+            playbackRate.cancelScheduledValues(this.audioContext.currentTime); // Drop a change still ahead
+            playbackRate.setValueAtTime(tempo / this.stretchedTempo, contextTime); // Pitch is off until re-stretched
+        }
+        this.applyTempoChange();
+
+        if (this.restretchTimeoutID !== null) clearTimeout(this.restretchTimeoutID);
+        this.restretchTimeoutID = setTimeout(() => {
+            this.restretchTimeoutID = null;
+            void this.restretch();
+        }, RESTRETCH_DELAY_MS);
+    }
+
+    /**
+     * Move the playhead anchor to the tempo change setTempo() was last given, once its time comes.
+     * @param {boolean} [immediately=false] - apply it now even if its time is still ahead, e.g. on pause
+     */
+    applyTempoChange(immediately = false) {
+        const change = this.tempoChange;
+        const now = this.audioContext.currentTime;
+        if (!change || (!immediately && now < change.contextTime)) return;
+        this.tempoChange = null;
+        const contextTime = Math.min(change.contextTime, now);
+        if (this.isPlaying && contextTime > this.anchorContextTime) { // Not before a delayed start
+            this.anchorTime = this.getTimeAt(contextTime);
+            this.anchorContextTime = contextTime;
+        }
+        this.tempo = change.tempo;
+    }
+
+    /**
+     * Stretch the recording to the current tempo in the background, then swap it in, continuing from the playhead.
+     * Does nothing if it's stretched to the tempo already, or being stretched to it.
+     * @returns {Promise<void>} Resolves once swapped in, or superseded by another tempo's stretch
+     */
+    async restretch() {
+        this.applyTempoChange();
+        const { tempo } = this;
+        if (tempo === this.stretchedTempo) {
+            this.stretchingTempo = null; // Back to the current stretch, drop any in progress
+            return;
+        }
+        if (tempo === this.stretchingTempo) return;
+
+        this.stretchingTempo = tempo;
+        let stretchedBuffer;
+        try {
+            stretchedBuffer = await this.timeStretcher.stretch(this.audioContext, this.buffer, tempo);
+        } catch (error) {
+            if (this.stretchingTempo !== tempo) return; // Superseded, or disposed
+            this.stretchingTempo = null;
+            console.error('BufferedBackingTrack: failed to stretch, playing the previous stretch repitched.', error);
+            return;
+        }
+        if (this.stretchingTempo !== tempo) return; // Superseded
+        this.stretchingTempo = null;
+
+        this.stretchedBuffer = this.buffer; // Release the previous stretch
+        this.stretchedBuffer = stretchedBuffer;
+        this.stretchedTempo = tempo;
+        this.restart();
+    }
+
+    /**
+     * Cycle between two times, using the buffer source's sample-accurate loop points. Null to stop looping.
+     * A playhead past the loop moves to its start.
+     * @param {LoopTimes | null} loop - seconds of the recording
+     */
+    setLoop(loop) {
+        this.loop = loop;
+        if (loop && this.getCurrentTime() >= loop.end) {
+            this.setCurrentTime(loop.start);
+            return;
+        }
+        this.restart();
+    }
+
+    /**
+     * Restart the source from the playhead while playing, keeping a delayed start.
+     */
+    restart() {
+        if (!this.isPlaying) return;
+        const startDelay = Math.max(0, this.anchorContextTime - this.audioContext.currentTime);
+        this.pause();
+        this.play(startDelay);
+    }
+
+    /**
+     * @returns {number} playhead in seconds of the recording
+     */
+    getCurrentTime() {
+        if (!this.isPlaying) return this.currentTime;
+        this.applyTempoChange();
+        return this.getTimeAt(this.audioContext.currentTime);
+    }
+
+    /**
+     * @param {number} contextTime - AudioContext time, while playing
+     * @returns {number} playhead in seconds of the recording at that time, at the current tempo
+     */
+    getTimeAt(contextTime) {
+        const elapsed = (contextTime - this.anchorContextTime) * this.tempo;
+        return Math.min(wrapLoopTime(this.anchorTime + elapsed, this.loop), this.duration);
+    }
+
+    /**
+     * Move the playhead, like setting an audio element's currentTime.
+     * @param {number} time - seconds of the recording
+     */
+    setCurrentTime(time) {
+        const wasPlaying = this.isPlaying;
+        if (wasPlaying) this.pause();
+        this.currentTime = Math.min(Math.max(0, time), this.duration);
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * @param {number} [startDelay=0] - seconds to wait before playing, e.g. for a count-in.
+     * getCurrentTime() counts up from below the playhead meanwhile.
+     */
+    play(startDelay = 0) {
+        if (this.isPlaying) return;
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.stretchedBuffer;
+        source.playbackRate.value = this.tempo / this.stretchedTempo; // 1 unless a stretch is in progress
+        if (this.loop) {
+            source.loop = true;
+            source.loopStart = this.loop.start / this.stretchedTempo;
+            source.loopEnd = this.loop.end / this.stretchedTempo;
+        }
+        source.connect(this.destination);
+        source.onended = () => {
+            if (this.source !== source) return; // Stopped by pause()
+            this.source = null;
+            this.isPlaying = false;
+            this.currentTime = this.duration;
+            this.onEnded?.();
+        };
+
+        this.isPlaying = true;
+        this.anchorTime = this.currentTime;
+        this.anchorContextTime = this.audioContext.currentTime + startDelay;
+        source.start(this.anchorContextTime, this.currentTime / this.stretchedTempo);
+        this.source = source;
+    }
+
+    pause() {
+        if (!this.isPlaying) return;
+        this.applyTempoChange(true);
+        this.currentTime = this.audioContext.currentTime < this.anchorContextTime
+            ? this.anchorTime // Before a delayed start
+            : this.getCurrentTime();
+        this.isPlaying = false;
+        const source = this.source;
+        this.source = null;
+        source?.stop();
+        source?.disconnect();
+    }
+
+    /**
+     * Pause and rewind to the beginning.
+     */
+    stop() {
+        this.pause();
+        this.currentTime = 0;
+    }
+
+    /**
+     * Pause, end any stretch in progress and release the stretched buffer. Not usable afterwards.
+     */
+    dispose() {
+        this.pause();
+        if (this.restretchTimeoutID !== null) {
+            clearTimeout(this.restretchTimeoutID);
+            this.restretchTimeoutID = null;
+        }
+        this.stretchingTempo = null;
+        this.timeStretcher.dispose();
+        this.stretchedBuffer = this.buffer;
+    }
+}
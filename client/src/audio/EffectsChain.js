@@ -0,0 +1,143 @@
+import { AUDIO_CONFIG } from '../constants';
+import { DELAY_FEEDBACK, EFFECTS_DEFAULTS, EQ_BANDS, MAX_DELAY_TIME, REVERB_IMPULSES, getDelayTime } from './effects-data';
+
+/** @typedef {import('./effects-data').EffectsSettings} EffectsSettings */
+/** @typedef {import('./effects-data').ReverbImpulse} ReverbImpulse */
+/** @typedef {import('./effects-data').EqBand} EqBand */
+
+const PARAM_SMOOTHING = 0.02; // seconds - time constant for settings changes, so moving a slider doesn't click
+
+/**
+ * EffectsChain processes the samples bus: EQ, then the dry signal alongside sends to a convolution reverb
+ * and a tempo-synced feedback delay. Connect sources to its input.
+ */
+export class EffectsChain {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} destination - e.g. AudioEngine's mainGain
+     * @param {Map<ReverbImpulse, AudioBuffer>} impulseResponses - decoded impulse responses, shared so they outlive the AudioContext
+     * @param {number} bpm - see setBpm()
+     */
+    constructor(audioContext, destination, impulseResponses, bpm) {
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.impulseResponses = impulseResponses;
+        /** @type {EffectsSettings} */
+        this.settings = { ...EFFECTS_DEFAULTS };
+        this.bpm = bpm;
+
+        // EQ bands in series, in EQ_BANDS order
+        this.eqFilters = /** @type {Record<EqBand, BiquadFilterNode>} */ ({});
+        /** @type {AudioNode | null} */
+        let previous = null;
+        for (const [band, { type, frequency }] of /** @type {[EqBand, typeof EQ_BANDS[EqBand]][]} */ (Object.entries(EQ_BANDS))) {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            if (previous) previous.connect(filter);
+            this.eqFilters[band] = filter;
+            previous = filter;
+        }
+        this.input = this.eqFilters.low;
+        const eqOutput = this.eqFilters.high;
+        eqOutput.connect(destination); // Dry
+
+        // Reverb send. The convolver is replaced to change impulse response, see loadReverbImpulse()
+        this.reverbSend = audioContext.createGain();
+        eqOutput.connect(this.reverbSend);
+        /** @type {ConvolverNode | null} */
+        this.convolver = null;
+        /** @type {ReverbImpulse | null} */
+        this.loadedImpulse = null;
+        /** @type {ReverbImpulse | null} */
+        this.loadingImpulse = null;
+
+        // Delay send, feeding back into itself
+        this.delaySend = audioContext.createGain();
+        this.delay = audioContext.createDelay(MAX_DELAY_TIME);
+        this.delayFeedback = audioContext.createGain();
+        this.delayFeedback.gain.value = DELAY_FEEDBACK;
+        eqOutput.connect(this.delaySend).connect(this.delay).connect(destination);
+        this.delay.connect(this.delayFeedback).connect(this.delay);
+
+        this.applySettings();
+    }
+
+    /**
+     * Can be called during playback. Mixes and EQ ramp to their new values, a new impulse response loads first.
+     * @param {EffectsSettings} settings
+     */
+    setSettings(settings) {
+        this.settings = { ...settings };
+        this.applySettings();
+    }
+
+    /**
+     * Follow the tempo played at, for the delay's time.
+     * @param {number} bpm
+     * @param {number} [contextTime] - AudioContext time the tempo changes at, defaults to now
+     */
+    setBpm(bpm, contextTime) {
+        this.bpm = bpm;
+        this.setParam(this.delay.delayTime, getDelayTime(this.settings.delayDivision, bpm), contextTime);
+    }
+
+    applySettings() {
+        const { reverbImpulse, reverbMix, delayDivision, delayMix, eqLow, eqMid, eqHigh } = this.settings;
+        this.setParam(this.eqFilters.low.gain, eqLow);
+        this.setParam(this.eqFilters.mid.gain, eqMid);
+        this.setParam(this.eqFilters.high.gain, eqHigh);
+        this.setParam(this.reverbSend.gain, reverbMix);
+        this.setParam(this.delaySend.gain, delayMix);
+        this.setParam(this.delay.delayTime, getDelayTime(delayDivision, this.bpm));
+
+        if (reverbImpulse !== this.loadedImpulse && reverbImpulse !== this.loadingImpulse) {
+            this.loadingImpulse = reverbImpulse;
+            this.loadReverbImpulse(reverbImpulse)
+                .catch(error => {
+                    console.warn(`EffectsChain: failed to load ${reverbImpulse} reverb, keeping the current one.`, error);
+                })
+                .finally(() => {
+                    if (this.loadingImpulse === reverbImpulse) this.loadingImpulse = null;
+                });
+        }
+    }
+
+    /**
+     * @param {AudioParam} param
+     * @param {number} value
+     * @param {number} [contextTime] - AudioContext time to start ramping at, defaults to now
+     */
+    setParam(param, value, contextTime = this.audioContext.currentTime) {
+        param.setTargetAtTime(value, contextTime, PARAM_SMOOTHING);
+    }
+
+    /**
+     * Swap in a convolver with the impulse response, fetching and decoding it unless already decoded.
+     * A request overtaken by another impulse response is dropped.
+     * @param {ReverbImpulse} impulse
+     */
+    async loadReverbImpulse(impulse) {
+        let buffer = this.impulseResponses.get(impulse);
+        if (!buffer) {
+            const url = `${AUDIO_CONFIG.paths.IMPULSE_RESPONSES_BASE}${REVERB_IMPULSES[impulse].file}`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${url}: ${response.statusText}`);
+            }
+            buffer = await this.audioContext.decodeAudioData(await response.arrayBuffer());
+            this.impulseResponses.set(impulse, buffer);
+        }
+        if (impulse !== this.settings.reverbImpulse) return;
+
+        const convolver = this.audioContext.createConvolver();
+        convolver.buffer = buffer;
+        this.reverbSend.connect(convolver).connect(this.destination);
+        if (this.convolver) {
+            this.reverbSend.disconnect(this.convolver);
+            this.convolver.disconnect();
+        }
+        this.convolver = convolver;
+        this.loadedImpulse = impulse;
+    }
+}
@@ -0,0 +1,84 @@
+import { TIMING_EVENTS } from '../constants';
+import { BEATS_PER_MEASURE, getTotalBeats } from '../timing/progression-data';
+/** @typedef {import('./AudioEngine').AudioEngine} AudioEngine */
+/** @typedef {import('../timing/TimingEngine').TimingEngine} TimingEngine */
+/** @typedef {import('../timing/TimingEngine').ScheduledBeat} ScheduledBeat */
+
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   backbeat: boolean,
+ *   countInBars: number,
+ *   inRecordings: boolean,
+ * }} MetronomeSettings
+ * enabled clicks through the form. Count-ins also click whenever a count-in is generated, even with the metronome off.
+ * backbeat clicks only on beats 2 and 4 of the form, and countInBars (0-2) are generated before the backing track.
+ */
+
+/** @type {MetronomeSettings} */
+export const METRONOME_DEFAULTS = {
+    enabled: false,
+    backbeat: false,
+    countInBars: 0,
+    inRecordings: false,
+};
+
+export const MAX_COUNT_IN_BARS = 2;
+
+/**
+ * Metronome schedules AudioEngine's synthesized clicks from TimingEngine's beats, accenting beat one.
+ */
+export class Metronome {
+    /**
+     * @param {AudioEngine} audioEngine
+     * @param {TimingEngine} timingEngine
+     */
+    constructor(audioEngine, timingEngine) {
+        this.audioEngine = audioEngine;
+        this.timingEngine = timingEngine;
+        /** @type {MetronomeSettings} */
+        this.settings = { ...METRONOME_DEFAULTS };
+        this.unsubscribe = timingEngine.on(TIMING_EVENTS.BEAT, beat => this.handleBeat(beat));
+    }
+
+    /**
+     * @param {MetronomeSettings} settings
+     */
+    setSettings(settings) {
+        this.settings = { ...settings };
+        this.timingEngine.setGeneratedCountInBeats(settings.countInBars * BEATS_PER_MEASURE);
+        this.audioEngine.setMetronomeInRecordings(settings.inRecordings);
+    }
+
+    /**
+     * Click on a beat if the settings call for it.
+     * @param {ScheduledBeat} beat
+     */
+    handleBeat({ beatIndex, contextTime, position }) {
+        const { phase, beatNumberInMeasure } = position;
+        if (contextTime === null || beatNumberInMeasure === null) return;
+
+        if (phase === 'count-in') {
+            if (this.settings.enabled || this.settings.countInBars > 0) {
+                this.audioEngine.playClick(contextTime, beatNumberInMeasure === 1);
+            }
+            return;
+        }
+        if (phase !== 'playing' || !this.settings.enabled) return;
+
+        const { countInBeats, progression } = this.timingEngine;
+        if (beatIndex >= countInBeats + getTotalBeats(progression)) return; // Last chord ringing out
+        if (this.settings.backbeat) {
+            if (beatNumberInMeasure % 2 === 0) this.audioEngine.playClick(contextTime);
+            return;
+        }
+        this.audioEngine.playClick(contextTime, beatNumberInMeasure === 1);
+    }
+
+    /**
+     * Stop listening to TimingEngine.
+     */
+    dispose() {
+        this.unsubscribe();
+    }
+}
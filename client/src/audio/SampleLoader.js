@@ -1,6 +1,13 @@
+import { INSTRUMENTS } from './instrument-data';
+import { AUDIO_CONFIG } from '../constants';
+import { AssetCache } from './AssetCache';
+
+/** @typedef {import('./instrument-data').InstrumentKey} InstrumentKey */
+
 /**
  * SampleLoader is a utility class for AudioEngine.
- * It asynchronously loads and caches audio samples in parallel.
+ * It asynchronously loads and caches audio samples in parallel, keeping a cache per instrument.
+ * Decoded samples are cached in memory, and the files they're decoded from persist across visits through AssetCache.
  */
 
 export class SampleLoader {
@@ -10,8 +17,22 @@ export class SampleLoader {
      */
     constructor(audioContext) {
         this.audioContext = audioContext;
-        /** @type {Map<string, AudioBuffer>} */
-        this.cache = new Map(); // Holds URL -> buffer, prevents re-downloading samples
+        /** @type {Map<InstrumentKey, Map<string, AudioBuffer>>} */
+        this.caches = new Map(); // Holds instrument -> (URL -> buffer), prevents re-decoding samples
+        this.assetCache = new AssetCache(); // Holds the fetched files, prevents re-downloading them on later visits
+    }
+
+    /**
+     * @param {InstrumentKey} instrument
+     * @returns {Map<string, AudioBuffer>} the instrument's cache, created if needed
+     */
+    getCache(instrument) {
+        let cache = this.caches.get(instrument);
+        if (!cache) {
+            cache = new Map();
+            this.caches.set(instrument, cache);
+        }
+        return cache;
     }
 
     /**
@@ -26,23 +47,22 @@ export class SampleLoader {
    /**
     * Load, decode, and cache a single audio file.
     * @param {string} url A url to the audio file.
+    * @param {InstrumentKey} instrument The instrument whose cache holds the sample.
     * @returns {Promise<AudioBuffer>} A promise that immediately resolves to a decoded audio buffer.
     */
-    async loadSample(url) {
+    async loadSample(url, instrument) {
+        const cache = this.getCache(instrument);
+
         // Check cache first
-        if (this.cache.has(url)) {
-            const cachedBuffer = this.cache.get(url);
+        if (cache.has(url)) {
+            const cachedBuffer = cache.get(url);
             if (cachedBuffer !== undefined) {
                 return cachedBuffer;
             }
         }
         
         try {
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`Failed to load ${url}: ${response.statusText}`);
-            }
+            const response = await this.assetCache.fetch(url);
 
             // Get raw audio data from Response
             const arrayBuffer = await response.arrayBuffer();
@@ -51,7 +71,7 @@ export class SampleLoader {
             const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
 
             // Cache
-            this.cache.set(url, audioBuffer);
+            cache.set(url, audioBuffer);
 
             return /** @type {AudioBuffer} */ audioBuffer;
         } catch (error) {
@@ -60,49 +80,81 @@ export class SampleLoader {
         }
     }
 
+    /**
+     * Load and decode a backing track, without caching.
+     * Decoded tracks are large (tens of MB per minute), so AudioEngine keeps only the one in use.
+     * @param {string} url
+     * @returns {Promise<AudioBuffer>}
+     */
+    async loadBackingTrack(url) {
+        try {
+            const response = await this.assetCache.fetch(url);
+            const arrayBuffer = await response.arrayBuffer();
+            return await this.audioContext.decodeAudioData(arrayBuffer);
+        } catch (error) {
+            console.error(`Error loading backing track ${url}:`, error);
+            throw error; // Re-throw so caller can handle
+        }
+    }
+
+    /**
+     * Get a source for an audio element to stream a backing track from.
+     * A file already in Cache Storage is given as an object URL, which the caller revokes with URL.revokeObjectURL()
+     * when done. Otherwise the element streams the url itself, and the service worker caches the file from that same
+     * response for next time (see /src/offline/service-worker.js).
+     * @param {string} url
+     * @returns {Promise<string>}
+     */
+    async getBackingTrackSource(url) {
+        const cachedResponse = await this.assetCache.match(url);
+        if (cachedResponse) return URL.createObjectURL(await cachedResponse.blob());
+        return url;
+    }
+
     /**
      * Load, decode, and cache multiple audio files in parallel.
      * @param {string[]} urls - An array of urls to samples to load.
+     * @param {InstrumentKey} instrument - The instrument whose cache holds the samples.
      * @returns {Promise<AudioBuffer[]>} - A promise that resolves to to an array of decoded audio buffers.
      */
-    async loadMultipleSamples(urls) {
-        const loadPromises = urls.map(url => this.loadSample(url));
+    async loadMultipleSamples(urls, instrument) {
+        const loadPromises = urls.map(url => this.loadSample(url, instrument));
         return Promise.all(loadPromises);
     }
 
     /**
-     * Load all trumpet sound files.
-     * @param {number[]} midiNumbers - An array of MIDI numbers to load trumpet samples of.
-     * @param {string} basePath - Where the trumpet samples are stored in the project.
-     * @param {string} audioFormat - Audio file extension such as "wav" or "mp3".
+     * Load an instrument's sound files.
+     * Samples that fail to load are left out of the map so the rest stay playable. Rejects only if none load.
+     * @param {InstrumentKey} instrument - The instrument to load samples of, see /src/audio/instrument-data.js.
+     * @param {number[]} midiNumbers - An array of MIDI numbers within the instrument's midiRange.
+     * @param {number} [layer=0] - Which of the instrument's velocity layers to load.
+     * @param {() => void} [onSampleSettled] - Called as each sample loads or fails, e.g. for a progress bar.
      * @returns {Promise<Map<number, AudioBuffer>>} - A promise that resolves to a mapping from MIDI number to audio buffer.
      */
-    async loadTrumpetSamples(midiNumbers, basePath, audioFormat) {
+    async loadInstrumentSamples(instrument, midiNumbers, layer = 0, onSampleSettled) {
         /** @type {Map<number, AudioBuffer>} */
         const sampleMap = new Map();
 
         // Convert MIDI numbers to urls
-        const urls = midiNumbers.map(num => `${basePath}${num}.${audioFormat}`);
-        const buffers = await this.loadMultipleSamples(urls);
+        const urls = midiNumbers.map(num => AUDIO_CONFIG.getSamplePath(num, instrument, layer));
+        const results = await Promise.allSettled(urls.map(url => this.loadSample(url, instrument)
+            .finally(() => onSampleSettled?.())));
 
         midiNumbers.forEach((num, index) => {
-            // sampleMap and this.cache map to same references
-            sampleMap.set(num, buffers[index]);
+            const result = results[index];
+            if (result.status === 'fulfilled') {
+                // sampleMap and the instrument's cache map to same references
+                sampleMap.set(num, result.value);
+            }
         });
 
-        return sampleMap
-    }
+        if (sampleMap.size === 0 && midiNumbers.length > 0) {
+            throw new Error(`Failed to load any ${INSTRUMENTS[instrument].name} samples`);
+        }
+        if (sampleMap.size < midiNumbers.length) {
+            console.warn(`SampleLoader: loaded ${sampleMap.size} of ${midiNumbers.length} ${INSTRUMENTS[instrument].name} samples`);
+        }
 
-    /**
-     * Get loading progress (for future proress bar)
-     * @param {*} totalExpected 
-     * @returns 
-     */
-    getProgress(totalExpected) {
-        return {
-            loaded: this.cache.size,
-            total: totalExpected,
-            percentage: (this.cache.size / totalExpected) * 100
-        };
+        return sampleMap
     }
 }
\ No newline at end of file
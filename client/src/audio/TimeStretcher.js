@@ -0,0 +1,96 @@
+import { stretchAudioBuffer } from './time-stretch';
+
+/** @typedef {import('./time-stretch-worker').StretchResponse} StretchResponse */
+
+/**
+ * @typedef {{
+ *   resolve: (channels: Float32Array[]) => void,
+ *   reject: (error: Error) => void,
+ * }} PendingStretch
+ */
+
+/**
+ * TimeStretcher is a utility class for BufferedBackingTrack.
+ * It time-stretches AudioBuffers in a Web Worker (see /src/audio/time-stretch-worker.js), since stretching a whole
+ * backing track takes around a second that would otherwise freeze input, drawing and the timing heartbeat.
+ * Falls back to stretching on the main thread where workers are unavailable.
+ */
+export class TimeStretcher {
+    constructor() {
+        /** @type {Worker | null} */
+        this.worker = null;         // Created on first stretch()
+        this.nextRequestID = 0;
+        /** @type {Map<number, PendingStretch>} */
+        this.pendingStretches = new Map();
+    }
+
+    /**
+     * @param {BaseAudioContext} audioContext - to create the output buffer
+     * @param {AudioBuffer} buffer
+     * @param {number} rate - playback rate, e.g. 0.8 makes the audio 1.25× as long
+     * @returns {Promise<AudioBuffer>} the same buffer if rate is 1
+     */
+    async stretch(audioContext, buffer, rate) {
+        if (rate === 1) return buffer;
+        if (typeof Worker === 'undefined') return stretchAudioBuffer(audioContext, buffer, rate);
+
+        // Copies, since the buffer keeps playing meanwhile. Transferred to the worker, which releases them when done.
+        const inputs = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+        const outputs = await this.request(inputs, rate);
+        const output = audioContext.createBuffer(outputs.length, outputs[0].length, buffer.sampleRate);
+        outputs.forEach((channel, c) => output.getChannelData(c).set(channel));
+        return output;
+    }
+
+    /**
+     * @param {Float32Array[]} inputs - transferred, unusable afterwards
+     * @param {number} rate
+     * @returns {Promise<Float32Array[]>} the stretched channels
+     */
+    request(inputs, rate) {
+        const worker = this.getWorker();
+        const id = this.nextRequestID++;
+        return new Promise((resolve, reject) => {
+            this.pendingStretches.set(id, { resolve, reject });
+            worker.postMessage({ id, channels: inputs, rate }, inputs.map(input => input.buffer));
+        });
+    }
+
+    /**
+     * @returns {Worker}
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./time-stretch-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (/** @type {MessageEvent<StretchResponse>} */ event) => {
+                const response = event.data;
+                const pending = this.pendingStretches.get(response.id);
+                if (!pending) return;
+                this.pendingStretches.delete(response.id);
+                if ('error' in response) pending.reject(new Error(`TimeStretcher: ${response.error}`));
+                else pending.resolve(response.channels);
+            };
+            this.worker.onerror = (event) => {
+                this.rejectPending(new Error(`TimeStretcher: worker failed: ${event.message}`));
+            };
+        }
+        return this.worker;
+    }
+
+    /**
+     * @param {Error} error
+     */
+    rejectPending(error) {
+        this.pendingStretches.forEach(({ reject }) => reject(error));
+        this.pendingStretches.clear();
+    }
+
+    /**
+     * End the worker, rejecting stretches in progress. stretch() creates a new one if called again.
+     */
+    dispose() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.rejectPending(new Error('TimeStretcher: disposed'));
+    }
+}
@@ -11,6 +11,43 @@ export function midiToPitchClass(midiNumber) {
     return midiNumber % 12;
 }
 
+/**
+ * Converts a MIDI number to frequency in equal temperament (A4 = 440 Hz).
+ * @param {number} midiNumber - The MIDI note number (0-127).
+ * @returns {number} - Frequency in Hz.
+ */
+export function midiToFrequency(midiNumber) {
+    return 440 * Math.pow(2, (midiNumber - 69) / 12);
+}
+
+/**
+ * Converts a pitch shift in semitones to the AudioBufferSourceNode playbackRate that repitches by it.
+ * @param {number} semitones - positive shifts up
+ * @returns {number}
+ */
+export function semitonesToPlaybackRate(semitones) {
+    return Math.pow(2, semitones / 12);
+}
+
+/**
+ * Find the sample to play a note with: its own, or else the nearest within maxSemitones, to be repitched.
+ * Ties go to the sample above, since pitching a sample down keeps it from sounding thin.
+ * @template T
+ * @param {Map<number, T>} samples - MIDI number -> sample
+ * @param {number} midiNumber
+ * @param {number} maxSemitones
+ * @returns {{ sample: T, semitones: number } | null} semitones to repitch the sample by, or null if none are near enough
+ */
+export function findNearestSample(samples, midiNumber, maxSemitones) {
+    for (let distance = 0; distance <= maxSemitones; distance++) {
+        for (const sampleMidi of [midiNumber + distance, midiNumber - distance]) {
+            const sample = samples.get(sampleMidi);
+            if (sample !== undefined) return { sample, semitones: midiNumber - sampleMidi };
+        }
+    }
+    return null;
+}
+
 /**
  * Clamps a volume value between 0.0 and 1.0.
  * @param {number} volume 
@@ -20,6 +57,16 @@ export function clampVolume(volume) {
     return Math.min(Math.max(volume, 0.0), 1.0);
 }
 
+/**
+ * Converts a note velocity to the gain at its peak, spread evenly in dB so soft notes stay audible.
+ * @param {number} velocity - 0-1
+ * @param {number} [minDb] - gain of the softest velocity
+ * @returns {number} gain value (linear)
+ */
+export function velocityToGain(velocity, minDb = -24) {
+    return sliderToGain(velocity, minDb, 0);
+}
+
 /**
  * dB to gain conversion.
  * @param {number} slider linear value of volume slider
@@ -0,0 +1,112 @@
+/**
+ * Define the synthesized backing band: its parts, chord voicings and rhythm patterns.
+ * BackingBand (see /src/audio/BackingBand.js) schedules these from a track's progression.
+ */
+
+import { getPitchClass } from '../theory/key-data';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/** @typedef {typeof BAND_PARTS[number]} BandPart */
+
+/** @typedef {keyof typeof DRUM_PATTERN} DrumSound */
+
+/**
+ * A hit within a measure, in beats from the downbeat, e.g. 1.5 is the 'and' of beat 2.
+ * @typedef {{ offset: number, duration: number }} PatternHit
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const BAND_PARTS = /** @type {const} */ (['bass', 'comping', 'drums']);
+
+/**
+ * Chord tones above the root in semitones, by chord quality (the chord name after its root).
+ * The first tone is the root; comping voicings leave it to the bass.
+ */
+const CHORD_QUALITIES = /** @type {Record<string, readonly number[]>} */ ({
+    '': [0, 4, 7],
+    'm': [0, 3, 7],
+    '7': [0, 4, 7, 10],
+    'm7': [0, 3, 7, 10],
+    'maj7': [0, 4, 7, 11],
+    'm7b5': [0, 3, 6, 10],
+    'dim7': [0, 3, 6, 9],
+    '7alt': [0, 4, 8, 10, 15], // ♯5 and ♯9
+});
+
+/** Gain of each part, balanced against each other */
+export const PART_LEVELS = /** @type {const} */ ({
+    bass: 0.8,
+    comping: 0.35,
+    drums: 0.6,
+});
+
+/** Lowest MIDI notes of each part's range, one octave wide for bass roots and comping tones */
+export const PART_RANGES = /** @type {const} */ ({
+    BASS_LOWEST: 36,    // C2
+    COMPING_LOWEST: 55, // G3
+});
+
+/** Comping rhythm: long chord on the downbeat, short stab on the 'and' of 2 */
+export const COMPING_PATTERN = /** @type {readonly PatternHit[]} */ ([
+    { offset: 0, duration: 0.75 },
+    { offset: 1.5, duration: 0.35 },
+]);
+
+/** Drum hits in beats from the downbeat */
+export const DRUM_PATTERN = /** @type {const} */ ({
+    kick: [0, 2],
+    snare: [1, 3],
+    hihat: [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5],
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Split an internal chord name into its root pitch class and chord tones, e.g. 'Bb7' → 10, [0, 4, 7, 10].
+ * Unknown qualities fall back to a dominant 7th, so any progression still gets played.
+ * @param {string} chordName
+ * @returns {{ rootPitchClass: number, intervals: readonly number[] }}
+ */
+export function parseChord(chordName) {
+    const match = chordName.match(/^([A-G][#b]*)(.*)$/);
+    const rootPitchClass = match ? getPitchClass(match[1]) : NaN;
+    if (!match || Number.isNaN(rootPitchClass)) {
+        throw new Error(`Invalid chord name '${chordName}'.`);
+    }
+    const quality = match[2];
+    if (!(quality in CHORD_QUALITIES)) {
+        console.warn(`Unknown chord quality '${quality}' in ${chordName}, playing as a dominant 7th`);
+    }
+    return { rootPitchClass, intervals: CHORD_QUALITIES[quality] ?? CHORD_QUALITIES['7'] };
+}
+
+/**
+ * Get the bass note for a chord root, within the bass range.
+ * @param {number} rootPitchClass
+ * @param {number} [interval=0] - semitones from the root, e.g. 7 for the 5th or -1 for a leading tone
+ * @returns {number} MIDI number
+ */
+export function getBassNote(rootPitchClass, interval = 0) {
+    return PART_RANGES.BASS_LOWEST + ((rootPitchClass + interval) % 12 + 12) % 12;
+}
+
+/**
+ * Voice a chord without its root, every tone within one octave of the comping range.
+ * @param {number} rootPitchClass
+ * @param {readonly number[]} intervals - chord tones, see parseChord()
+ * @returns {number[]} MIDI numbers, low to high
+ */
+export function getCompingVoicing(rootPitchClass, intervals) {
+    const lowest = PART_RANGES.COMPING_LOWEST;
+    return intervals.slice(1)
+        .map(interval => lowest + ((rootPitchClass + interval - lowest) % 12 + 12) % 12)
+        .sort((a, b) => a - b);
+}
@@ -0,0 +1,102 @@
+import { getBeatDuration } from '../timing/progression-data';
+
+/**
+ * Define the effects on the samples bus and the limiter on the master, see EffectsChain.
+ * Impulse responses are WAV files under AUDIO_CONFIG.paths.IMPULSE_RESPONSES_BASE (see /src/constants.js).
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/** @typedef {keyof typeof REVERB_IMPULSES} ReverbImpulse */
+
+/** @typedef {keyof typeof DELAY_DIVISIONS} DelayDivision */
+
+/** @typedef {keyof typeof EQ_BANDS} EqBand */
+
+/**
+ * @typedef {{
+ *   reverbImpulse: ReverbImpulse,
+ *   reverbMix: number,
+ *   delayDivision: DelayDivision,
+ *   delayMix: number,
+ *   eqLow: number,
+ *   eqMid: number,
+ *   eqHigh: number,
+ * }} EffectsSettings
+ * reverbMix and delayMix (0-1) are how much of the samples is sent to each effect, 0 being off.
+ * The delay repeats every delayDivision at the current tempo. eqLow, eqMid and eqHigh are gains in dB within EQ_GAIN_RANGE_DB.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Impulse responses bundled for the convolution reverb.
+ */
+export const REVERB_IMPULSES = /** @type {const} */ ({
+    room: { name: 'Room', file: 'room.wav' },
+    plate: { name: 'Plate', file: 'plate.wav' },
+    hall: { name: 'Hall', file: 'hall.wav' },
+});
+
+/**
+ * Delay times as note values, in beats.
+ */
+export const DELAY_DIVISIONS = /** @type {const} */ ({
+    quarter: { name: '1/4', beats: 1 },
+    dottedEighth: { name: 'Dotted 1/8', beats: 0.75 },
+    eighth: { name: '1/8', beats: 0.5 },
+    triplet: { name: '1/8 triplet', beats: 1 / 3 },
+});
+
+export const DELAY_FEEDBACK = 0.35;     // Gain of each repeat relative to the last
+export const MAX_DELAY_TIME = 2;        // seconds, a quarter note at the slowest tempos
+
+/**
+ * Three-band EQ, in the order the samples pass through.
+ */
+export const EQ_BANDS = /** @type {const} @satisfies {Record<string, { name: string, type: BiquadFilterType, frequency: number }>} */ ({
+    low: { name: 'Low', type: 'lowshelf', frequency: 250 },     // Hz
+    mid: { name: 'Mid', type: 'peaking', frequency: 1000 },
+    high: { name: 'High', type: 'highshelf', frequency: 4000 },
+});
+
+export const EQ_GAIN_RANGE_DB = /** @type {const} */ ({ MIN: -12, MAX: 12 });
+
+/**
+ * DynamicsCompressorNode settings that catch peaks on the master, e.g. chords of sampled notes over the backing track.
+ */
+export const LIMITER = /** @type {const} */ ({
+    threshold: -3,  // dB
+    knee: 0,        // dB
+    ratio: 20,
+    attack: 0.003,  // seconds
+    release: 0.1,   // seconds
+});
+
+/** @type {EffectsSettings} */
+export const EFFECTS_DEFAULTS = {
+    reverbImpulse: 'room',
+    reverbMix: 0.2,
+    delayDivision: 'eighth',
+    delayMix: 0,
+    eqLow: 0,
+    eqMid: 0,
+    eqHigh: 0,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * @param {DelayDivision} division
+ * @param {number} bpm - the tempo played at, not the recorded one
+ * @returns {number} delay time in seconds, within MAX_DELAY_TIME
+ */
+export function getDelayTime(division, bpm) {
+    return Math.min(DELAY_DIVISIONS[division].beats * getBeatDuration(bpm), MAX_DELAY_TIME);
+}
@@ -0,0 +1,188 @@
+/**
+ * Define the sampled instruments notes can be played with.
+ * Each instrument's samples are one file per MIDI note, named by MIDI number (e.g. 60.mp3),
+ * under AUDIO_CONFIG.paths.SAMPLES_BASE (see /src/constants.js).
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/** @typedef {keyof typeof INSTRUMENTS} InstrumentKey */
+
+/** @typedef {keyof typeof ARTICULATIONS} Articulation */
+
+/** @typedef {keyof typeof VOICE_STEALING} VoiceStealing */
+
+/**
+ * @typedef {{
+ *   maxVoices: number,
+ *   stealing: VoiceStealing,
+ * }} PolyphonySettings
+ * maxVoices counts released notes still fading out. Playing past it steals a voice: fading ones first, then held ones,
+ * picked by stealing.
+ */
+
+/**
+ * Amplitude envelope shaping each note's gain over its sample.
+ * @typedef {{
+ *   attack: number,
+ *   decay: number,
+ *   sustain: number,
+ *   release: number,
+ * }} Envelope
+ * attack, decay and release are in seconds: rising from silence to full gain, falling to the sustain level
+ * (a fraction of full gain) while held, and fading to silence once released.
+ */
+
+/**
+ * A folder of samples recorded at one dynamic.
+ * @typedef {{ minVelocity: number, path: string }} VelocityLayer
+ * The layer plays notes with velocities from minVelocity (0-1) up to the next layer's.
+ */
+
+/**
+ * A sampled instrument.
+ * @typedef {{
+ *   name: string,
+ *   path: string,
+ *   velocityLayers?: readonly VelocityLayer[],
+ *   format: string,
+ *   envelope: Envelope,
+ *   midiRange: { lowest: number, highest: number },
+ *   unsampled?: readonly number[],
+ * }} Instrument
+ * path is the folder of its samples under SAMPLES_BASE, and format their file extension.
+ * velocityLayers, softest first, replace path for instruments sampled at several dynamics.
+ * midiRange is the MIDI notes sampled, inclusive; notes outside it play the nearest sample, repitched.
+ * unsampled lists notes within midiRange without a sample, also played by repitching a neighbour.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Instrument registry.
+ * Add new entries here to automatically expand InstrumentKey type, along with their samples.
+ */
+export const INSTRUMENTS = /** @type {const} @satisfies {Record<string, Instrument>} */ ({
+    trumpet: {
+        name: 'Trumpet',
+        path: 'trumpet/',
+        format: 'mp3',
+        envelope: { attack: 0.015, decay: 0.2, sustain: 0.8, release: 0.35 },    // Softens the tongued start, eases off like breath
+        midiRange: { lowest: 60, highest: 79 },   // C4-G5
+        unsampled: [61, 68, 73, 78],
+    },
+    saxophone: {
+        name: 'Alto Sax',
+        path: 'saxophone/',
+        format: 'mp3',
+        envelope: { attack: 0.02, decay: 0.15, sustain: 0.85, release: 0.3 },
+        midiRange: { lowest: 49, highest: 81 },   // D♭3-A5
+        unsampled: [57],
+    },
+    piano: {
+        name: 'Piano',
+        path: 'piano/',
+        format: 'mp3',
+        envelope: { attack: 0.002, decay: 1.2, sustain: 0.5, release: 0.6 },     // Lets the strings ring like a released damper
+        midiRange: { lowest: 41, highest: 108 },  // F2-C8, every note the tracks reach in any key
+    },
+    guitar: {
+        name: 'Guitar',
+        path: 'guitar/',
+        format: 'mp3',
+        envelope: { attack: 0.002, decay: 0.8, sustain: 0.6, release: 0.25 },
+        midiRange: { lowest: 38, highest: 74 },   // D2-D5
+    },
+});
+
+export const DEFAULT_INSTRUMENT = /** @type {InstrumentKey} */ ('trumpet');
+
+/**
+ * How notes connect. Legato glides a note into the next one played by the same input while it still sounds,
+ * instead of cutting it and attacking again. Staccato releases every note over STACCATO_RELEASE.
+ */
+export const ARTICULATIONS = /** @type {const} */ ({
+    normal: { name: 'Normal' },
+    legato: { name: 'Legato' },
+    staccato: { name: 'Staccato' },
+});
+
+export const DEFAULT_ARTICULATION = /** @type {Articulation} */ ('normal');
+
+/**
+ * Which voice to steal when playing past the polyphony limit: the one started longest ago, or the one playing softest.
+ */
+export const VOICE_STEALING = /** @type {const} */ ({
+    oldest: { name: 'Oldest' },
+    quietest: { name: 'Quietest' },
+});
+
+export const MAX_VOICES_OPTIONS = /** @type {const} */ ([8, 16, 32, 64]);
+
+/** @type {PolyphonySettings} */
+export const POLYPHONY_DEFAULTS = {
+    maxVoices: 16,          // Enough for glissandos and chords, few enough for low-end phones
+    stealing: 'oldest',
+};
+
+export const STEAL_RELEASE = 0.01;      // seconds, fast enough to free the voice without a click
+
+export const DEFAULT_VELOCITY = 1;      // Notes from inputs that don't measure velocity play at full
+
+export const STACCATO_RELEASE = 0.05;   // seconds
+export const LEGATO_GLIDE_TIME = 0.06;  // seconds to glide pitch and gain into the next note
+
+export const MAX_BEND_CENTS = 200;      // A whole step either way, about as far as a string or lip bend goes
+export const BEND_SMOOTHING = 0.015;    // seconds, time constant a bend follows its input with, so it doesn't step
+
+// Notes without a sample play the nearest one within this many semitones, repitched. Further repitching sounds unnatural.
+export const MAX_REPITCH_SEMITONES = 3;
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * @param {InstrumentKey} instrumentKey
+ * @returns {readonly VelocityLayer[]} the instrument's velocity layers, or its one folder of samples as a layer for all velocities
+ */
+export function getVelocityLayers(instrumentKey) {
+    const instrument = /** @type {Instrument} */ (INSTRUMENTS[instrumentKey]);
+    return instrument.velocityLayers ?? [{ minVelocity: 0, path: instrument.path }];
+}
+
+/**
+ * @param {InstrumentKey} instrumentKey
+ * @param {number} midiNumber
+ * @returns {number} the nearest MIDI number the instrument has a sample for
+ */
+export function clampToInstrumentRange(instrumentKey, midiNumber) {
+    const { lowest, highest } = INSTRUMENTS[instrumentKey].midiRange;
+    return Math.min(Math.max(midiNumber, lowest), highest);
+}
+
+/**
+ * @param {InstrumentKey} instrumentKey
+ * @param {number[]} midiNumbers
+ * @returns {number[]} the samples to load for playing the notes: each clamped to the instrument's midiRange, without
+ * duplicates or unsampled notes
+ */
+export function getSampleMidiNumbers(instrumentKey, midiNumbers) {
+    const { unsampled = [] } = /** @type {Instrument} */ (INSTRUMENTS[instrumentKey]);
+    const clamped = midiNumbers.map(midiNumber => clampToInstrumentRange(instrumentKey, midiNumber));
+    return [...new Set(clamped)].filter(midiNumber => !unsampled.includes(midiNumber));
+}
+
+/**
+ * @param {InstrumentKey} instrumentKey
+ * @param {number} midiNumber
+ * @returns {boolean} whether the instrument can sound the note: within its midiRange, or MAX_REPITCH_SEMITONES outside it
+ */
+export function isInPlayableRange(instrumentKey, midiNumber) {
+    const { lowest, highest } = INSTRUMENTS[instrumentKey].midiRange;
+    return midiNumber >= lowest - MAX_REPITCH_SEMITONES && midiNumber <= highest + MAX_REPITCH_SEMITONES;
+}
@@ -0,0 +1,28 @@
+/**
+ * Worker behind TimeStretcher (see /src/audio/TimeStretcher.js), stretching audio off the main thread.
+ *
+ * Messages in: { id: number, channels: Float32Array[], rate: number }, with the channels' buffers transferred
+ * Messages out: { id: number, channels: Float32Array[] } with the stretched channels transferred, or { id: number, error: string }
+ */
+
+import { getStretchedLength, stretchChannels } from './time-stretch';
+
+/** @typedef {{ id: number, channels: Float32Array[], rate: number }} StretchRequest */
+/** @typedef {{ id: number, channels: Float32Array[] } | { id: number, error: string }} StretchResponse */
+
+const worker = /** @type {{
+    postMessage: (message: StretchResponse, transfer?: Transferable[]) => void,
+    onmessage: ((event: MessageEvent<StretchRequest>) => void) | null,
+}} */ (/** @type {unknown} */ (self));
+
+worker.onmessage = (/** @type {MessageEvent<StretchRequest>} */ event) => {
+    const { id, channels, rate } = event.data;
+    try {
+        const outputLength = getStretchedLength(channels[0].length, rate);
+        const outputs = channels.map(() => new Float32Array(outputLength));
+        stretchChannels(channels, outputs, rate);
+        worker.postMessage({ id, channels: outputs }, outputs.map(output => output.buffer));
+    } catch (error) {
+        worker.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+    }
+};
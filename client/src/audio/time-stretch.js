@@ -0,0 +1,146 @@
+/**
+ * Offline time-stretching for decoded audio, keeping pitch.
+ * Used where the playback rate of an AudioBufferSourceNode would also change pitch (e.g. a decoded backing track at another tempo).
+ * Plain arrays in and out, so it runs in a worker as well (see /src/audio/time-stretch-worker.js).
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const FRAME_SIZE = 2048;                // samples per windowed frame (~46 ms at 44.1 kHz)
+const OUTPUT_HOP = FRAME_SIZE / 2;      // 50% overlap, so Hann windows sum to 1
+const SEARCH_TOLERANCE = 512;           // samples either side of the nominal input position to look for the best match
+const COARSE_STEP = 16;                 // search step before refining around the best coarse match
+const CORRELATION_STEP = 8;             // compare every nth sample when matching waveforms
+
+/** @type {Float32Array | null} */
+let hannWindow = null;
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * @returns {Float32Array}
+ */
+function getHannWindow() {
+    if (!hannWindow) {
+        hannWindow = new Float32Array(FRAME_SIZE);
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            hannWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+        }
+    }
+    return hannWindow;
+}
+
+/**
+ * Similarity of two stretches of a signal, compared over one output hop.
+ * @param {Float32Array} signal
+ * @param {number} a - start of the first stretch
+ * @param {number} b - start of the second stretch
+ * @returns {number}
+ */
+function correlate(signal, a, b) {
+    let sum = 0;
+    const end = Math.min(OUTPUT_HOP, signal.length - a, signal.length - b);
+    for (let i = 0; i < end; i += CORRELATION_STEP) {
+        sum += signal[a + i] * signal[b + i];
+    }
+    return sum;
+}
+
+/**
+ * Find the input position near `nominal` whose waveform best continues from `target` (WSOLA).
+ * @param {Float32Array} signal
+ * @param {number} target - where the previous frame's waveform naturally continues
+ * @param {number} nominal - input position for the frame at the stretched rate
+ * @returns {number}
+ */
+function findBestOffset(signal, target, nominal) {
+    const min = Math.max(0, nominal - SEARCH_TOLERANCE);
+    const max = Math.min(signal.length - 1, nominal + SEARCH_TOLERANCE);
+
+    /**
+     * @param {number} from
+     * @param {number} to
+     * @param {number} step
+     * @param {number} initial
+     */
+    const search = (from, to, step, initial) => {
+        let best = initial;
+        let bestScore = -Infinity;
+        for (let offset = from; offset <= to; offset += step) {
+            const score = correlate(signal, target, offset);
+            if (score > bestScore) {
+                bestScore = score;
+                best = offset;
+            }
+        }
+        return best;
+    };
+
+    const coarse = search(min, max, COARSE_STEP, nominal);
+    return search(Math.max(min, coarse - COARSE_STEP), Math.min(max, coarse + COARSE_STEP), 1, coarse);
+}
+
+/**
+ * @param {number} inputLength - in samples
+ * @param {number} rate - playback rate
+ * @returns {number} length in samples of the input stretched by rate
+ */
+export function getStretchedLength(inputLength, rate) {
+    if (!(rate > 0)) {
+        throw new Error(`Invalid stretch rate ${rate}. Must be positive.`);
+    }
+    return Math.ceil(inputLength / rate);
+}
+
+/**
+ * Time-stretch channels of audio without changing their pitch, using waveform-similarity overlap-add (WSOLA).
+ * Runs synchronously and takes around a second for a several-minute track, so call it from a worker
+ * (see /src/audio/TimeStretcher.js) rather than the main thread.
+ * @param {Float32Array[]} inputs - one array of samples per channel
+ * @param {Float32Array[]} outputs - as many zeroed arrays, getStretchedLength() long, to add the stretched audio to
+ * @param {number} rate - playback rate, e.g. 0.8 makes the audio 1.25× as long, positive
+ */
+export function stretchChannels(inputs, outputs, rate) {
+    const inputLength = inputs[0].length;
+    const outputLength = outputs[0].length;
+    const guide = inputs[0]; // Match waveforms on the first channel, apply the same offsets to all
+    const hann = getHannWindow();
+
+    let previousOffset = 0;
+    for (let frame = 0, outputPosition = 0; outputPosition < outputLength; frame++, outputPosition += OUTPUT_HOP) {
+        const nominal = Math.round(frame * OUTPUT_HOP * rate);
+        if (nominal >= inputLength) break;
+        const offset = frame === 0 ? 0 : findBestOffset(guide, previousOffset + OUTPUT_HOP, nominal);
+
+        const length = Math.min(FRAME_SIZE, inputLength - offset, outputLength - outputPosition);
+        for (let c = 0; c < inputs.length; c++) {
+            const input = inputs[c];
+            const out = outputs[c];
+            for (let i = 0; i < length; i++) {
+                out[outputPosition + i] += input[offset + i] * hann[i];
+            }
+        }
+        previousOffset = offset;
+    }
+}
+
+/**
+ * Time-stretch an AudioBuffer without changing its pitch, on the calling thread (see stretchChannels()).
+ * @param {BaseAudioContext} audioContext - to create the output buffer
+ * @param {AudioBuffer} buffer
+ * @param {number} rate - playback rate, e.g. 0.8 makes the audio 1.25× as long
+ * @returns {AudioBuffer} the same buffer if rate is 1
+ */
+export function stretchAudioBuffer(audioContext, buffer, rate) {
+    if (rate === 1) return buffer;
+    const outputLength = getStretchedLength(buffer.length, rate);
+    const output = audioContext.createBuffer(buffer.numberOfChannels, outputLength, buffer.sampleRate);
+    const inputs = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    const outputs = Array.from({ length: buffer.numberOfChannels }, (_, c) => output.getChannelData(c));
+    stretchChannels(inputs, outputs, rate);
+    return output;
+}
@@ -0,0 +1,31 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { ARTICULATIONS } from '../../audio/instrument-data';
+/** @typedef {import('/src/audio/instrument-data.js').Articulation} Articulation */
+
+/**
+ * Choose how notes connect: normally, gliding into each other (legato), or clipped short (staccato).
+ */
+export function ArticulationSelect() {
+    const { articulation, setArticulation } = useStudio();
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleSelect = (e) => {
+        setArticulation(/** @type {Articulation} */ (e.target.value));
+    };
+
+    return (
+        <div className="articulation-select-wrapper">
+            <label htmlFor="articulation-select">Articulation:</label>
+            <select
+                id="articulation-select"
+                className="articulation-select"
+                value={articulation}
+                onChange={handleSelect}
+            >
+                {Object.entries(ARTICULATIONS).map(([articulationKey, { name }]) => (
+                    <option key={articulationKey} value={articulationKey}>{name}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
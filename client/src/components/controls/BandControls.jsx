@@ -0,0 +1,67 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { BAND_PARTS } from '../../audio/band-data';
+import { AUDIO_CONFIG } from '../../constants';
+/** @typedef {import('/src/constants.js').BackingSource} BackingSource */
+
+const BACKING_SOURCE_LABELS = /** @type {Record<BackingSource, string>} */ ({
+    recording: 'Recording',
+    decoded: 'Recording (sample-accurate)',
+    band: 'Synth band',
+});
+
+const PART_LABELS = {
+    bass: 'Bass',
+    comping: 'Comping',
+    drums: 'Drums',
+};
+
+/**
+ * Choose between the recorded backing track and the synthesized band, and mute parts of the band.
+ */
+export function BandControls() {
+    const { backingTrack, backingSource, setBackingSource, mutedBandParts, setBandPartMuted } = useStudio();
+    const { playbackState } = usePlayback();
+    const isStopped = playbackState === 'stopped'; // Switching tears down the current backing track
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleSelect = (e) => {
+        setBackingSource(/** @type {BackingSource} */ (e.target.value));
+    };
+
+    return (
+        <div className="backing-source-select-wrapper">
+            <label htmlFor="backing-source-select">Backing:</label>
+            <select
+                id="backing-source-select"
+                className="backing-source-select"
+                value={backingSource}
+                onChange={handleSelect}
+                disabled={!isStopped}
+                title={isStopped ? undefined : 'Stop playback to change backing'}
+            >
+                {AUDIO_CONFIG.getBackingSources(backingTrack).map(source => (
+                    <option key={source} value={source}>{BACKING_SOURCE_LABELS[source]}</option>
+                ))}
+            </select>
+            {backingSource === 'band' && (
+                <div className="band-parts">
+                    {BAND_PARTS.map(part => {
+                        const isMuted = mutedBandParts.includes(part);
+                        return (
+                            <button
+                                key={part}
+                                className={`band-part-btn ${isMuted ? 'muted' : ''}`}
+                                aria-pressed={!isMuted}
+                                title={isMuted ? `Unmute ${PART_LABELS[part].toLowerCase()}` : `Mute ${PART_LABELS[part].toLowerCase()}`}
+                                onClick={() => setBandPartMuted(part, !isMuted)}
+                            >
+                                {PART_LABELS[part]}
+                            </button>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,100 @@
+import { useEffect } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+import { usePreferences } from '../../contexts/PreferencesContext';
+import { DELAY_DIVISIONS, EQ_BANDS, EQ_GAIN_RANGE_DB, REVERB_IMPULSES } from '../../audio/effects-data';
+/** @typedef {import('/src/audio/effects-data.js').EqBand} EqBand */
+
+/** @type {Record<EqBand, 'eqLow' | 'eqMid' | 'eqHigh'>} */
+const EQ_PREFERENCE_KEYS = {
+    low: 'eqLow',
+    mid: 'eqMid',
+    high: 'eqHigh',
+};
+
+/**
+ * Choose the reverb and delay on the samples and how much of each, and EQ them. Saved in preferences.
+ */
+export function EffectsControls() {
+    const { audioEngine } = useStudio();
+    const { preferences, setPreference } = usePreferences();
+    const { reverbImpulse, reverbMix, delayDivision, delayMix, eqLow, eqMid, eqHigh } = preferences;
+
+    // Sync audio engine settings with preferences
+    useEffect(() => {
+        audioEngine.setEffectsSettings({ reverbImpulse, reverbMix, delayDivision, delayMix, eqLow, eqMid, eqHigh });
+    }, [audioEngine, reverbImpulse, reverbMix, delayDivision, delayMix, eqLow, eqMid, eqHigh]);
+
+    return (
+        <div className="effects-controls">
+            <span className="effects-label">Effects:</span>
+            <div className="effects-row">
+                <label htmlFor="reverb-impulse-select">Reverb</label>
+                <select
+                    id="reverb-impulse-select"
+                    className="effects-select"
+                    value={reverbImpulse}
+                    onChange={e => setPreference('reverbImpulse', e.target.value)}
+                >
+                    {Object.entries(REVERB_IMPULSES).map(([impulse, { name }]) => (
+                        <option key={impulse} value={impulse}>{name}</option>
+                    ))}
+                </select>
+                <input
+                    type="range"
+                    aria-label="Reverb amount"
+                    title="Reverb amount"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={reverbMix}
+                    onChange={e => setPreference('reverbMix', parseFloat(e.target.value))}
+                />
+            </div>
+            <div className="effects-row">
+                <label htmlFor="delay-division-select">Delay</label>
+                <select
+                    id="delay-division-select"
+                    className="effects-select"
+                    value={delayDivision}
+                    onChange={e => setPreference('delayDivision', e.target.value)}
+                >
+                    {Object.entries(DELAY_DIVISIONS).map(([division, { name }]) => (
+                        <option key={division} value={division}>{name}</option>
+                    ))}
+                </select>
+                <input
+                    type="range"
+                    aria-label="Delay amount"
+                    title="Delay amount"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={delayMix}
+                    onChange={e => setPreference('delayMix', parseFloat(e.target.value))}
+                />
+            </div>
+            <div className="effects-eq">
+                <span>EQ</span>
+                {Object.entries(EQ_BANDS).map(([band, { name }]) => {
+                    const preferenceKey = EQ_PREFERENCE_KEYS[/** @type {EqBand} */ (band)];
+                    const gain = preferences[preferenceKey];
+                    return (
+                        <label key={band} className="effects-eq-band">
+                            <input
+                                type="range"
+                                title={`${name}: ${gain > 0 ? '+' : ''}${gain} dB`}
+                                min={EQ_GAIN_RANGE_DB.MIN}
+                                max={EQ_GAIN_RANGE_DB.MAX}
+                                step="1"
+                                value={gain}
+                                onChange={e => setPreference(preferenceKey, parseInt(e.target.value, 10))}
+                                onDoubleClick={() => setPreference(preferenceKey, 0)}
+                            />
+                            {name}
+                        </label>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+import { AUDIO_CONFIG } from '../../constants';
+/** @typedef {import('/src/audio/instrument-data.js').InstrumentKey} InstrumentKey */
+
+/**
+ * Choose the instrument notes play with. Can be switched during playback, its samples load in the background.
+ */
+export function InstrumentSelect() {
+    const { instrument, setInstrument } = useStudio();
+    const [errorMessage, setErrorMessage] = useState(/** @type {string | null} */ (null));
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleSelect = async (e) => {
+        const nextInstrument = /** @type {InstrumentKey} */ (e.target.value);
+        setErrorMessage(null);
+        try {
+            await setInstrument(nextInstrument);
+        } catch (error) {
+            console.error('Failed to switch instrument:', error);
+            setErrorMessage(`Couldn't load the ${AUDIO_CONFIG.instruments[nextInstrument].name.toLowerCase()} samples`);
+        }
+    };
+
+    return (
+        <div className="instrument-select-wrapper">
+            <label htmlFor="instrument-select">Instrument:</label>
+            <select
+                id="instrument-select"
+                className="instrument-select"
+                value={instrument}
+                onChange={handleSelect}
+            >
+                {Object.entries(AUDIO_CONFIG.instruments).map(([instrumentKey, { name }]) => (
+                    <option key={instrumentKey} value={instrumentKey}>{name}</option>
+                ))}
+            </select>
+            {errorMessage && <span className="instrument-error" role="alert">{errorMessage}</span>}
+        </div>
+    );
+}
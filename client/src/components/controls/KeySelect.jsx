@@ -0,0 +1,36 @@
+import { usePreferences } from '../../contexts/PreferencesContext';
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { KEYS } from '../../theory/key-data';
+import { AUDIO_CONFIG } from '../../constants';
+
+export function KeySelect() {
+    const { setPreference } = usePreferences();
+    const { backingTrack, backingSource } = useStudio();
+    const { playbackState, playbackKey } = usePlayback();
+    const playableKeys = AUDIO_CONFIG.getPlayableKeys(backingTrack, backingSource); // Recordings only in keys rendered
+    const isStopped = playbackState === 'stopped'; // Changing key reloads the backing track
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleSelect = (e) => {
+        setPreference('key', e.target.value);
+    };
+
+    return (
+        <div className="key-select-wrapper">
+            <label htmlFor="key-select">Key:</label>
+            <select
+                id="key-select"
+                className="key-select"
+                value={playbackKey}
+                onChange={handleSelect}
+                disabled={!isStopped}
+                title={isStopped ? undefined : 'Stop playback to change key'}
+            >
+                {playableKeys.map(key => KEYS[key]).map(({ name, display }) => (
+                    <option key={name} value={name}>{display}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
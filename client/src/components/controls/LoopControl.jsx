@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { AUDIO_CONFIG } from '../../constants';
+/** @typedef {import('../../timing/progression-data').LoopRegion} LoopRegion */
+
+const DEFAULT_LOOP_MEASURES = 4; // Loop the last measures of the form by default, e.g. a blues turnaround
+
+/**
+ * Toggle looping and choose the measures of the form to loop. Recording always runs through the whole track.
+ */
+export function LoopControl() {
+    const { backingTrack, loopRegion, setLoopRegion } = useStudio();
+    const { isRecording } = usePlayback();
+    const formMeasures = AUDIO_CONFIG.backingTracks[backingTrack].progression.form.length;
+    const [range, setRange] = useState(/** @type {LoopRegion} */ ({
+        startMeasure: Math.max(1, formMeasures - DEFAULT_LOOP_MEASURES + 1),
+        endMeasure: formMeasures,
+    }));
+
+    // The selected range outlives switching tracks, keep it within the form
+    const endMeasure = Math.min(range.endMeasure, formMeasures);
+    const startMeasure = Math.min(range.startMeasure, endMeasure);
+    const isLooping = loopRegion !== null;
+    const measures = Array.from({ length: formMeasures }, (_, i) => i + 1);
+
+    /** @param {LoopRegion} next */
+    const updateRange = (next) => {
+        setRange(next);
+        if (isLooping) setLoopRegion(next);
+    };
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleStartSelect = (e) => {
+        const start = parseInt(e.target.value, 10);
+        updateRange({ startMeasure: start, endMeasure: Math.max(start, endMeasure) });
+    };
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleEndSelect = (e) => {
+        const end = parseInt(e.target.value, 10);
+        updateRange({ startMeasure: Math.min(startMeasure, end), endMeasure: end });
+    };
+
+    return (
+        <div className="loop-control">
+            <button
+                className={`loop-btn ${isLooping ? 'active' : ''}`}
+                aria-pressed={isLooping}
+                title={isRecording ? 'Stop recording to loop' : 'Repeat the selected measures'}
+                onClick={() => setLoopRegion(isLooping ? null : { startMeasure, endMeasure })}
+                disabled={isRecording}
+            >
+                Loop
+            </button>
+            <label htmlFor="loop-start-select" className="sr-only">Loop start measure</label>
+            <select
+                id="loop-start-select"
+                className="loop-select"
+                value={startMeasure}
+                onChange={handleStartSelect}
+                disabled={isRecording}
+            >
+                {measures.map(measure => <option key={measure} value={measure}>{measure}</option>)}
+            </select>
+            <span aria-hidden="true">–</span>
+            <label htmlFor="loop-end-select" className="sr-only">Loop end measure</label>
+            <select
+                id="loop-end-select"
+                className="loop-select"
+                value={endMeasure}
+                onChange={handleEndSelect}
+                disabled={isRecording}
+            >
+                {measures.map(measure => <option key={measure} value={measure}>{measure}</option>)}
+            </select>
+        </div>
+    );
+}
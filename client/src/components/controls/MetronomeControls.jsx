@@ -0,0 +1,62 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { MAX_COUNT_IN_BARS } from '../../audio/Metronome';
+
+/**
+ * Toggle the metronome and its backbeat mode, choose a generated count-in, and whether recordings capture clicks.
+ * Its volume is in VolumePanel.
+ */
+export function MetronomeControls() {
+    const { metronomeSettings, setMetronomeSettings } = useStudio();
+    const { isRecording } = usePlayback();
+    const { enabled, backbeat, countInBars, inRecordings } = metronomeSettings;
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleCountInSelect = (e) => {
+        setMetronomeSettings({ countInBars: parseInt(e.target.value, 10) });
+    };
+
+    return (
+        <div className="metronome-controls">
+            <span className="metronome-label">Metronome:</span>
+            <div className="metronome-options">
+                <button
+                    className={`metronome-btn ${enabled ? 'active' : ''}`}
+                    aria-pressed={enabled}
+                    onClick={() => setMetronomeSettings({ enabled: !enabled })}
+                >
+                    {enabled ? 'On' : 'Off'}
+                </button>
+                <button
+                    className={`metronome-btn ${backbeat ? 'active' : ''}`}
+                    aria-pressed={backbeat}
+                    title="Click only on beats 2 and 4"
+                    onClick={() => setMetronomeSettings({ backbeat: !backbeat })}
+                >
+                    2 & 4
+                </button>
+                <button
+                    className={`metronome-btn ${inRecordings ? 'active' : ''}`}
+                    aria-pressed={inRecordings}
+                    title={isRecording ? 'Stop recording to change' : 'Include clicks in recordings'}
+                    onClick={() => setMetronomeSettings({ inRecordings: !inRecordings })}
+                    disabled={isRecording}
+                >
+                    Record
+                </button>
+            </div>
+            <label htmlFor="count-in-select">Count-in:</label>
+            <select
+                id="count-in-select"
+                className="count-in-select"
+                value={countInBars}
+                onChange={handleCountInSelect}
+            >
+                <option value={0}>Track only</option>
+                {Array.from({ length: MAX_COUNT_IN_BARS }, (_, i) => i + 1).map(bars => (
+                    <option key={bars} value={bars}>+{bars} {bars === 1 ? 'bar' : 'bars'}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+import { MidiHandler } from '../../input/MidiHandler';
+
+/**
+ * Connect MIDI keyboards to play notes with their velocity while the backing track plays.
+ * Hidden in browsers without Web MIDI.
+ */
+export function MidiControl() {
+    const { midiHandler } = useStudio();
+    const [inputNames, setInputNames] = useState(/** @type {string[] | null} */ (null)); // null until connected
+    const [errorMessage, setErrorMessage] = useState(/** @type {string | null} */ (null));
+
+    // Follow MIDI inputs being plugged in and out
+    useEffect(() => {
+        midiHandler.setOnInputsChange(setInputNames);
+        return () => { midiHandler.setOnInputsChange(null); };
+    }, [midiHandler]);
+
+    if (!MidiHandler.isSupported()) return null;
+
+    const handleConnect = async () => {
+        try {
+            setInputNames(await midiHandler.connect());
+            setErrorMessage(null);
+        } catch (error) {
+            console.error('Failed to connect MIDI:', error);
+            setErrorMessage('MIDI access was denied');
+        }
+    };
+
+    let status = 'Play notes from a MIDI keyboard';
+    if (errorMessage) status = errorMessage;
+    else if (inputNames?.length === 0) status = 'No MIDI inputs found';
+    else if (inputNames) status = inputNames.join(', ');
+
+    return (
+        <div className="midi-control">
+            <span className="midi-label">MIDI:</span>
+            <div className="midi-options">
+                <button
+                    className={`midi-btn ${inputNames?.length ? 'active' : ''}`}
+                    onClick={handleConnect}
+                    disabled={inputNames !== null}
+                >
+                    {inputNames === null ? 'Connect' : 'Connected'}
+                </button>
+                <span className="midi-status" role="status">{status}</span>
+            </div>
+        </div>
+    );
+}
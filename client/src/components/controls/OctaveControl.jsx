@@ -0,0 +1,51 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { AUDIO_CONFIG } from '../../constants';
+
+/**
+ * Shift the octave notes play in, as the keyboard's - and = keys do, and show a second octave of grid rows.
+ * Both only as far as the instrument can reach in the current track and key.
+ * Kept beside the playback controls so touch players can reach it while playing.
+ */
+export function OctaveControl() {
+    const { backingTrack, instrument, octaveShift, setOctaveShift, gridOctaves, setGridOctaves } = useStudio();
+    const { playbackKey } = usePlayback();
+    const shiftRange = AUDIO_CONFIG.getOctaveShiftRange(backingTrack, playbackKey, instrument);
+    const canShowSecondOctave = AUDIO_CONFIG.canReachOctave(backingTrack, playbackKey, instrument, octaveShift + 1);
+    const showsSecondOctave = gridOctaves === 2 && canShowSecondOctave;
+    const shiftLabel = octaveShift > 0 ? `+${octaveShift}` : `${octaveShift}`;
+
+    return (
+        <div className="octave-control">
+            <span className="octave-label">Octave:</span>
+            <button
+                className="octave-btn"
+                aria-label="Octave down"
+                title="Octave down (-)"
+                onClick={() => setOctaveShift(octaveShift - 1)}
+                disabled={octaveShift <= shiftRange.min}
+            >
+                −
+            </button>
+            <span className="octave-shift" aria-live="polite">{shiftLabel}</span>
+            <button
+                className="octave-btn"
+                aria-label="Octave up"
+                title="Octave up (=)"
+                onClick={() => setOctaveShift(octaveShift + 1)}
+                disabled={octaveShift >= shiftRange.max}
+            >
+                +
+            </button>
+            <button
+                className={`octave-btn ${showsSecondOctave ? 'active' : ''}`}
+                aria-pressed={showsSecondOctave}
+                title={canShowSecondOctave ? 'Show a second octave of rows' : 'Out of the instrument\'s range'}
+                onClick={() => setGridOctaves(showsSecondOctave ? 1 : 2)}
+                disabled={!canShowSecondOctave}
+            >
+                2 octaves
+            </button>
+        </div>
+    );
+}
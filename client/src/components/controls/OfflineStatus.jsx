@@ -0,0 +1,57 @@
+import { useRecordings } from '../../contexts/RecordingsContext';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
+import { downloadRecordingZip } from '../../utils';
+/** @typedef {import('/src/contexts/RecordingsContext.jsx').FailedUpload} FailedUpload */
+
+/**
+ * Make clear when the app is offline, that playing and recording still work, and which recordings are waiting to upload.
+ * Recordings the server rejected are listed to download or discard, since retrying won't upload them.
+ * Hidden while online with nothing waiting.
+ */
+export function OfflineStatus() {
+    const isOnline = useOnlineStatus();
+    const { pendingUploadCount, failedUploads, discardPendingUpload } = useRecordings();
+
+    if (isOnline && pendingUploadCount === 0) return null;
+
+    const waitingCount = pendingUploadCount - failedUploads.length;
+    const recordings = waitingCount === 1 ? '1 recording' : `${waitingCount} recordings`;
+    let message = waitingCount > 0 ? `${recordings} waiting to upload` : '';
+    if (!isOnline) {
+        message = waitingCount > 0
+            ? `Playing and recording still work. ${recordings} will upload when you're back online.`
+            : 'Playing and recording still work.';
+    }
+
+    /** @param {FailedUpload} failedUpload */
+    const handleDownload = async ({ upload }) => {
+        try {
+            await downloadRecordingZip(upload.audioBlob, upload.logObject, upload.title);
+        } catch (error) {
+            console.error('Error downloading queued recording:', error);
+        }
+    };
+
+    /** @param {FailedUpload} failedUpload */
+    const handleDiscard = async ({ upload }) => {
+        try {
+            await discardPendingUpload(upload.id);
+        } catch (error) {
+            console.error('Error discarding queued recording:', error);
+        }
+    };
+
+    return (
+        <div className={`offline-status ${isOnline ? '' : 'offline'}`} role="status">
+            {!isOnline && <span className="offline-badge">Offline</span>}
+            {message && <span>{message}</span>}
+            {failedUploads.map(failedUpload => (
+                <div key={failedUpload.upload.id} className="failed-upload">
+                    <span>&quot;{failedUpload.upload.title}&quot; couldn&apos;t upload: {failedUpload.message}</span>
+                    <button className="failed-upload-btn" onClick={() => handleDownload(failedUpload)}>Download</button>
+                    <button className="failed-upload-btn" onClick={() => handleDiscard(failedUpload)}>Discard</button>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -3,6 +3,11 @@ import { faPlay, faPause, faStop, faCircle} from '@fortawesome/free-solid-svg-ic
 import { useCallback, useEffect } from 'react';
 import { usePlayback } from '../../contexts/PlaybackContext';
 import { PlaybackButton } from './PlaybackButton';
+import { LoopControl } from './LoopControl';
+import { OctaveControl } from './OctaveControl';
+import { Timeline } from './Timeline';
+import { SampleLoadProgress } from './SampleLoadProgress';
+import { OfflineStatus } from './OfflineStatus';
 import { SaveDialog } from '../dialogs/SaveDialog';
 import { ErrorDialog } from '../dialogs/ErrorDialog';
 
@@ -88,6 +93,11 @@ export function PlaybackControls() {
             >
                 {recordIcon}   
             </PlaybackButton>
+            <LoopControl />
+            <OctaveControl />
+            <Timeline />
+            <SampleLoadProgress />
+            <OfflineStatus />
             <span role="status" className="sr-only">
                 {isRecording ? 'Recording in progress' : ''}
             </span>
@@ -0,0 +1,53 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { MAX_VOICES_OPTIONS, VOICE_STEALING } from '../../audio/instrument-data';
+/** @typedef {import('/src/audio/instrument-data.js').VoiceStealing} VoiceStealing */
+
+/**
+ * Choose how many notes can sound at once, fading ones included, and which note makes way for another past that.
+ */
+export function PolyphonyControls() {
+    const { polyphonySettings, setPolyphonySettings } = useStudio();
+    const { maxVoices, stealing } = polyphonySettings;
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleMaxVoicesSelect = (e) => {
+        setPolyphonySettings({ maxVoices: parseInt(e.target.value, 10) });
+    };
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleStealingSelect = (e) => {
+        setPolyphonySettings({ stealing: /** @type {VoiceStealing} */ (e.target.value) });
+    };
+
+    return (
+        <div className="polyphony-controls">
+            <span className="polyphony-label">Voices:</span>
+            <div className="polyphony-options">
+                <label htmlFor="max-voices-select" className="sr-only">Most notes at once</label>
+                <select
+                    id="max-voices-select"
+                    className="polyphony-select"
+                    title="Most notes sounding at once, including fading ones"
+                    value={maxVoices}
+                    onChange={handleMaxVoicesSelect}
+                >
+                    {MAX_VOICES_OPTIONS.map(voices => (
+                        <option key={voices} value={voices}>{voices}</option>
+                    ))}
+                </select>
+                <label htmlFor="voice-stealing-select" className="sr-only">Past that, cut</label>
+                <select
+                    id="voice-stealing-select"
+                    className="polyphony-select"
+                    title="Which note to cut to play another past the limit"
+                    value={stealing}
+                    onChange={handleStealingSelect}
+                >
+                    {Object.entries(VOICE_STEALING).map(([stealingKey, { name }]) => (
+                        <option key={stealingKey} value={stealingKey}>cut {name.toLowerCase()}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+}
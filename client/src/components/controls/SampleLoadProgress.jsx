@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+/** @typedef {import('../../audio/AudioEngine').SampleLoadProgress} SampleLoadProgress */
+
+/**
+ * Show how many of the instrument's samples have loaded, while they load: on first play, and when switching
+ * instrument, track or key. Hidden once they're loaded.
+ */
+export function SampleLoadProgress() {
+    const { audioEngine } = useStudio();
+    const [progress, setProgress] = useState(/** @type {SampleLoadProgress | null} */ (null));
+
+    useEffect(() => {
+        audioEngine.setOnSamplesProgress(setProgress);
+        return () => { audioEngine.setOnSamplesProgress(null); };
+    }, [audioEngine]);
+
+    if (!progress || progress.loaded >= progress.total) return null;
+
+    return (
+        <div className="sample-load-progress" role="status">
+            <label htmlFor="sample-load-progress-bar">Loading samples</label>
+            <progress id="sample-load-progress-bar" value={progress.loaded} max={progress.total} />
+            <span>{progress.loaded}/{progress.total}</span>
+        </div>
+    );
+}
@@ -2,6 +2,17 @@ import { useAuth } from '../../contexts/AuthContext';
 import { AuthControls } from './AuthControls';
 import { InstructionsButton } from './InstructionsButton';
 import { DifficultySelect } from './DifficultySelect';
+import { TrackSelect } from './TrackSelect';
+import { InstrumentSelect } from './InstrumentSelect';
+import { ArticulationSelect } from './ArticulationSelect';
+import { PolyphonyControls } from './PolyphonyControls';
+import { EffectsControls } from './EffectsControls';
+import { BandControls } from './BandControls';
+import { TempoControl } from './TempoControl';
+import { TempoTrainerControls } from './TempoTrainerControls';
+import { MetronomeControls } from './MetronomeControls';
+import { KeySelect } from './KeySelect';
+import { MidiControl } from './MidiControl';
 import { LibraryDrawer } from './drawers/LibraryDrawer';
 import { useMediaQuery } from '../../hooks/useMediaQuery';
 
@@ -17,6 +28,17 @@ export function SettingsPanel() {
             </div>
             <InstructionsButton />
             <DifficultySelect />
+            <TrackSelect />
+            <InstrumentSelect />
+            <ArticulationSelect />
+            <PolyphonyControls />
+            <EffectsControls />
+            <BandControls />
+            <TempoControl />
+            <TempoTrainerControls />
+            <MetronomeControls />
+            <KeySelect />
+            <MidiControl />
         </div>
     );
 }
\ No newline at end of file
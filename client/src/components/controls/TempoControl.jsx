@@ -0,0 +1,31 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { AUDIO_CONFIG, TEMPO_RATES } from '../../constants';
+
+/**
+ * Slider for backing track tempo in BPM. The track is time-stretched, so it keeps its key.
+ */
+export function TempoControl() {
+    const { backingTrack, tempo, setTempo } = useStudio();
+    const recordedBpm = AUDIO_CONFIG.backingTracks[backingTrack].bpm;
+    const bpm = Math.round(recordedBpm * tempo);
+
+    /** @param {import('react').ChangeEvent<HTMLInputElement>} e */
+    const handleTempoChange = (e) => {
+        setTempo(parseInt(e.target.value, 10) / recordedBpm);
+    };
+
+    return (
+        <div className="tempo-control">
+            <label htmlFor="tempo-slider">Tempo: {bpm} BPM</label>
+            <input
+                id="tempo-slider"
+                type="range"
+                min={Math.ceil(recordedBpm * TEMPO_RATES.MIN)}
+                max={Math.floor(recordedBpm * TEMPO_RATES.MAX)}
+                step="1"
+                value={bpm}
+                onChange={handleTempoChange}
+            />
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { AUDIO_CONFIG, TEMPO_RATES } from '../../constants';
+import { TEMPO_TRAINER_STEPS_BPM } from '../../timing/TempoTrainer';
+
+const TARGET_BPM_INCREMENT = 5;
+
+/**
+ * Toggle the tempo trainer, and choose how much it speeds up each chorus and the tempo it stops at.
+ */
+export function TempoTrainerControls() {
+    const { backingTrack, tempoTrainerSettings, setTempoTrainerSettings } = useStudio();
+    const { enabled, stepBpm, targetBpm } = tempoTrainerSettings;
+    const recordedBpm = AUDIO_CONFIG.backingTracks[backingTrack].bpm;
+    const minBpm = Math.ceil(recordedBpm * TEMPO_RATES.MIN / TARGET_BPM_INCREMENT) * TARGET_BPM_INCREMENT;
+    const maxBpm = Math.floor(recordedBpm * TEMPO_RATES.MAX);
+    const targets = Array.from(
+        { length: Math.floor((maxBpm - minBpm) / TARGET_BPM_INCREMENT) + 1 },
+        (_, i) => minBpm + i * TARGET_BPM_INCREMENT,
+    );
+    if (targets[targets.length - 1] !== maxBpm) targets.push(maxBpm);
+    // The target outlives switching tracks, keep it within this one's range
+    const target = Math.min(Math.max(targetBpm, minBpm), maxBpm);
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleStepSelect = (e) => {
+        setTempoTrainerSettings({ stepBpm: parseInt(e.target.value, 10) });
+    };
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleTargetSelect = (e) => {
+        setTempoTrainerSettings({ targetBpm: parseInt(e.target.value, 10) });
+    };
+
+    return (
+        <div className="tempo-trainer-controls">
+            <span className="tempo-trainer-label">Tempo trainer:</span>
+            <div className="tempo-trainer-options">
+                <button
+                    className={`tempo-trainer-btn ${enabled ? 'active' : ''}`}
+                    aria-pressed={enabled}
+                    title="Speed up after every chorus"
+                    onClick={() => setTempoTrainerSettings({ enabled: !enabled, targetBpm: target })}
+                >
+                    {enabled ? 'On' : 'Off'}
+                </button>
+                <label htmlFor="tempo-trainer-step-select" className="sr-only">Speed up each chorus by</label>
+                <select
+                    id="tempo-trainer-step-select"
+                    className="tempo-trainer-select"
+                    value={stepBpm}
+                    onChange={handleStepSelect}
+                >
+                    {TEMPO_TRAINER_STEPS_BPM.map(step => (
+                        <option key={step} value={step}>+{step} BPM</option>
+                    ))}
+                </select>
+                <label htmlFor="tempo-trainer-target-select" className="sr-only">Up to</label>
+                <select
+                    id="tempo-trainer-target-select"
+                    className="tempo-trainer-select"
+                    value={target}
+                    onChange={handleTargetSelect}
+                >
+                    {targets.map(bpm => (
+                        <option key={bpm} value={bpm}>to {bpm}</option>
+                    ))}
+                </select>
+            </div>
+        </div>
+    );
+}
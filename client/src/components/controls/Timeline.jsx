@@ -0,0 +1,152 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { getTransposition, transposeChord, transposeChordName } from '../../theory/key-data';
+import { AUDIO_CONFIG, TIMING_EVENTS } from '../../constants';
+/** @typedef {import('../../timing/TimingEngine').TimingPosition} TimingPosition */
+
+/**
+ * @typedef {{ measure: number, chorus: number }} TimelinePosition
+ * measure is 1-indexed within the form, chorus counts choruses completed (loopsCompleted).
+ */
+
+/**
+ * @param {TimingPosition} position
+ * @returns {TimelinePosition | null} null outside the form, e.g. during the count-in or ending
+ */
+function toTimelinePosition({ section, measureNumberInProgression, loopsCompleted }) {
+    if (section !== 'form' || measureNumberInProgression === null) return null;
+    return { measure: measureNumberInProgression, chorus: loopsCompleted };
+}
+
+/**
+ * The form's measures with their chords, highlighting the one playing. Click or drag across it to seek
+ * while playing or paused; arrow keys step a measure, Page Up/Down a chorus.
+ */
+export function Timeline() {
+    const { timingEngine, backingTrack, loopRegion } = useStudio();
+    const { playbackState, playbackKey, isRecording, seek } = usePlayback();
+    const [position, setPosition] = useState(/** @type {TimelinePosition | null} */ (null));
+    const measuresRef = useRef(/** @type {HTMLOListElement | null} */ (null));
+    const lastScrubbedRef = useRef(/** @type {number | null} */ (null));
+    const track = AUDIO_CONFIG.backingTracks[backingTrack];
+    const { form, choruses } = track.progression;
+    const canSeek = playbackState !== 'stopped' && !isRecording;
+
+    // Chord display names per measure, in the current key
+    const measureLabels = useMemo(() => {
+        const transposition = getTransposition(track.key, playbackKey);
+        return form.map(measure => measure.trim().split(/\s+/).map(chordName => {
+            const chord = /** @type {Record<string, import('../../constants').ChordDefinition>} */ (track.chords)[chordName];
+            return chord ? transposeChord(chord, transposition).display : transposeChordName(chordName, transposition);
+        }).join(' '));
+    }, [track, form, playbackKey]);
+
+    // Follow measures as they are scheduled, and jump with seeks
+    useEffect(() => {
+        const unsubscribes = [
+            timingEngine.on(TIMING_EVENTS.MEASURE, beat => setPosition(toTimelinePosition(beat.position))),
+            timingEngine.on(TIMING_EVENTS.SEEK, ({ position }) => setPosition(toTimelinePosition(position))),
+            timingEngine.on(TIMING_EVENTS.PHASE_CHANGE, ({ phase }) => {
+                if (phase !== 'playing') setPosition(null);
+            }),
+        ];
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [timingEngine]);
+
+    const chorus = position?.chorus ?? 0;
+
+    /**
+     * @param {number} measure - 1-indexed, may run past either end of the form into the next or previous chorus
+     * @param {number} targetChorus
+     */
+    const seekTo = (measure, targetChorus) => {
+        const formMeasures = form.length;
+        const absolute = Math.min(Math.max(0, targetChorus * formMeasures + measure - 1), choruses * formMeasures - 1);
+        seek(absolute % formMeasures + 1, Math.floor(absolute / formMeasures));
+    };
+
+    /** @param {import('react').PointerEvent<HTMLOListElement>} e */
+    const scrubTo = (e) => {
+        const rect = measuresRef.current?.getBoundingClientRect();
+        if (!rect || rect.width === 0) return;
+        const fraction = Math.min(Math.max(0, (e.clientX - rect.left) / rect.width), 0.9999);
+        const measure = Math.floor(fraction * form.length) + 1;
+        if (measure === lastScrubbedRef.current) return;
+        lastScrubbedRef.current = measure;
+        seekTo(measure, chorus);
+    };
+
+    /** @param {import('react').PointerEvent<HTMLOListElement>} e */
+    const handlePointerDown = (e) => {
+        if (!canSeek) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        lastScrubbedRef.current = null;
+        scrubTo(e);
+    };
+
+    /** @param {import('react').PointerEvent<HTMLOListElement>} e */
+    const handlePointerMove = (e) => {
+        if (!canSeek || !e.currentTarget.hasPointerCapture(e.pointerId)) return;
+        scrubTo(e);
+    };
+
+    /** @param {import('react').KeyboardEvent<HTMLOListElement>} e */
+    const handleKeyDown = (e) => {
+        if (!canSeek) return;
+        const measure = position?.measure ?? 1;
+        /** @type {Record<string, () => void>} */
+        const actions = {
+            ArrowLeft: () => seekTo(measure - 1, chorus),
+            ArrowRight: () => seekTo(measure + 1, chorus),
+            PageUp: () => seekTo(measure, chorus - 1),
+            PageDown: () => seekTo(measure, chorus + 1),
+            Home: () => seekTo(1, chorus),
+            End: () => seekTo(form.length, chorus),
+        };
+        const action = actions[e.key];
+        if (!action) return;
+        e.preventDefault();
+        e.stopPropagation(); // Keep arrow keys from the note keyboard
+        action();
+    };
+
+    /** @param {number} measure */
+    const isInLoop = (measure) => loopRegion !== null &&
+        measure >= loopRegion.startMeasure && measure <= loopRegion.endMeasure;
+
+    return (
+        <div className={`timeline ${canSeek ? '' : 'disabled'}`}>
+            <span className="timeline-chorus">Chorus {chorus + 1}/{choruses}</span>
+            <ol
+                ref={measuresRef}
+                className="timeline-measures"
+                role="slider"
+                tabIndex={canSeek ? 0 : -1}
+                aria-label="Timeline"
+                aria-valuemin={1}
+                aria-valuemax={form.length}
+                aria-valuenow={position?.measure ?? 1}
+                aria-valuetext={position ? `Measure ${position.measure} of chorus ${chorus + 1}` : 'Not playing'}
+                aria-disabled={!canSeek}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onKeyDown={handleKeyDown}
+            >
+                {measureLabels.map((label, i) => (
+                    <li
+                        key={i}
+                        className={[
+                            'timeline-measure',
+                            position?.measure === i + 1 ? 'current' : '',
+                            isInLoop(i + 1) ? 'looped' : '',
+                        ].join(' ')}
+                    >
+                        <span className="timeline-measure-number">{i + 1}</span>
+                        <span className="timeline-measure-chord">{label}</span>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+}
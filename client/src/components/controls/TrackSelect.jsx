@@ -0,0 +1,33 @@
+import { useStudio } from '../../contexts/StudioContext';
+import { usePlayback } from '../../contexts/PlaybackContext';
+import { AUDIO_CONFIG } from '../../constants';
+/** @typedef {import('/src/constants.js').BackingTrackKey} BackingTrackKey */
+
+export function TrackSelect() {
+    const { backingTrack, setBackingTrack } = useStudio();
+    const { playbackState } = usePlayback();
+    const isStopped = playbackState === 'stopped'; // Changing track reloads the backing track and samples
+
+    /** @param {import('react').ChangeEvent<HTMLSelectElement>} e */
+    const handleSelect = (e) => {
+        setBackingTrack(/** @type {BackingTrackKey} */ (e.target.value));
+    };
+
+    return (
+        <div className="track-select-wrapper">
+            <label htmlFor="track-select">Track:</label>
+            <select
+                id="track-select"
+                className="track-select"
+                value={backingTrack}
+                onChange={handleSelect}
+                disabled={!isStopped}
+                title={isStopped ? undefined : 'Stop playback to change track'}
+            >
+                {Object.entries(AUDIO_CONFIG.backingTracks).map(([trackKey, { name }]) => (
+                    <option key={trackKey} value={trackKey}>{name}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
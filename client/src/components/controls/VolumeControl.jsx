@@ -12,8 +12,9 @@ import { PREFERENCE_DEFAULTS } from '../../constants';
  * @typedef {{
  *   setVolume: (audioEngine: AudioEngine, volume: number) => void,
  *   setMuted: (audioEngine: AudioEngine, muted: boolean) => void,
- *   volumePreferenceKey: 'backingTrackVolume' | 'samplesVolume',
- *   mutePreferenceKey: 'backingTrackMuted' | 'samplesMuted',
+ *   volumePreferenceKey: 'backingTrackVolume' | 'samplesVolume' | 'metronomeVolume',
+ *   mutePreferenceKey: 'backingTrackMuted' | 'samplesMuted' | 'metronomeMuted',
+ *   label: string,
  * }} SourceConfig
  */
 const SOURCE_CONFIG = /** @type {Record<AudioSourceKey, SourceConfig>} */ ({
@@ -22,12 +23,21 @@ const SOURCE_CONFIG = /** @type {Record<AudioSourceKey, SourceConfig>} */ ({
         setMuted: (audioEngine, muted) => audioEngine.setBackingTrackMuted(muted),
         volumePreferenceKey: 'backingTrackVolume',
         mutePreferenceKey: 'backingTrackMuted',
+        label: 'Backing Track:',
     },
     samples: {
         setVolume: (audioEngine, volume) => audioEngine.setSamplesVolume(volume),
         setMuted: (audioEngine, muted) => audioEngine.setSamplesMuted(muted),
         volumePreferenceKey: 'samplesVolume',
         mutePreferenceKey: 'samplesMuted',
+        label: 'Samples:',
+    },
+    metronome: {
+        setVolume: (audioEngine, volume) => audioEngine.setMetronomeVolume(volume),
+        setMuted: (audioEngine, muted) => audioEngine.setMetronomeMuted(muted),
+        volumePreferenceKey: 'metronomeVolume',
+        mutePreferenceKey: 'metronomeMuted',
+        label: 'Metronome:',
     },
 });
 
@@ -65,7 +75,7 @@ export function VolumeControl({ source }) {
     return (
         <div className="volume-control">
             <label htmlFor={`${source}-volume-slider`} className="volume-label">
-                {source === 'backingTrack' ? 'Backing Track:' : 'Samples:'}
+                {config.label}
             </label>
             <input
                 id={`${source}-volume-slider`}
@@ -101,5 +111,5 @@ export function VolumeControl({ source }) {
 }
 
 VolumeControl.propTypes = {
-    source: PropTypes.oneOf(['backingTrack', 'samples']).isRequired,
+    source: PropTypes.oneOf(['backingTrack', 'samples', 'metronome']).isRequired,
 };
\ No newline at end of file
@@ -13,12 +13,19 @@ export function VolumePanel() {
         audioEngine.setSamplesVolume(preferences.samplesVolume);
         audioEngine.setBackingTrackMuted(preferences.backingTrackMuted);
         audioEngine.setSamplesMuted(preferences.samplesMuted);
-    }, [audioEngine, preferences.backingTrackVolume, preferences.samplesVolume, preferences.backingTrackMuted, preferences.samplesMuted]);
+        audioEngine.setMetronomeVolume(preferences.metronomeVolume);
+        audioEngine.setMetronomeMuted(preferences.metronomeMuted);
+    }, [
+        audioEngine,
+        preferences.backingTrackVolume, preferences.samplesVolume, preferences.backingTrackMuted, preferences.samplesMuted,
+        preferences.metronomeVolume, preferences.metronomeMuted,
+    ]);
 
     return (
         <div className="volume-panel">
             <VolumeControl source="backingTrack" />
             <VolumeControl source="samples" />
+            <VolumeControl source="metronome" />
         </div>
     );
 }
\ No newline at end of file
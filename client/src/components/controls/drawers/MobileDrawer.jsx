@@ -5,6 +5,17 @@ import { Drawer } from './Drawer';
 import { AuthControls } from '../AuthControls';
 import { InstructionsButton } from '../InstructionsButton';
 import { DifficultySelect } from '../DifficultySelect';
+import { TrackSelect } from '../TrackSelect';
+import { InstrumentSelect } from '../InstrumentSelect';
+import { ArticulationSelect } from '../ArticulationSelect';
+import { PolyphonyControls } from '../PolyphonyControls';
+import { EffectsControls } from '../EffectsControls';
+import { BandControls } from '../BandControls';
+import { TempoControl } from '../TempoControl';
+import { TempoTrainerControls } from '../TempoTrainerControls';
+import { MetronomeControls } from '../MetronomeControls';
+import { KeySelect } from '../KeySelect';
+import { MidiControl } from '../MidiControl';
 import { VolumePanel } from '../VolumePanel';
 import { LibraryDrawer } from './LibraryDrawer';
 import { useAuth } from '../../../contexts/AuthContext';
@@ -43,6 +54,17 @@ export function MobileDrawer() {
             >
                 <InstructionsButton />
                 <DifficultySelect />
+                <TrackSelect />
+                <InstrumentSelect />
+                <ArticulationSelect />
+                <PolyphonyControls />
+                <EffectsControls />
+                <BandControls />
+                <TempoControl />
+                <TempoTrainerControls />
+                <MetronomeControls />
+                <KeySelect />
+                <MidiControl />
                 <VolumePanel />
             </Drawer>
         </>
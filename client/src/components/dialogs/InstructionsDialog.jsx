@@ -27,12 +27,28 @@ export function InstructionsDialog({ isOpen, onClose }) {
         >
             <p>Welcome to Color Improv! Let&apos;s get to improvising on the 12-bar blues. Here&apos;s how to get started:</p>
             <ul>
-                <li><h3>Start Playing:</h3> Press keys on your keyboard or touch the pads directly to play notes!</li>
-                <li><h3>Match the Chord:</h3> Play notes from the row that matches the chord for the best harmonic fit. (Bottom row matches with the C7 chord, middle row matches F7, and the top row matches with G7. The number row works over all these!)</li>
+                <li><h3>Start Playing:</h3> Press keys on your keyboard or touch the pads directly to play notes! Connect a MIDI keyboard in the settings to play with dynamics (pressure-sensing pens and screens play louder the harder you press).</li>
+                <li><h3>Match the Chord:</h3> Play notes from the row that matches the chord for the best harmonic fit. (On the Blues track in C, the bottom row matches with the C7 chord, middle row matches F7, and the top row matches with G7. The number row works over all these!)</li>
                 <li><h3>Get the Timing Down:</h3> Switch rows when it&apos;s time! See the hints on the left: we&apos;ll highlight the current chord, then count down to the next chord.</li>
+                <li><h3>Drill the Tricky Bars:</h3> Turn on Loop by the playback buttons and pick a range of measures (like the turnaround in bars 9–12) to keep playing them over and over.</li>
+                <li><h3>Jump to a Measure:</h3> While playing or paused, click or drag along the timeline of the form. Arrow keys step a measure, and Page Up/Down a chorus.</li>
+                <li><h3>Reach Higher (or Lower):</h3> Press - or = on your keyboard, or use the Octave buttons, to shift every note down or up an octave, as far as your instrument reaches.</li>
+                <li><h3>Add an Octave:</h3> Turn on 2 octaves to add a second set of rows an octave higher, where your instrument reaches.</li>
+                <li><h3>Bend the Blue Notes:</h3> While holding a note, drag up or down on its pad, hold Shift, or move a MIDI keyboard&apos;s pitch wheel to bend it, like a horn player leaning into a blue note.</li>
                 <li><h3>Challenge Yourself:</h3> Try to improv without the helpers by increasing the difficulty.</li>
-                <li><h3>Tune Your Settings:</h3> Use the volume controls to adjust the balance between backing track and note samples. Log in to save these settings!</li>
+                <li><h3>Tune Your Settings:</h3> Use the volume controls to adjust the balance between backing track, note samples and metronome. Log in to save these settings!</li>
+                <li><h3>Pick an Instrument:</h3> Play the notes on trumpet, alto sax, piano or guitar.</li>
+                <li><h3>Shape Your Notes:</h3> Legato glides each note into the next, and staccato clips them short.</li>
+                <li><h3>Lighten the Load:</h3> Lower how many notes can sound at once if your phone struggles to keep up.</li>
+                <li><h3>Add Some Space:</h3> Dial in room or hall reverb, a tempo-synced delay and EQ.</li>
+                <li><h3>Choose a Backing Track:</h3> Jam over the blues, a minor blues or a jazz blues.</li>
+                <li><h3>Play with the Band:</h3> Play the backing track from a recording, or by a synth band whose parts you can mute.</li>
+                <li><h3>Slow It Down:</h3> Drag the tempo slider to practice at an easier pace.</li>
+                <li><h3>Speed Up Each Chorus:</h3> Turn on the tempo trainer to add a few BPM every chorus.</li>
+                <li><h3>Keep Time:</h3> Turn on the metronome, or add a bar or two of count-in before the track starts.</li>
+                <li><h3>Change Key:</h3> Pick a key to play in. F, B♭ and E♭ are horn favorites, played by the synth band.</li>
                 <li><h3>Record a Session:</h3> Perform an improv, then download it!</li>
+                <li><h3>Practice Anywhere:</h3> Install Color Improv from your browser&apos;s menu to play and record without Wi-Fi. Recordings you save to your library while offline upload once you&apos;re back online.</li>
             </ul>
         </Dialog>
     )
@@ -10,7 +10,7 @@ import PropTypes from 'prop-types';
  * 
  * @param {{
  *      isOpen: boolean,
- *      onSaved: () => void,
+ *      onSaved: (isQueued: boolean) => void,
  *      onGoBack: () => void,
  *      onLibraryFull: () => void,
  *      recordingResult: NonNullable<import('../../contexts/PlaybackContext').RecordingResult>
@@ -32,8 +32,8 @@ export function MetadataDialog({ isOpen, onSaved, onGoBack, onLibraryFull, recor
         setIsSaving(true);
         setFeedback('');
         try {
-            await create({ title, notes, audioBlob, logObject, durationSeconds });
-            onSaved();
+            const isQueued = await create({ title, notes, audioBlob, logObject, durationSeconds });
+            onSaved(isQueued);
         } catch (error) {
             if (error instanceof RecordingApiError && error.code === 'LIBRARY_FULL') {
                 onLibraryFull();
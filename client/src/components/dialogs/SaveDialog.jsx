@@ -8,6 +8,7 @@ import { DeleteDialog } from './DeleteDialog';
 import { ConfirmCloseDialog } from './ConfirmCloseDialog';
 import { useAuth } from '../../contexts/AuthContext';
 import { useRecordings } from '../../contexts/RecordingsContext';
+import { useOnlineStatus } from '../../hooks/useOnlineStatus';
 import { downloadRecordingZip } from '../../utils';
 import { MAX_RECORDINGS_PER_USER } from '../../constants';
 import PropTypes from 'prop-types';
@@ -22,6 +23,7 @@ import PropTypes from 'prop-types';
 export function SaveDialog({ isOpen, onClose, recordingResult }) {  
     const { audioBlob, logObject } = recordingResult;
     const [ hasSaved, setHasSaved ] = useState(false);
+    const [ isUploadQueued, setIsUploadQueued ] = useState(false);
     const [ hasDownloaded, setHasDownloaded ] = useState(false);
     const [ isConfirmDialogOpen, setIsConfirmDialogOpen ] = useState(false);
     const [ isMetadataDialogOpen, setIsMetadataDialogOpen ] = useState(false);
@@ -30,7 +32,8 @@ export function SaveDialog({ isOpen, onClose, recordingResult }) {
     const preRef = useRef(/** @type {HTMLPreElement | null} */(null));
 
     const { currentUser } = useAuth();
-    const { count } = useRecordings();
+    const { count, pendingUploadCount } = useRecordings();
+    const isOnline = useOnlineStatus();
 
     const saveIcon = <FontAwesomeIcon icon={faCloudArrowUp} aria-hidden="true" />;
     const downloadIcon = <FontAwesomeIcon icon={faDownload} aria-hidden="true" />;
@@ -39,7 +42,7 @@ export function SaveDialog({ isOpen, onClose, recordingResult }) {
 
     const handleSave = async () => {
         if (!currentUser) return;
-        if (count < MAX_RECORDINGS_PER_USER) {
+        if (count + pendingUploadCount < MAX_RECORDINGS_PER_USER) {
             setIsMetadataDialogOpen(true);
         } else {
             setIsDeleteDialogOpen(true);
@@ -94,7 +97,9 @@ export function SaveDialog({ isOpen, onClose, recordingResult }) {
                 onClick={handleSave}
                 disabled={!currentUser || hasSaved}
             >
-                {hasSaved ? <>Saved {checkIcon}</> : <>Save to Account Library {saveIcon}</>}
+                {hasSaved
+                    ? <>{isUploadQueued ? 'Queued for Upload' : 'Saved'} {checkIcon}</>
+                    : <>Save to Account Library {saveIcon}</>}
             </button>
             <button className={`btn-text download-btn ${hasDownloaded ? 'downloaded' : ''}`} onClick={handleDownload}>
                 {hasDownloaded ? <>Downloaded {checkIcon}</> : <>Download (ZIP) {downloadIcon}</>}
@@ -131,12 +136,14 @@ export function SaveDialog({ isOpen, onClose, recordingResult }) {
                 </div>
                 <p>Great performance! You can save your audio and MIDI log below.</p>
                 {currentUser === null && <p>(Log in before recording to save to account library next time!)</p>}
+                {currentUser !== null && !isOnline && <p>You&apos;re offline: saving to your library uploads it once you&apos;re back online.</p>}
             </Dialog>
             <MetadataDialog
                 isOpen={isMetadataDialogOpen}
-                onSaved={() => {
+                onSaved={(isQueued) => {
                     setIsMetadataDialogOpen(false);
                     setHasSaved(true);
+                    setIsUploadQueued(isQueued);
                 }}
                 onGoBack={() => setIsMetadataDialogOpen(false)}
                 onLibraryFull={() => {
@@ -1,26 +1,37 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useStudio } from '../../contexts/StudioContext';
 import { usePreferences } from '../../contexts/PreferencesContext';
 import { usePlayback } from '../../contexts/PlaybackContext';
 import { useActiveNotes } from '../../hooks/useActiveNotes';
 import { usePointerPlay } from '../../hooks/usePointerPlay';
 import { NoteCell } from './NoteCell';
+import { isInPlayableRange } from '../../audio/instrument-data';
 import { ScaleDegreeLabelCell } from './ScaleDegreeLabelCell';
 import { ScaleLabelCell } from './ScaleLabelCell';
 import { ChordLabelCell } from './ChordLabelCell';
-import { CELL_TYPE, buildGridData } from '../../visual/grid-data';
+import { CELL_TYPE, LABEL_COLUMNS, buildGridData } from '../../visual/grid-data';
+import { BEATS_PER_MEASURE } from '../../timing/progression-data';
+import { getTransposition } from '../../theory/key-data';
+import { AUDIO_CONFIG, TIMING_EVENTS } from '../../constants';
 
 /** @typedef {import('../../visual/grid-data').CellData} CellData */
 /** @typedef {import('../../visual/grid-data').KeyCode} KeyCode */
 /** @typedef {import('../../contexts/PlaybackContext').PlaybackState} PlaybackState */
 
 export function Grid() {
-    const { timingEngine } = useStudio();
+    const { timingEngine, backingTrack, gridOctaves, instrument, octaveShift } = useStudio();
     const { preferences } = usePreferences();
-    const { playbackState } = usePlayback();
+    const { playbackState, playbackKey } = usePlayback();
     const activeNotes = useActiveNotes();
-    const { handlePointerDown, handlePointerEnter, handlePointerLeave, handlePointerUpOrCancel } = usePointerPlay();
-    const [gridData] = useState(() => buildGridData());
+    const { handlePointerDown, handlePointerEnter, handlePointerMove, handlePointerLeave, handlePointerUpOrCancel } = usePointerPlay();
+    // The second octave of rows only while the instrument can reach all of it
+    const shownOctaves = gridOctaves === 2 && AUDIO_CONFIG.canReachOctave(backingTrack, playbackKey, instrument, octaveShift + 1)
+        ? 2
+        : 1;
+    const gridData = useMemo(() => {
+        const track = AUDIO_CONFIG.backingTracks[backingTrack];
+        return buildGridData(track, getTransposition(track.key, playbackKey), shownOctaves);
+    }, [backingTrack, playbackKey, shownOctaves]);
     const [currentChord, setCurrentChord] = useState(/** @type {string | null} */ (null));
     const [nextChord, setNextChord] = useState(/** @type {string | null} */ (null));
     const [beatsUntilNextChord, setBeatsUntilNextChord] = useState(/** @type {number | null} */ (null));
@@ -30,24 +41,24 @@ export function Grid() {
     const countdownHelperEnabled = preferences.difficulty === 'easy';
 
     /**
-     * Set up beat change listener in TimingEngine to update current/next chord and countdown.
+     * Subscribe to chord changes in TimingEngine to update current/next chord and countdown.
+     * Countdown starts at most a measure ahead, or sooner if the current chord lasts less than a measure.
      * Note: we filter updates to React state based on difficulty, so using state already reflects whether to show helpers.
      */
     useEffect(() => {
         /**
-         * @param {{ currentChord: string | null, nextChord: string, beatsUntilNextChord: number | null }} data
+         * @param {import('../../timing/TimingEngine').ChordState} chordState
          */
-        const handleBeatChange = ({ currentChord, nextChord, beatsUntilNextChord }) => {
+        const handleChordChange = ({ currentChord, nextChord, beatsUntilNextChord }) => {
             setCurrentChord(currentChordHelperEnabled ? currentChord : null);
             setNextChord(currentChordHelperEnabled ? nextChord : null);
             setBeatsUntilNextChord(
-                countdownHelperEnabled && (beatsUntilNextChord !== null && beatsUntilNextChord <= 4)
+                countdownHelperEnabled && (beatsUntilNextChord !== null && beatsUntilNextChord <= BEATS_PER_MEASURE)
                     ? beatsUntilNextChord
                     : null
             );
         };
-        timingEngine.setOnBeatChange(handleBeatChange);
-        return () => timingEngine.setOnBeatChange(null);
+        return timingEngine.on(TIMING_EVENTS.CHORD_CHANGE, handleChordChange);
     }, [currentChordHelperEnabled, countdownHelperEnabled, timingEngine]);
 
     /**
@@ -61,44 +72,48 @@ export function Grid() {
         const key = `${rowIdx},${colIdx}`;
         switch (cell.type) {
             case CELL_TYPE.NOTE: {
-                const { color, keyCode, midiNumber, noteName } = cell;
+                const { color, inputID, midiNumber, noteName } = cell;
                 return (
                     <NoteCell
                         key={key}
                         color={color}
-                        keyCode={keyCode}
+                        inputID={inputID}
                         midiNumber={midiNumber}
                         noteName={noteName}
-                        isActive={activeNotes.has(keyCode)}
+                        isActive={activeNotes.has(inputID)}
+                        isPlayable={isInPlayableRange(instrument, midiNumber + 12 * octaveShift)}
                         handlePointerDown={isPlaying ? handlePointerDown : null}
                         handlePointerEnter={isPlaying ? handlePointerEnter : null}
+                        handlePointerMove={isPlaying ? handlePointerMove : null}
                         handlePointerLeave={isPlaying ? handlePointerLeave : null}
                         handlePointerUpOrCancel={isPlaying ? handlePointerUpOrCancel : null}
                     />
                 );
             }
             case CELL_TYPE.SCALE_LABEL: {
-                const { scaleName, label } = cell;
+                const { scaleName, label, placement } = cell;
                 return (
                     <ScaleLabelCell
                         key={key}
                         scaleName={scaleName}
                         label={label}
+                        placement={placement}
                     />
                 );
             }
             case CELL_TYPE.CHORD_LABEL: {
-                const { chordName, label, keyboardHint } = cell;
+                const { chordNames, label, keyboardHint } = cell;
                 return (
                     <ChordLabelCell
                         key={key}
                         label={label}
                         keyboardHint={keyboardHint}
-                        isHighlighted={!isStopped && chordName !== null && chordName === currentChord}
+                        isHighlighted={!isStopped && currentChord !== null && chordNames.includes(currentChord)}
                         countdown={
                             !isStopped
-                            && chordName !== null
-                            && chordName === nextChord
+                            && nextChord !== null
+                            && chordNames.includes(nextChord)
+                            && (currentChord === null || !chordNames.includes(currentChord)) // row already fits
                             ? beatsUntilNextChord
                             : null
                         }
@@ -106,17 +121,18 @@ export function Grid() {
                 );
             }
             case CELL_TYPE.SCALE_DEGREE_LABEL: {
-                const { scaleDegree, scaleName } = cell;
+                const { scaleDegree, scaleName, placement } = cell;
                 return (
                     <ScaleDegreeLabelCell
                         key={key}
                         scaleDegree={scaleDegree}
                         scaleName={scaleName}
+                        placement={placement}
                     />
                 );
             }
             case CELL_TYPE.EMPTY: {
-                return <div key={key} className={rowIdx === 0 ? '' : 'scale-label-row'} />; //ugly fix
+                return <div key={key} className={cell.inLabelRow ? 'scale-label-row' : ''} />;
             }
             default: {
                 const _exhaustiveCheck = /** @type {never} */ (cell);
@@ -125,8 +141,15 @@ export function Grid() {
         }
     }
 
+    // Grid dimensions depend on the track's scale rows
+    const gridStyle = /** @type {import('react').CSSProperties & Record<string, number>} */ ({
+        '--grid-rows': gridData.length,
+        '--grid-note-rows': gridData.filter(row => row[0].type === CELL_TYPE.CHORD_LABEL).length,
+        '--grid-note-cols': gridData[0].length - LABEL_COLUMNS,
+    });
+
     return (
-        <div className={`music-grid playback-${playbackState}`}>
+        <div className={`music-grid playback-${playbackState}`} style={gridStyle}>
             {gridData.map((row, rowIdx) => 
                 row.map((cell, colIdx) => 
                     renderCell(cell, rowIdx, colIdx))
@@ -1,22 +1,22 @@
 import PropTypes from "prop-types";
 import { usePlayback } from "../../contexts/PlaybackContext";
 
-/** @typedef {import('/src/visual/grid-data.js').KeyCode} KeyCode */
-
 /**
  * @param {{
  *      color: string,
- *      keyCode: KeyCode,
+ *      inputID: string,
  *      midiNumber: number,
  *      noteName: string,
  *      isActive: boolean,
+ *      isPlayable: boolean,
  *      handlePointerDown: Function | null,
  *      handlePointerEnter: Function | null,
+ *      handlePointerMove: Function | null,
  *      handlePointerLeave: Function | null,
  *      handlePointerUpOrCancel: Function | null
  * }} props
  */
-export function NoteCell({ color, keyCode, midiNumber, noteName, isActive, handlePointerDown, handlePointerEnter, handlePointerLeave, handlePointerUpOrCancel }) {
+export function NoteCell({ color, inputID, midiNumber, noteName, isActive, isPlayable, handlePointerDown, handlePointerEnter, handlePointerMove, handlePointerLeave, handlePointerUpOrCancel }) {
     const { playbackState } = usePlayback();
     const style = /** @type {import('react').CSSProperties & {'--cell-color': string}} */ ({
         '--cell-color': playbackState === 'stopped' ? '#999' : color,
@@ -24,24 +24,26 @@ export function NoteCell({ color, keyCode, midiNumber, noteName, isActive, handl
 
     return (
         <div
-            className={`note-cell ${isActive ? 'pressed' : ''}`}
+            className={`note-cell ${isActive ? 'pressed' : ''} ${isPlayable ? '' : 'unplayable'}`}
+            title={isPlayable ? undefined : 'Out of the instrument\'s range'}
             style={style}
             onPointerDown={(e) => {
                 e.preventDefault();
                 if (e.currentTarget.hasPointerCapture(e.pointerId)) {
                     e.currentTarget.releasePointerCapture(e.pointerId);
                 }
-                handlePointerDown?.(e.pointerId, keyCode, midiNumber);
+                handlePointerDown?.(e.pointerId, inputID, midiNumber, e.pressure, e.clientY);
             }}
-            onPointerEnter={(e) => handlePointerEnter?.(e.pointerId, keyCode, midiNumber)}
-            onPointerLeave={(e) => handlePointerLeave?.(e.pointerId, keyCode, midiNumber)}
+            onPointerEnter={(e) => handlePointerEnter?.(e.pointerId, inputID, midiNumber, e.pressure, e.clientY)}
+            onPointerMove={(e) => handlePointerMove?.(e.pointerId, inputID, e.clientY, e.currentTarget.clientHeight)}
+            onPointerLeave={(e) => handlePointerLeave?.(e.pointerId, inputID)}
             onPointerUp={(e) => {
                 e.stopPropagation();
-                handlePointerUpOrCancel?.(e.pointerId, keyCode, midiNumber);
+                handlePointerUpOrCancel?.(e.pointerId, inputID);
             }}
             onPointerCancel={(e) => {
                 e.stopPropagation();
-                handlePointerUpOrCancel?.(e.pointerId, keyCode, midiNumber);
+                handlePointerUpOrCancel?.(e.pointerId, inputID);
             }}
         >
             <p className="note-name">{noteName}</p>
@@ -51,12 +53,14 @@ export function NoteCell({ color, keyCode, midiNumber, noteName, isActive, handl
 
 NoteCell.propTypes = {
     color: PropTypes.string.isRequired,
-    keyCode: PropTypes.string.isRequired,
+    inputID: PropTypes.string.isRequired,
     midiNumber: PropTypes.number.isRequired,
     noteName: PropTypes.string.isRequired,
     isActive: PropTypes.bool.isRequired,
+    isPlayable: PropTypes.bool.isRequired,
     handlePointerDown: PropTypes.func,
     handlePointerEnter: PropTypes.func,
+    handlePointerMove: PropTypes.func,
     handlePointerLeave: PropTypes.func,
     handlePointerUpOrCancel: PropTypes.func,
 };
\ No newline at end of file
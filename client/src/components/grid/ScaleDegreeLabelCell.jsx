@@ -1,13 +1,13 @@
 import PropTypes from "prop-types";
 
 /**
- * @param {{scaleDegree: string, scaleName: string}} props
+ * @param {{scaleDegree: string, scaleName: string, placement: 'above' | 'below'}} props
  */
-export function ScaleDegreeLabelCell({ scaleDegree, scaleName }) {
+export function ScaleDegreeLabelCell({ scaleDegree, scaleName, placement }) {
     const accidental = scaleDegree.length > 1 ? scaleDegree[0] : null;
     const degree = accidental ? scaleDegree.slice(1) : scaleDegree;
     return (
-        <div className={`scale-label-row ${scaleName}-row scale-degree-label-cell `}>
+        <div className={`scale-label-row notes-${placement} scale-degree-label-cell`} data-scale={scaleName}>
             <div className="scale-degree-label">
                 {accidental && <span className="accidental">{accidental}</span>}
                 <span className="degree-with-caret">
@@ -22,4 +22,5 @@ export function ScaleDegreeLabelCell({ scaleDegree, scaleName }) {
 ScaleDegreeLabelCell.propTypes = {
     scaleDegree: PropTypes.string.isRequired,
     scaleName: PropTypes.string.isRequired,
+    placement: PropTypes.oneOf(['above', 'below']).isRequired,
 };
\ No newline at end of file
@@ -1,12 +1,12 @@
 import PropTypes from "prop-types";
 
 /**
- * @param {{scaleName: string, label: string}} props
+ * @param {{scaleName: string, label: string, placement: 'above' | 'below'}} props
  */
-export function ScaleLabelCell({ scaleName, label }) {
+export function ScaleLabelCell({ scaleName, label, placement }) {
     return (
-        <div className={`scale-label-row ${scaleName}-row scale-label-cell`}>
-            <span>{scaleName.charAt(0).toUpperCase() + scaleName.slice(1)}</span>
+        <div className={`scale-label-row notes-${placement} scale-label-cell`}>
+            <span>{scaleName}</span>
             <span>{label}</span>
         </div>
     );
@@ -15,4 +15,5 @@ export function ScaleLabelCell({ scaleName, label }) {
 ScaleLabelCell.propTypes = {
     scaleName: PropTypes.string.isRequired,
     label: PropTypes.string.isRequired,
+    placement: PropTypes.oneOf(['above', 'below']).isRequired,
 };
\ No newline at end of file
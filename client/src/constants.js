@@ -6,33 +6,63 @@
  * most constants bridge both domains.
  */
 
+import { PROGRESSION_FORMS, transposeMeasures, validateProgression } from './timing/progression-data';
+import { KEYS, getTransposition, transposeMidiNumber } from './theory/key-data';
+import { buildKeyMappings } from './theory/scale-data';
+import { INSTRUMENTS, DEFAULT_INSTRUMENT, getVelocityLayers, isInPlayableRange } from './audio/instrument-data';
+import { DELAY_DIVISIONS, EFFECTS_DEFAULTS, EQ_GAIN_RANGE_DB, REVERB_IMPULSES } from './audio/effects-data';
+
 // ============================================================================
 // TYPE DEFINITIONS
 // ============================================================================
 
 /** @typedef {keyof typeof BACKING_TRACKS_DATA} BackingTrackKey */
 
+/** @typedef {import('./theory/key-data').MusicalKey} MusicalKey */
+
+/** @typedef {import('./audio/instrument-data').InstrumentKey} InstrumentKey */
+
+/**
+ * Where the backing track comes from: its recorded audio file streamed through an audio element ('recording'),
+ * the same file decoded for a sample-accurate clock ('decoded', see /src/audio/BufferedBackingTrack.js),
+ * or the synthesized band (see /src/audio/BackingBand.js).
+ * @typedef {'recording' | 'decoded' | 'band'} BackingSource
+ */
+
 /**
  * @typedef {{
  *   paths: {
  *     SAMPLES_BASE: string,
  *     BACKING_TRACKS_BASE: string,
+ *     IMPULSE_RESPONSES_BASE: string,
+ *   },
+ *   cache: {
+ *     NAME_PREFIX: string,
+ *     VERSION: number,
  *   },
- *   samples: number[],
- *   format: string,
  *   volumes: {
  *     MAIN_GAIN_DEFAULT: number,
  *     SAMPLES_GAIN_DEFAULT: number,
  *     BACKING_TRACK_GAIN_DEFAULT: number,
- *     NOTE_FADE_TIME_DEFAULT: number,
+ *     METRONOME_GAIN_DEFAULT: number,
  *   },
+ *   instruments: typeof INSTRUMENTS,
  *   backingTracks: typeof BACKING_TRACKS_DATA,
- *   getSamplePath: (midiNumber: number) => string,
- *   getBackingTrackPath: (trackType: BackingTrackKey) => string,
+ *   getSamples: (trackType: BackingTrackKey, key: MusicalKey) => number[],
+ *   canReachOctave: (trackType: BackingTrackKey, key: MusicalKey, instrument: InstrumentKey, octave: number) => boolean,
+ *   getOctaveShiftRange: (trackType: BackingTrackKey, key: MusicalKey, instrument: InstrumentKey) => { min: number, max: number },
+ *   getSamplePath: (midiNumber: number, instrument?: InstrumentKey, layer?: number) => string,
+ *   getBackingTrackPath: (trackType: BackingTrackKey, key?: MusicalKey) => string,
+ *   getPlayableKeys: (trackType: BackingTrackKey, backingSource: BackingSource) => MusicalKey[],
+ *   getBackingSources: (trackType: BackingTrackKey) => BackingSource[],
  * }} AudioConfig
  */
 
-/** @typedef {keyof typeof KEY_MAPPINGS} KeyCode */
+/** @typedef {import('./theory/scale-data').KeyCode} KeyCode */
+
+/** @typedef {import('./theory/scale-data').ScaleRow} ScaleRow */
+
+/** @typedef {import('./timing/progression-data').Groove} Groove */
 
 /** @typedef {typeof NOTE_EVENTS[keyof typeof NOTE_EVENTS]} NoteEventName */
 
@@ -40,28 +70,39 @@
  * @typedef {{
  *   uniqueID: string,
  *   midiNumber: number,
+ *   velocity?: number,
+ *   cents?: number,
  *   timestamp: number,
  * }} NoteEventDetail
+ * velocity (0-1) is set on 'notestart' by inputs that measure it, e.g. pen pressure or MIDI note-on velocity.
+ * cents is set on 'notebend': how far the note is now bent from midiNumber, 0 once the bend is released.
  */
 
 /** @typedef {CustomEvent<NoteEventDetail> & {type: NoteEventName}} NoteEvent */
 
+/** @typedef {typeof TIMING_EVENTS[keyof typeof TIMING_EVENTS]} TimingEventName */
+
 /** @typedef {'easy' | 'medium' | 'hard'} PreferenceDifficulty */
 
-/** @typedef {'backingTrack' | 'samples'} AudioSourceKey */
+/** @typedef {'backingTrack' | 'samples' | 'metronome'} AudioSourceKey */
 
 /**
- * @typedef {'C7' | 'F7' | 'G7'} ChordName
+ * Chord name with its display representation.
+ * @typedef {{ name: string, display: string, root: string }} ChordDefinition
  */
 
 /**
  * @typedef {{
  *   difficulty: PreferenceDifficulty,
+ *   key: MusicalKey,
  *   backingTrackVolume: number,
  *   samplesVolume: number,
  *   backingTrackMuted: boolean,
  *   samplesMuted: boolean,
- * }} UserPreferences
+ *   metronomeVolume: number,
+ *   metronomeMuted: boolean,
+ * } & import('./audio/effects-data').EffectsSettings} UserPreferences
+ * Effects settings are saved flat alongside the rest, see /src/audio/effects-data.js.
  */
 
 // ============================================================================
@@ -81,134 +122,292 @@ export const VISUAL_LEAD_TIME = 0.1; // seconds (100 ms)
 export const NOTE_EVENTS = /** @type {const} */ ({
     START: 'notestart',
     END: 'noteend',
+    BEND: 'notebend',
+});
+
+/**
+ * Timing event names emitted by TimingEngine, see TimingEngine.on() for their payloads.
+ */
+export const TIMING_EVENTS = /** @type {const} */ ({
+    BEAT: 'beat',
+    SUBDIVISION: 'subdivision',
+    MEASURE: 'measure',
+    CHORD_CHANGE: 'chord-change',
+    LOOP_COMPLETE: 'loop-complete',
+    PHASE_CHANGE: 'phase-change',
+    SEEK: 'seek',
+    TEMPO_CHANGE: 'tempo-change',
 });
 
 /**
- * Centralized chord definitions for the 12-bar blues progression.
+ * Centralized chord definitions for each backing track's chord set, in the track's own key.
  * Maps internal chord names to their display representations.
+ * Transpose with transposeChord (see /src/theory/key-data.js) for other keys.
+ * @type {Record<string, Record<string, ChordDefinition>>}
  */
-export const CHORDS = /** @type {const} */ ({
-    C7: {
-        name: 'C7',
-        display: 'C⁷',
-        root: 'C',
+export const CHORDS = {
+    blues: {
+        C7: { name: 'C7', display: 'C⁷', root: 'C' },
+        F7: { name: 'F7', display: 'F⁷', root: 'F' },
+        G7: { name: 'G7', display: 'G⁷', root: 'G' },
     },
-    F7: {
-        name: 'F7',
-        display: 'F⁷',
-        root: 'F',
+    minorBlues: {
+        Cm7: { name: 'Cm7', display: 'Cm⁷', root: 'C' },
+        Fm7: { name: 'Fm7', display: 'Fm⁷', root: 'F' },
+        G7alt: { name: 'G7alt', display: 'G⁷ᵃˡᵗ', root: 'G' },
     },
-    G7: {
-        name: 'G7',
-        display: 'G⁷',
-        root: 'G',
+    jazzBlues: {
+        Bb7: { name: 'Bb7', display: 'B♭⁷', root: 'B♭' },
+        Eb7: { name: 'Eb7', display: 'E♭⁷', root: 'E♭' },
+        Edim7: { name: 'Edim7', display: 'E°⁷', root: 'E' },
+        Fm7: { name: 'Fm7', display: 'Fm⁷', root: 'F' },
+        G7: { name: 'G7', display: 'G⁷', root: 'G' },
+        Cm7: { name: 'Cm7', display: 'Cm⁷', root: 'C' },
+        F7: { name: 'F7', display: 'F⁷', root: 'F' },
     },
-});
+};
 
 // ============================================================================
 // AUDIO CONSTANTS
 // ============================================================================
 
-/**
- * All unique MIDI notes required, needed for loading samples used in multiple scales.
- * Standardized across all future instrument samples.
- */
-export const REQUIRED_SAMPLES = [
-    60, 62, 63, 64, 65, 66, 67, 69, 70, 71, 72, 74, 75, 76, 77, 79
-];
-
 /**
  * Backing track metadata.
  * Add new entries here to automatically expand BackingTrackKey type.
+ * Each track declares the key, progression and groove recorded in its audio (see Progression and Groove in
+ * /src/timing/progression-data.js),
+ * its chord set, and the scale rows suggested over those chords (see ScaleRow in /src/theory/scale-data.js).
+ * renderedKeys lists the keys its audio is available in: renders in other keys than the recorded one sit next to
+ * the original with the key appended, e.g. blues-F.wav. The synthesized band plays any key (see getPlayableKeys()).
+ * Tracks without a filename have no recording yet and are played by the synthesized band only; their key, bpm and
+ * groove set how the band plays them.
  */
 const BACKING_TRACKS_DATA = {
     blues: {
+        name: 'Blues',
         filename: 'blues.wav',
+        key: /** @type {MusicalKey} */ ('C'),
+        renderedKeys: /** @type {MusicalKey[]} */ (['C']),
         bpm: 120,
         silenceOffset: 0.281,   // before first count-in hit
         countInBeats: 4,        // number of count-in beats before blues progression starts
-        maxLoops: 11,           // number of loops (for active chord highlighting)
+        groove: /** @type {Groove} */ ({ feel: 'shuffle', swingRatio: 2 }),
+        scaleRows: /** @type {ScaleRow[]} */ ([ // top to bottom, as on the keyboard and grid
+            { keys: 'number', scale: 'blues', root: 'C4', chords: [] },             // works over any chord
+            { keys: 'top', scale: 'mixolydian', root: 'G4', chords: ['G7'] },
+            { keys: 'home', scale: 'mixolydian', root: 'F4', chords: ['F7'] },
+            { keys: 'bottom', scale: 'mixolydian', root: 'C4', chords: ['C7'] },
+        ]),
+        chords: CHORDS.blues,
+        progression: {
+            form: PROGRESSION_FORMS.twelveBarBlues,
+            choruses: 12,       // number of times the form is played (for active chord highlighting)
+            ending: ['C7'],     // ends on C7
+        },
+    },
+    minorBlues: {
+        name: 'Minor Blues',
+        filename: null,         // not recorded yet, played by the synthesized band
+        key: /** @type {MusicalKey} */ ('C'),
+        renderedKeys: /** @type {MusicalKey[]} */ ([]),
+        bpm: 100,
+        silenceOffset: 0,       // the band starts on the first count-in hit
+        countInBeats: 4,
+        groove: /** @type {Groove} */ ({ feel: 'swing', swingRatio: 1.5 }),
+        scaleRows: /** @type {ScaleRow[]} */ ([
+            { keys: 'number', scale: 'minorPentatonic', root: 'C4', chords: [] },
+            { keys: 'top', scale: 'harmonicMinor', root: 'C4', chords: ['G7alt'] },  // C harmonic minor resolves G7alt to Cm7
+            { keys: 'home', scale: 'dorian', root: 'F4', chords: ['Fm7'] },
+            { keys: 'bottom', scale: 'dorian', root: 'C4', chords: ['Cm7'] },
+        ]),
+        chords: CHORDS.minorBlues,
+        progression: {
+            form: PROGRESSION_FORMS.minorBlues,
+            choruses: 12,
+            ending: ['Cm7'],
+        },
+    },
+    jazzBlues: {
+        name: 'Jazz Blues',
+        filename: null,         // not recorded yet, played by the synthesized band
+        key: /** @type {MusicalKey} */ ('Bb'),
+        renderedKeys: /** @type {MusicalKey[]} */ ([]),
+        bpm: 140,
+        silenceOffset: 0,
+        countInBeats: 4,
+        groove: /** @type {Groove} */ ({ feel: 'swing', swingRatio: 1.8 }), // Lighter than triplets at a brighter tempo
+        scaleRows: /** @type {ScaleRow[]} */ ([
+            { keys: 'number', scale: 'blues', root: 'Bb3', chords: [] },
+            { keys: 'top', scale: 'harmonicMinor', root: 'C4', chords: ['G7'] },             // G7 resolving to Cm7
+            { keys: 'home', scale: 'mixolydian', root: 'Eb4', chords: ['Eb7', 'Edim7'] },
+            { keys: 'bottom', scale: 'bebopDominant', root: 'Bb3', chords: ['Bb7', 'Fm7', 'Cm7', 'F7'] }, // also the ii-V's
+        ]),
+        chords: CHORDS.jazzBlues,
+        progression: {
+            form: transposeMeasures(PROGRESSION_FORMS.jazzBlues, getTransposition('C', 'Bb')),
+            choruses: 12,
+            ending: ['Bb7'],
+        },
     },
 };
 
+// Catch malformed measures on load rather than when their track is picked
+Object.values(BACKING_TRACKS_DATA).forEach(({ progression }) => validateProgression(progression));
+
+/**
+ * Range of the tempo control, as backing track playback rates relative to the recorded tempo.
+ * Pitch is preserved when stretching, but artifacts become audible beyond this range.
+ */
+export const TEMPO_RATES = /** @type {const} */ ({
+    MIN: 0.5,
+    MAX: 1.25,
+    DEFAULT: 1,
+});
+
+/**
+ * Range of the octave shift applied to notes played from the keyboard and grid, in octaves.
+ * Narrowed to the shifts the instrument can reach, see AUDIO_CONFIG.getOctaveShiftRange().
+ */
+export const OCTAVE_SHIFTS = /** @type {const} */ ({
+    MIN: -1,
+    MAX: 1,
+    DEFAULT: 0,
+});
+
 /**
  * Audio path constants and helper functions.
- * TODO: support multiple instruments, backing tracks, formats with fallback, etc?
+ * TODO: support formats with fallback, etc?
  * TODO: user may upload their own samples?
  * @type {AudioConfig}
  */
 export const AUDIO_CONFIG = {
     paths: {
-        SAMPLES_BASE: '/assets/audio/samples/trumpet/',
+        SAMPLES_BASE: '/assets/audio/samples/',
         BACKING_TRACKS_BASE: '/assets/audio/backing-tracks/',
+        IMPULSE_RESPONSES_BASE: '/assets/audio/impulse-responses/',
+    },
+
+    // Cache Storage for fetched audio files, see /src/audio/AssetCache.js. Bump VERSION when any audio file changes.
+    cache: {
+        NAME_PREFIX: 'color-improv-audio-v',
+        VERSION: 1,
     },
-    samples: REQUIRED_SAMPLES,
-    format: 'mp3',
 
     volumes: {
         MAIN_GAIN_DEFAULT: 1.0,
         SAMPLES_GAIN_DEFAULT: 0.8,
         BACKING_TRACK_GAIN_DEFAULT: 0.6,
-        NOTE_FADE_TIME_DEFAULT: 0.35, // seconds
+        METRONOME_GAIN_DEFAULT: 0.5,
     },
 
+    instruments: INSTRUMENTS,
+
     backingTracks: BACKING_TRACKS_DATA,
 
-    /** @param {number} midiNumber */
-    getSamplePath(midiNumber) {
-        return `${this.paths.SAMPLES_BASE}${midiNumber}.${this.format}`;
+    /**
+     * All unique MIDI notes a backing track's scale rows play in a key, for loading samples.
+     * Includes every octave shift (see OCTAVE_SHIFTS), and the grid's optional second octave of rows above them.
+     * @param {BackingTrackKey} trackType
+     * @param {MusicalKey} key
+     */
+    getSamples(trackType, key) {
+        const { scaleRows, key: recordedKey } = this.backingTracks[trackType];
+        const transposition = getTransposition(recordedKey, key);
+        const octaves = Array.from({ length: OCTAVE_SHIFTS.MAX - OCTAVE_SHIFTS.MIN + 2 }, (_, i) => OCTAVE_SHIFTS.MIN + i);
+        const midiNumbers = Object.values(buildKeyMappings(scaleRows))
+            .map(({ midiNumber }) => transposeMidiNumber(midiNumber, transposition))
+            .flatMap(midiNumber => octaves.map(octave => midiNumber + 12 * octave));
+        return [...new Set(midiNumbers)].sort((a, b) => a - b);
+    },
+
+    /**
+     * Whether an instrument can sound every note of a backing track's scale rows in a key, some octaves up or down
+     * (see isInPlayableRange()), e.g. at an octave shift, or in the grid's second octave of rows one above it.
+     * @param {BackingTrackKey} trackType
+     * @param {MusicalKey} key
+     * @param {InstrumentKey} instrument
+     * @param {number} octave
+     */
+    canReachOctave(trackType, key, instrument, octave) {
+        const { scaleRows, key: recordedKey } = this.backingTracks[trackType];
+        const transposition = getTransposition(recordedKey, key);
+        return Object.values(buildKeyMappings(scaleRows))
+            .every(({ midiNumber }) => isInPlayableRange(instrument, transposeMidiNumber(midiNumber, transposition) + 12 * octave));
     },
 
-    /** @param {BackingTrackKey} trackType */
-    getBackingTrackPath(trackType) {
-        return `${this.paths.BACKING_TRACKS_BASE}${this.backingTracks[trackType].filename}`;
+    /**
+     * The octave shifts (see OCTAVE_SHIFTS) an instrument can play a backing track's scale rows at in a key.
+     * Always includes the default shift, which skips any notes out of reach.
+     * @param {BackingTrackKey} trackType
+     * @param {MusicalKey} key
+     * @param {InstrumentKey} instrument
+     * @returns {{ min: number, max: number }}
+     */
+    getOctaveShiftRange(trackType, key, instrument) {
+        let min = /** @type {number} */ (OCTAVE_SHIFTS.DEFAULT);
+        let max = min;
+        while (min > OCTAVE_SHIFTS.MIN && this.canReachOctave(trackType, key, instrument, min - 1)) min--;
+        while (max < OCTAVE_SHIFTS.MAX && this.canReachOctave(trackType, key, instrument, max + 1)) max++;
+        return { min, max };
+    },
+
+    /**
+     * @param {number} midiNumber
+     * @param {InstrumentKey} [instrument=DEFAULT_INSTRUMENT]
+     * @param {number} [layer=0] - index into the instrument's velocity layers, see getVelocityLayers()
+     */
+    getSamplePath(midiNumber, instrument = DEFAULT_INSTRUMENT, layer = 0) {
+        const { format } = this.instruments[instrument];
+        const { path } = getVelocityLayers(instrument)[layer];
+        return `${this.paths.SAMPLES_BASE}${path}${midiNumber}.${format}`;
+    },
+
+    /**
+     * @param {BackingTrackKey} trackType
+     * @param {MusicalKey} [key] - defaults to the key the track was recorded in
+     */
+    getBackingTrackPath(trackType, key) {
+        const { filename, key: recordedKey } = this.backingTracks[trackType];
+        if (!filename) {
+            throw new Error(`AUDIO_CONFIG: ${trackType} has no recording, play it with the synthesized band.`);
+        }
+        if (!key || key === recordedKey) {
+            return `${this.paths.BACKING_TRACKS_BASE}${filename}`;
+        }
+        const extensionIndex = filename.lastIndexOf('.');
+        return `${this.paths.BACKING_TRACKS_BASE}${filename.slice(0, extensionIndex)}-${key}${filename.slice(extensionIndex)}`;
+    },
+
+    /**
+     * Keys a backing track can be played in: any key for the synthesized band, otherwise the keys it's rendered in.
+     * @param {BackingTrackKey} trackType
+     * @param {BackingSource} backingSource
+     * @returns {MusicalKey[]}
+     */
+    getPlayableKeys(trackType, backingSource) {
+        if (backingSource === 'band') {
+            return /** @type {MusicalKey[]} */ (Object.keys(KEYS));
+        }
+        return this.backingTracks[trackType].renderedKeys;
+    },
+
+    /**
+     * Backing sources a track can be played with: the synthesized band only if it has no recording.
+     * @param {BackingTrackKey} trackType
+     * @returns {BackingSource[]}
+     */
+    getBackingSources(trackType) {
+        return this.backingTracks[trackType].filename ? ['recording', 'decoded', 'band'] : ['band'];
     },
 }
 
 /**
  * Musical data linked with a keyboard key, using KeyboardEvent.code as the key.
+ * Generated from the default backing track's scale rows (see /src/theory/scale-data.js);
+ * KeyboardHandler builds the same for whichever track is selected.
  * Note that scale degrees reach 8 (as opposed to 1) for convenience.
  */
-export const KEY_MAPPINGS = /** @type {const} */ ({
-    // G Mixolydian scale - top row (qwertyui)
-    'KeyQ': { midiNumber: 67, noteName: 'G', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '1' },
-    'KeyW': { midiNumber: 69, noteName: 'A', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '2' },
-    'KeyE': { midiNumber: 71, noteName: 'B', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '3' },
-    'KeyR': { midiNumber: 72, noteName: 'C', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '4' },
-    'KeyT': { midiNumber: 74, noteName: 'D', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '5' },
-    'KeyY': { midiNumber: 76, noteName: 'E', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '6' },
-    'KeyU': { midiNumber: 77, noteName: 'F', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '♭7' },
-    'KeyI': { midiNumber: 79, noteName: 'G', scaleRoot: 'G', scaleMode: 'Mixolydian', scaleDegree: '8' },
-    
-    // F Mixolydian scale - middle row (asdfghjk)
-    'KeyA': { midiNumber: 65, noteName: 'F', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '1' },
-    'KeyS': { midiNumber: 67, noteName: 'G', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '2' },
-    'KeyD': { midiNumber: 69, noteName: 'A', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '3' },
-    'KeyF': { midiNumber: 70, noteName: 'B♭', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '4' },
-    'KeyG': { midiNumber: 72, noteName: 'C', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '5' },
-    'KeyH': { midiNumber: 74, noteName: 'D', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '6' },
-    'KeyJ': { midiNumber: 75, noteName: 'E♭', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '♭7' },
-    'KeyK': { midiNumber: 77, noteName: 'F', scaleRoot: 'F', scaleMode: 'Mixolydian', scaleDegree: '8' },
-
-    // C Mixolydian scale - bottom row (zxcvbnm,)
-    'KeyZ': { midiNumber: 60, noteName: 'C', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '1' },
-    'KeyX': { midiNumber: 62, noteName: 'D', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '2' },
-    'KeyC': { midiNumber: 64, noteName: 'E', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '3' },
-    'KeyV': { midiNumber: 65, noteName: 'F', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '4' },
-    'KeyB': { midiNumber: 67, noteName: 'G', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '5' },
-    'KeyN': { midiNumber: 69, noteName: 'A', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '6' },
-    'KeyM': { midiNumber: 70, noteName: 'B♭', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '♭7' },
-    'Comma': { midiNumber: 72, noteName: 'C', scaleRoot: 'C', scaleMode: 'Mixolydian', scaleDegree: '8' },
-
-    // C Blues scale - number row (1234567)
-    'Digit1': { midiNumber: 60, noteName: 'C', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '1' },
-    'Digit2': { midiNumber: 63, noteName: 'E♭', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '♭3' },
-    'Digit3': { midiNumber: 65, noteName: 'F', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '4' },
-    'Digit4': { midiNumber: 66, noteName: 'F♯', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '♯4' },
-    'Digit5': { midiNumber: 67, noteName: 'G', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '5' },
-    'Digit6': { midiNumber: 70, noteName: 'B♭', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '♭7' },
-    'Digit7': { midiNumber: 72, noteName: 'C', scaleRoot: 'C', scaleMode: 'Blues', scaleDegree: '8' },
-});
+export const KEY_MAPPINGS = buildKeyMappings(BACKING_TRACKS_DATA.blues.scaleRows);
 
 /**
  * NOTE: These defaults should match PREFERENCE_DEFAULTS in server/src/constants.js.
@@ -219,15 +418,21 @@ export const KEY_MAPPINGS = /** @type {const} */ ({
 /** @type {UserPreferences} */
 export const PREFERENCE_DEFAULTS = {
     difficulty: 'easy', // | 'medium' | 'hard'
+    key: 'C', // | 'F' | 'Bb' | 'Eb'
     backingTrackVolume: AUDIO_CONFIG.volumes.BACKING_TRACK_GAIN_DEFAULT,
     samplesVolume: AUDIO_CONFIG.volumes.SAMPLES_GAIN_DEFAULT,
     backingTrackMuted: false,
     samplesMuted: false,
+    metronomeVolume: AUDIO_CONFIG.volumes.METRONOME_GAIN_DEFAULT,
+    metronomeMuted: false,
+    ...EFFECTS_DEFAULTS,
 }
 
 export const SCHEMA = {
     /** @param {unknown} d */
     difficulty: (d) => typeof d === 'string' && ['easy', 'medium', 'hard'].includes(d) ? d : undefined,
+    /** @param {unknown} k */
+    key: (k) => typeof k === 'string' && Object.keys(KEYS).includes(k) ? k : undefined,
     /** @param {unknown} vol */
     backingTrackVolume: (vol) => typeof vol === 'number' && vol >= 0 && vol <= 1 ? vol : undefined,
     /** @param {unknown} vol */
@@ -236,6 +441,24 @@ export const SCHEMA = {
     backingTrackMuted: (bool) => typeof bool === 'boolean' ? bool : undefined,
     /** @param {unknown} bool */
     samplesMuted: (bool) => typeof bool === 'boolean' ? bool : undefined,
+    /** @param {unknown} vol */
+    metronomeVolume: (vol) => typeof vol === 'number' && vol >= 0 && vol <= 1 ? vol : undefined,
+    /** @param {unknown} bool */
+    metronomeMuted: (bool) => typeof bool === 'boolean' ? bool : undefined,
+    /** @param {unknown} r */
+    reverbImpulse: (r) => typeof r === 'string' && Object.keys(REVERB_IMPULSES).includes(r) ? r : undefined,
+    /** @param {unknown} mix */
+    reverbMix: (mix) => typeof mix === 'number' && mix >= 0 && mix <= 1 ? mix : undefined,
+    /** @param {unknown} d */
+    delayDivision: (d) => typeof d === 'string' && Object.keys(DELAY_DIVISIONS).includes(d) ? d : undefined,
+    /** @param {unknown} mix */
+    delayMix: (mix) => typeof mix === 'number' && mix >= 0 && mix <= 1 ? mix : undefined,
+    /** @param {unknown} db */
+    eqLow: (db) => typeof db === 'number' && db >= EQ_GAIN_RANGE_DB.MIN && db <= EQ_GAIN_RANGE_DB.MAX ? db : undefined,
+    /** @param {unknown} db */
+    eqMid: (db) => typeof db === 'number' && db >= EQ_GAIN_RANGE_DB.MIN && db <= EQ_GAIN_RANGE_DB.MAX ? db : undefined,
+    /** @param {unknown} db */
+    eqHigh: (db) => typeof db === 'number' && db >= EQ_GAIN_RANGE_DB.MIN && db <= EQ_GAIN_RANGE_DB.MAX ? db : undefined,
 }
 
 export const MAX_RECORDINGS_PER_USER = 10;
\ No newline at end of file
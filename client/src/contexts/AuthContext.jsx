@@ -1,11 +1,14 @@
 /* eslint-disable react-refresh/only-export-components */
 import { createContext, useState, useEffect, useContext } from 'react';
 import PropTypes from 'prop-types';
-import { AuthService } from '../api/AuthService';
+import { AuthApiError, AuthService } from '../api/AuthService';
+/** @typedef {import('../api/AuthService').User} User */
+
+const STORAGE_KEY = 'color-improv:user';
 
 /**
  * @typedef {{
- *    currentUser: object|null,
+ *    currentUser: User|null,
  *    isLoading: boolean,
  *    register: (email: string, name: string, password: string) => Promise<void>,
  *    login: (email: string, password: string) => Promise<void>,
@@ -14,23 +17,62 @@ import { AuthService } from '../api/AuthService';
  */
 export const AuthContext = createContext(/** @type {AuthContextType | null} */ (null));
 
+/**
+ * Loads the user last logged in on this device, remembered for opening the app offline.
+ * @returns {User | null}
+ */
+function loadRememberedUser() {
+    try {
+        const storedUser = localStorage.getItem(STORAGE_KEY);
+        return storedUser ? JSON.parse(storedUser) : null;
+    } catch (error) {
+        console.error('Error parsing remembered user:', error);
+        return null;
+    }
+}
+
+/**
+ * @param {User | null} user - null to forget
+ */
+function saveRememberedUser(user) {
+    try {
+        if (user) localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        console.error('Error saving remembered user:', error);
+    }
+}
+
 /**
  * This provider manages authentication state, including current user info and auth methods.
+ * The logged-in user is remembered on the device, so they stay logged in when the app is opened offline,
+ * e.g. to queue recordings to upload to their library.
  * @param {{ children: import('react').ReactNode }} props
  */
 export function AuthProvider({ children }) {
     const [authService] = useState(() => new AuthService());
-    const [currentUser, setCurrentUser] = useState(null);
+    const [currentUser, setCurrentUserState] = useState(/** @type {User | null} */ (null));
     const [isLoading, setIsLoading] = useState(true);
 
+    /** @param {User | null} user */
+    const setCurrentUser = (user) => {
+        setCurrentUserState(user);
+        saveRememberedUser(user);
+    };
+
     useEffect(() => {
         const checkAuth = async () => {
             try {
                 const user = await authService.getCurrentUser();
-                if (user) setCurrentUser(user);
+                setCurrentUserState(user);
+                saveRememberedUser(user);
             }
             catch (error) {
-                console.warn('Error checking auth status:', error);
+                if (error instanceof AuthApiError && error.code === 'NETWORK_ERROR') {
+                    setCurrentUserState(loadRememberedUser()); // Offline, can't check
+                } else {
+                    console.warn('Error checking auth status:', error);
+                }
             } finally {
                 setIsLoading(false);
             }
@@ -3,8 +3,10 @@ import { createContext, useCallback, useContext, useEffect, useRef, useState } f
 import { useStudio } from './StudioContext';
 import { usePreferences } from './PreferencesContext';
 import { useMediaQuery } from '../hooks/useMediaQuery';
+import { AUDIO_CONFIG } from '../constants';
 import PropTypes from 'prop-types';
 /** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../theory/key-data').MusicalKey} MusicalKey */
 /** @typedef {import('../events/NoteLogger').NoteLog} NoteLog */
 
 /**
@@ -19,6 +21,7 @@ import PropTypes from 'prop-types';
  * @typedef {{
  *    playbackState: PlaybackState,
  *    playbackErrorMessage: string | null,
+ *    playbackKey: MusicalKey,
  *    clearPlaybackErrorMessage: () => void,
  *    isRecording: boolean,
  *    recordingResult: RecordingResult,
@@ -26,8 +29,12 @@ import PropTypes from 'prop-types';
  *    pause: () => Promise<void>,
  *    stop: () => Promise<void>,
  *    record: () => Promise<void>,
+ *    seek: (measure: number, chorus?: number) => void,
  *    clearRecordingResult: () => void,
  * }} PlaybackContextType
+ * playbackKey is the key the engines play in: the key preference, or the track's recorded key while the preference has
+ * no audio for the track and backing source.
+ * seek jumps to a measure of the form (1-indexed) in a chorus (0-indexed, like loopsCompleted), while playing or paused.
  */
 export const PlaybackContext = createContext(/** @type {PlaybackContextType | null} */ (null));
 
@@ -55,7 +62,10 @@ export function PlaybackProvider({ children }) {
         recordingEngine,
         noteLogger,
         keyboardHandler,
+        midiHandler,
         backingTrack,
+        backingSource,
+        setLoopRegion,
     } = useStudio();
 
     const suspendIfRunning = useCallback(async () => {
@@ -78,6 +88,7 @@ export function PlaybackProvider({ children }) {
             await suspendIfRunning();
             timingEngine.pause();
             keyboardHandler.disable();
+            midiHandler.disable();
 
             setPlaybackState('paused');
         } catch (error) {
@@ -87,7 +98,7 @@ export function PlaybackProvider({ children }) {
                 : 'An unknown error occurred while pausing.';
             setPlaybackErrorMessage(errorMessage);
         }
-    }, [audioEngine, timingEngine, keyboardHandler, suspendIfRunning]);
+    }, [audioEngine, timingEngine, keyboardHandler, midiHandler, suspendIfRunning]);
 
     const finalizeRecording = useCallback(async () => {
         if (!recordingEngine.isRecordingActive()) {
@@ -132,6 +143,7 @@ export function PlaybackProvider({ children }) {
             await suspendIfRunning();
             timingEngine.stop();
             keyboardHandler.disable();
+            midiHandler.disable();
 
             setIsRecording(false);
             setPlaybackState('stopped');
@@ -142,7 +154,7 @@ export function PlaybackProvider({ children }) {
                 : 'An unknown error occurred while stopping.';
             setPlaybackErrorMessage(errorMessage);
         }
-    }, [recordingEngine, audioEngine, timingEngine, keyboardHandler, finalizeRecording, suspendIfRunning]);
+    }, [recordingEngine, audioEngine, timingEngine, keyboardHandler, midiHandler, finalizeRecording, suspendIfRunning]);
 
     const play = async () => {
         if (interruptionInFlightRef.current || isResolvingRef.current) {
@@ -162,9 +174,17 @@ export function PlaybackProvider({ children }) {
                 await audioEngine.initialize();
                 setAudioContextRevision(value => value + 1);
             }
-            await audioEngine.playBackingTrack();
+            // Start a loop region from its first measure. Generated count-in only from the top, not when resuming
+            const loopStartMeasure = timingEngine.loopRegion?.startMeasure ?? 1;
+            const startsAtLoop = playbackState === 'stopped' && loopStartMeasure > 1;
+            if (startsAtLoop) audioEngine.seekBackingTrack(audioEngine.getMeasureTime(loopStartMeasure));
+            const countInDuration = playbackState === 'stopped' && !startsAtLoop
+                ? timingEngine.getGeneratedCountInDuration()
+                : 0;
+            await audioEngine.playBackingTrack(countInDuration);
             timingEngine.play();
             keyboardHandler.enable();
+            midiHandler.enable();
 
             setPlaybackState('playing');
             return true;
@@ -173,7 +193,10 @@ export function PlaybackProvider({ children }) {
             const errorMessage = error instanceof Error
                 ? error.message
                 : 'An unknown error occurred during playback.';
-            setPlaybackErrorMessage(errorMessage);
+            // Offline, everything plays from what the service worker saved, so it's likely something it couldn't save
+            setPlaybackErrorMessage(navigator.onLine
+                ? errorMessage
+                : `${errorMessage}. You're offline, and this audio hasn't been saved for offline use yet: play it once online first.`);
             await stop();
             throw error;
         }
@@ -186,10 +209,11 @@ export function PlaybackProvider({ children }) {
         }
 
         try {
+            setLoopRegion(null); // Recordings run through the whole track
             const didStartPlayback = await play();
             if (!didStartPlayback) return;
             recordingEngine.start();
-            noteLogger.start(backingTrack, preferences.difficulty);
+            noteLogger.start(backingTrack, preferences.difficulty, playbackKey);
 
             setIsRecording(true);
         } catch (error) {
@@ -197,6 +221,14 @@ export function PlaybackProvider({ children }) {
         }
     };
 
+    // Jump to a measure while playing or paused. Not while recording, which captures the track as played.
+    const seek = useCallback((/** @type {number} */ measure, chorus = 0) => {
+        if (playbackState === 'stopped' || isRecording) return;
+        if (interruptionInFlightRef.current || interruptionNeedsResolutionRef.current) return;
+        audioEngine.seekToMeasure(measure, chorus);
+        timingEngine.resync();
+    }, [playbackState, isRecording, audioEngine, timingEngine]);
+
     const clearPlaybackErrorMessage = () => {
         setPlaybackErrorMessage(null);
     };
@@ -205,6 +237,24 @@ export function PlaybackProvider({ children }) {
         setRecordingResult(null);
     };
 
+    // Fall back to the track's recorded key when the key preference has no audio for the track and backing source.
+    // The preference is kept, so it applies again once playable, e.g. with the synthesized band.
+    const playbackKey = AUDIO_CONFIG.getPlayableKeys(backingTrack, backingSource).includes(preferences.key)
+        ? preferences.key
+        : AUDIO_CONFIG.backingTracks[backingTrack].key;
+
+    // Transpose engines to the playback key. Switching key reloads the backing track, so stop playback first.
+    useEffect(() => {
+        if (audioEngine.key === playbackKey) return;
+        if (playbackState !== 'stopped') {
+            void stop();
+            return;
+        }
+        audioEngine.setKey(playbackKey);
+        timingEngine.setKey(playbackKey);
+        keyboardHandler.setKey(playbackKey);
+    }, [playbackKey, playbackState, audioEngine, timingEngine, keyboardHandler, stop]);
+
     // Setup stop visuals when backing track ends
     useEffect(() => {
         audioEngine.setOnEnded(() => stop());
@@ -261,6 +311,7 @@ export function PlaybackProvider({ children }) {
                 if (isRecording || playbackState === 'stopped') setPlaybackState('stopped');
                 else setPlaybackState('paused');
                 keyboardHandler.disable();
+                midiHandler.disable();
                 timingEngine.pause();
 
                 if (recordingEngine.isRecordingActive()) {
@@ -292,7 +343,7 @@ export function PlaybackProvider({ children }) {
                 attachedAudioCtxRef.current = null;
             }
         };
-    }, [isRecording, playbackState, audioContextRevision, audioEngine, timingEngine, keyboardHandler, recordingEngine, finalizeRecording]);
+    }, [isRecording, playbackState, audioContextRevision, audioEngine, timingEngine, keyboardHandler, midiHandler, recordingEngine, finalizeRecording]);
 
     // When app backgrounds, pause playing or stop recording.
     useEffect(() => {
@@ -318,7 +369,7 @@ export function PlaybackProvider({ children }) {
     }, [isRecording, playbackState, pause, stop, recoverAfterTeardown, shouldAutoPauseWhenHidden]);
     
     return (
-        <PlaybackContext.Provider value={{ playbackState, playbackErrorMessage, clearPlaybackErrorMessage, isRecording, recordingResult, play, pause, stop, record, clearRecordingResult }}>
+        <PlaybackContext.Provider value={{ playbackState, playbackErrorMessage, playbackKey, clearPlaybackErrorMessage, isRecording, recordingResult, play, pause, stop, record, seek, clearRecordingResult }}>
             {children}
         </PlaybackContext.Provider>
     );
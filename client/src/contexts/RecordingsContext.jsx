@@ -1,37 +1,60 @@
 /* eslint-disable react-refresh/only-export-components */
-import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { RecordingService } from '../api/RecordingService';
+import { RecordingApiError, RecordingService } from '../api/RecordingService';
+import { UploadQueue } from '../offline/UploadQueue';
 import { useAuth } from './AuthContext';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+
+/** @typedef {import('../offline/UploadQueue').PendingUpload} PendingUpload */
+
+/**
+ * A queued recording the server rejected, e.g. for a full library. It stays queued, retried on the next upload,
+ * until its user discards it.
+ * @typedef {{ upload: PendingUpload, message: string }} FailedUpload
+ */
 
 /**
  * @typedef {{
  *   recordingsList: import('../api/RecordingService').Recording[],
  *   count: number,
+ *   pendingUploadCount: number,
+ *   failedUploads: FailedUpload[],
+ *   discardPendingUpload: (id: number) => Promise<void>,
  *   isLoading: boolean,
  *   refresh: () => Promise<void>,
- *   create: (params: { audioBlob: Blob, logObject: Object, title: string, notes: string, durationSeconds: number }) => Promise<void>,
+ *   create: (params: { audioBlob: Blob, logObject: Object, title: string, notes: string, durationSeconds: number }) => Promise<boolean>,
  *   update: (id: string, params: { title?: string, notes?: string }) => Promise<void>,
  *   remove: (id: string) => Promise<void>,
  *   fetchArtifacts: (id: string) => Promise<{ audioBlob: Blob, logObject: Object }>
  *   isLibraryDrawerOpen: boolean,
  *   setIsLibraryDrawerOpen: (isOpen: boolean) => void,
  * }} RecordingsContextType
+ * pendingUploadCount is how many recordings saved offline are waiting to upload, not yet in recordingsList or count,
+ * failed ones included.
+ * create resolves true if the recording was queued to upload once back online, instead of uploaded.
  */
 export const RecordingsContext = createContext(/** @type {RecordingsContextType | null} */ (null));
 
 /**
  * This provider manages the state of authenticated user's recordings.
+ * Recordings saved while offline are queued on the device (see /src/offline/UploadQueue.js),
+ * and uploaded when the connection returns or their user next logs in.
  * @param {{ children: import('react').ReactNode }} props 
  * @returns 
  */
 export function RecordingsProvider({ children }) {
     const [recordingService] = useState(() => new RecordingService());
+    const [uploadQueue] = useState(() => new UploadQueue());
     const [recordingsList, setRecordingsList] = useState(/** @type {import('../api/RecordingService').Recording[]} */ ([]));
+    const [pendingUploadCount, setPendingUploadCount] = useState(0);
+    const [failedUploads, setFailedUploads] = useState(/** @type {FailedUpload[]} */ ([]));
     const [isLoading, setIsLoading] = useState(false);
     const { currentUser } = useAuth();
+    const isOnline = useOnlineStatus();
     const count = recordingsList.length;
     const [isLibraryDrawerOpen, setIsLibraryDrawerOpen] = useState(false); // UI!
+    const isUploadingRef = useRef(false);
 
     const refresh = useCallback(async () => {
         setIsLoading(true);
@@ -43,27 +66,97 @@ export function RecordingsProvider({ children }) {
         }
     }, [recordingService]);
 
+    /**
+     * Upload the current user's queued recordings, oldest first.
+     * Stops at a network error, to retry when next online. Recordings the server rejects are kept as failedUploads
+     * and skipped, so they don't hold up the rest.
+     */
+    const uploadPending = useCallback(async () => {
+        if (!currentUser || isUploadingRef.current || !UploadQueue.isSupported()) return;
+        isUploadingRef.current = true;
+        /** @type {FailedUpload[]} */
+        const failed = [];
+        try {
+            const pendingUploads = await uploadQueue.getAll(currentUser.id);
+            setPendingUploadCount(pendingUploads.length);
+            for (const upload of pendingUploads) {
+                const { id, audioBlob, logObject, title, notes, durationSeconds } = upload;
+                try {
+                    const newRecording = await recordingService.create({ audioBlob, logObject, title, notes, durationSeconds });
+                    await uploadQueue.remove(id);
+                    setRecordingsList(prev => [newRecording, ...prev]);
+                    setPendingUploadCount(prev => prev - 1);
+                } catch (error) {
+                    if (error instanceof RecordingApiError && error.code === 'NETWORK_ERROR') throw error;
+                    console.error(`Failed to upload queued recording ${id}:`, error);
+                    failed.push({ upload, message: error instanceof Error ? error.message : String(error) });
+                }
+            }
+            setFailedUploads(failed);
+        } catch (error) {
+            setFailedUploads(prev => [...prev.filter(({ upload }) => !failed.some(f => f.upload.id === upload.id)), ...failed]);
+            console.warn('Failed to upload queued recordings, retrying when next online:', error);
+        } finally {
+            isUploadingRef.current = false;
+        }
+    }, [currentUser, uploadQueue, recordingService]);
+
+    /**
+     * Remove a recording from the upload queue without uploading it, e.g. one the server rejected.
+     * @param {number} id - the queued upload's ID
+     */
+    const discardPendingUpload = async (id) => {
+        await uploadQueue.remove(id);
+        setFailedUploads(prev => prev.filter(({ upload }) => upload.id !== id));
+        setPendingUploadCount(prev => Math.max(0, prev - 1));
+    };
+
     useEffect(() => {
         if (!currentUser) {
             setRecordingsList([]);
+            setPendingUploadCount(0);
+            setFailedUploads([]);
             setIsLoading(false);
             return;
         }
-        refresh().catch(error => {
-            console.error('Failed to load recordings:', error);
-            setRecordingsList([]);
-            setIsLoading(false);
-        });
-    }, [currentUser, refresh]);
+        if (!isOnline) {
+            // Keep the list loaded before going offline, and count what's queued meanwhile
+            if (UploadQueue.isSupported()) {
+                uploadQueue.getAll(currentUser.id)
+                    .then(pendingUploads => setPendingUploadCount(pendingUploads.length))
+                    .catch(error => console.warn('Failed to read queued recordings:', error));
+            }
+            return;
+        }
+        refresh()
+            .then(uploadPending)
+            .catch(error => {
+                console.error('Failed to load recordings:', error);
+                setRecordingsList([]);
+                setIsLoading(false);
+            });
+    }, [currentUser, isOnline, refresh, uploadPending, uploadQueue]);
 
     // create, update, remove
     /**
      * Creates a new recording by uploading audio, log, and metadata (notes optional).
+     * Offline, queues it to upload once back online instead.
      * @param {{ audioBlob: Blob, logObject: Object, title: string, notes?: string, durationSeconds: number }} param0 
+     * @returns {Promise<boolean>} whether the recording was queued rather than uploaded
      */
     const create = async ({ audioBlob, logObject, title, notes, durationSeconds }) => {
-        const newRecording = await recordingService.create({ audioBlob, logObject, title, notes, durationSeconds });
-        setRecordingsList(prev => [newRecording, ...prev]);
+        try {
+            if (!navigator.onLine) throw new RecordingApiError('Network error', 'NETWORK_ERROR', 0);
+            const newRecording = await recordingService.create({ audioBlob, logObject, title, notes, durationSeconds });
+            setRecordingsList(prev => [newRecording, ...prev]);
+            return false;
+        } catch (error) {
+            const isNetworkError = error instanceof RecordingApiError && error.code === 'NETWORK_ERROR';
+            if (!isNetworkError || !currentUser || !UploadQueue.isSupported()) throw error;
+            await uploadQueue.add({ userId: currentUser.id, audioBlob, logObject, title, notes, durationSeconds });
+            setPendingUploadCount(prev => prev + 1);
+            return true;
+        }
     };
 
     /**
@@ -82,6 +175,7 @@ export function RecordingsProvider({ children }) {
     const remove = async (id) => {
         await recordingService.remove(id);
         setRecordingsList(prev => prev.filter(r => r.id !== id));
+        void uploadPending(); // Queued ones may have failed for a full library
     }
 
     /**
@@ -92,7 +186,7 @@ export function RecordingsProvider({ children }) {
     };
 
     return (
-        <RecordingsContext.Provider value={{ recordingsList, count, isLoading, refresh, create, update, remove, fetchArtifacts, isLibraryDrawerOpen, setIsLibraryDrawerOpen }}>
+        <RecordingsContext.Provider value={{ recordingsList, count, pendingUploadCount, failedUploads, discardPendingUpload, isLoading, refresh, create, update, remove, fetchArtifacts, isLibraryDrawerOpen, setIsLibraryDrawerOpen }}>
             {children}
         </RecordingsContext.Provider>
     );
@@ -1,12 +1,26 @@
 /* eslint-disable react-refresh/only-export-components */
-import { createContext, useContext, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { AudioEngine } from '../audio/AudioEngine';
 import { TimingEngine } from '../timing/TimingEngine';
 import { RecordingEngine } from '../recording/RecordingEngine';
 import { NoteLogger } from '../events/NoteLogger';
 import { KeyboardHandler } from '../input/KeyboardHandler';
+import { MidiHandler } from '../input/MidiHandler';
+import { Metronome, METRONOME_DEFAULTS } from '../audio/Metronome';
+import { TempoTrainer, TEMPO_TRAINER_DEFAULTS } from '../timing/TempoTrainer';
+import { DEFAULT_ARTICULATION, DEFAULT_INSTRUMENT, POLYPHONY_DEFAULTS } from '../audio/instrument-data';
+import { AUDIO_CONFIG, OCTAVE_SHIFTS, TEMPO_RATES, TIMING_EVENTS } from '../constants';
 /** @typedef {import('/src/constants.js').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('/src/constants.js').BackingSource} BackingSource */
+/** @typedef {import('/src/audio/band-data.js').BandPart} BandPart */
+/** @typedef {import('/src/audio/instrument-data.js').InstrumentKey} InstrumentKey */
+/** @typedef {import('/src/audio/instrument-data.js').Articulation} Articulation */
+/** @typedef {import('/src/audio/instrument-data.js').PolyphonySettings} PolyphonySettings */
+/** @typedef {import('/src/audio/Metronome.js').MetronomeSettings} MetronomeSettings */
+/** @typedef {import('/src/timing/progression-data.js').LoopRegion} LoopRegion */
+/** @typedef {import('/src/timing/TempoTrainer.js').TempoTrainerSettings} TempoTrainerSettings */
+/** @typedef {import('/src/visual/grid-data.js').GridOctaves} GridOctaves */
 
 /**
  * @typedef {{
@@ -15,8 +29,39 @@ import { KeyboardHandler } from '../input/KeyboardHandler';
  *    recordingEngine: RecordingEngine,
  *    noteLogger: NoteLogger,
  *    keyboardHandler: KeyboardHandler,
- *    backingTrack: BackingTrackKey
+ *    midiHandler: MidiHandler,
+ *    metronome: Metronome,
+ *    tempoTrainer: TempoTrainer,
+ *    backingTrack: BackingTrackKey,
+ *    setBackingTrack: (backingTrack: BackingTrackKey) => void,
+ *    instrument: InstrumentKey,
+ *    setInstrument: (instrument: InstrumentKey) => Promise<void>,
+ *    articulation: Articulation,
+ *    setArticulation: (articulation: Articulation) => void,
+ *    polyphonySettings: PolyphonySettings,
+ *    setPolyphonySettings: (settings: Partial<PolyphonySettings>) => void,
+ *    octaveShift: number,
+ *    setOctaveShift: (octaveShift: number) => void,
+ *    gridOctaves: GridOctaves,
+ *    setGridOctaves: (gridOctaves: GridOctaves) => void,
+ *    tempo: number,
+ *    setTempo: (tempo: number) => void,
+ *    backingSource: BackingSource,
+ *    setBackingSource: (backingSource: BackingSource) => void,
+ *    mutedBandParts: BandPart[],
+ *    setBandPartMuted: (part: BandPart, muted: boolean) => void,
+ *    metronomeSettings: MetronomeSettings,
+ *    setMetronomeSettings: (settings: Partial<MetronomeSettings>) => void,
+ *    loopRegion: LoopRegion | null,
+ *    setLoopRegion: (loopRegion: LoopRegion | null) => void,
+ *    tempoTrainerSettings: TempoTrainerSettings,
+ *    setTempoTrainerSettings: (settings: Partial<TempoTrainerSettings>) => void
  * }} StudioContextValue
+ * tempo is the backing track playback rate relative to its recorded tempo (see TEMPO_RATES), following the tempo trainer.
+ * loopRegion is null when playback runs through the whole track.
+ * octaveShift shifts notes played from the keyboard and grid by whole octaves (see OCTAVE_SHIFTS), following the keyboard's shift keys.
+ * It stays within the shifts the instrument can reach, see AUDIO_CONFIG.getOctaveShiftRange().
+ * gridOctaves is the setting, the grid only shows a second octave of rows the instrument can reach.
  */
 export const StudioContext = createContext( /** @type {StudioContextValue|null} */ (null));
 
@@ -25,8 +70,20 @@ export const StudioContext = createContext( /** @type {StudioContextValue|null}
  * @param {{ children: import('react').ReactNode }} props
  */
 export function StudioProvider({ children }) {
-    const [studio] = useState(() => {
-        const backingTrack = /** @type {BackingTrackKey} */ ('blues'); // TODO: Extract to config/preference manager
+    const [backingTrack, setBackingTrackState] = useState(/** @type {BackingTrackKey} */ ('blues'));
+    const [instrument, setInstrumentState] = useState(DEFAULT_INSTRUMENT);
+    const [articulation, setArticulationState] = useState(DEFAULT_ARTICULATION);
+    const [polyphonySettings, setPolyphonySettingsState] = useState(POLYPHONY_DEFAULTS);
+    const [octaveShift, setOctaveShiftState] = useState(/** @type {number} */ (OCTAVE_SHIFTS.DEFAULT));
+    const [gridOctaves, setGridOctaves] = useState(/** @type {GridOctaves} */ (1));
+    const [tempo, setTempoState] = useState(/** @type {number} */ (TEMPO_RATES.DEFAULT));
+    const [backingSource, setBackingSourceState] = useState(/** @type {BackingSource} */ ('recording'));
+    const [mutedBandParts, setMutedBandParts] = useState(/** @type {BandPart[]} */ ([]));
+    const [metronomeSettings, setMetronomeSettingsState] = useState(METRONOME_DEFAULTS);
+    const [loopRegion, setLoopRegionState] = useState(/** @type {LoopRegion | null} */ (null));
+    const [tempoTrainerSettings, setTempoTrainerSettingsState] = useState(TEMPO_TRAINER_DEFAULTS);
+
+    const [engines] = useState(() => {
         const audioEngine = new AudioEngine(backingTrack);
         audioEngine.createContext();
         audioEngine.setupGainNodes();
@@ -35,7 +92,10 @@ export function StudioProvider({ children }) {
         const recordingEngine = new RecordingEngine(/** @type {AudioContext} */ (audioEngine.audioContext));
         audioEngine.connectMainToExternalNode(recordingEngine.getMediaStreamDestinationNode());
         const noteLogger = new NoteLogger(timingEngine);
-        const keyboardHandler = new KeyboardHandler(audioEngine);
+        const keyboardHandler = new KeyboardHandler(audioEngine, backingTrack);
+        const midiHandler = new MidiHandler(audioEngine);
+        const metronome = new Metronome(audioEngine, timingEngine);
+        const tempoTrainer = new TempoTrainer(audioEngine, timingEngine);
 
         return {
             audioEngine,
@@ -43,11 +103,146 @@ export function StudioProvider({ children }) {
             recordingEngine,
             noteLogger,
             keyboardHandler,
-            backingTrack,
+            midiHandler,
+            metronome,
+            tempoTrainer,
         };
     });
 
-    return (                                                                                                                                                            
+    // Cycle playback through some measures of the form, or null for the whole track. Safe during playback, but not while recording.
+    const setLoopRegion = useCallback((/** @type {LoopRegion | null} */ region) => {
+        engines.audioEngine.setLoopRegion(region);
+        engines.timingEngine.setLoopRegion(region);
+        setLoopRegionState(region);
+    }, [engines]);
+
+    // Switch between the recorded backing track and the synthesized band. Only call while stopped.
+    const setBackingSource = useCallback((/** @type {BackingSource} */ source) => {
+        engines.audioEngine.setBackingSource(source);
+        setBackingSourceState(source);
+    }, [engines]);
+
+    // Switch all engines to another backing track, which ends any loop in the previous one's form. Only call while stopped.
+    const setBackingTrack = useCallback((/** @type {BackingTrackKey} */ track) => {
+        setLoopRegion(null);
+        engines.audioEngine.setBackingTrack(track);
+        engines.timingEngine.setBackingTrack(track);
+        engines.keyboardHandler.setBackingTrack(track);
+        setBackingTrackState(track);
+        if (!AUDIO_CONFIG.getBackingSources(track).includes(engines.audioEngine.backingSource)) {
+            setBackingSource('band'); // Tracks without a recording
+        }
+    }, [engines, setLoopRegion, setBackingSource]);
+
+    // Shift the octave of notes played from now on. Safe during playback, held notes end in the octave they started.
+    const setOctaveShift = useCallback((/** @type {number} */ shift) => {
+        engines.keyboardHandler.setOctaveShift(shift);
+        setOctaveShiftState(engines.keyboardHandler.octaveShift);
+    }, [engines]);
+
+    // Switch the instrument notes play with. Safe during playback, the previous one plays until the new samples load.
+    // Switches back if they fail to load, rejecting so the caller can tell why. Either way, the octave shift is
+    // brought within reach of the instrument that plays.
+    const setInstrument = useCallback(async (/** @type {InstrumentKey} */ nextInstrument) => {
+        setInstrumentState(nextInstrument);
+        const loading = engines.audioEngine.setInstrument(nextInstrument);
+        setOctaveShift(engines.keyboardHandler.octaveShift);
+        try {
+            await loading;
+        } catch (error) {
+            setInstrumentState(engines.audioEngine.instrument);
+            setOctaveShift(engines.keyboardHandler.octaveShift);
+            throw error;
+        }
+    }, [engines, setOctaveShift]);
+
+    // Change how notes connect, from the next one played. Safe during playback.
+    const setArticulation = useCallback((/** @type {Articulation} */ nextArticulation) => {
+        engines.audioEngine.setArticulation(nextArticulation);
+        setArticulationState(nextArticulation);
+    }, [engines]);
+
+    // Update the polyphony limit or how voices are stolen past it, keeping the rest. Safe during playback.
+    const setPolyphonySettings = useCallback((/** @type {Partial<PolyphonySettings>} */ settings) => {
+        const next = { ...engines.audioEngine.polyphony, ...settings };
+        engines.audioEngine.setPolyphony(next);
+        setPolyphonySettingsState(next);
+    }, [engines]);
+
+    // Follow octave shifts made with the keyboard's shift keys
+    useEffect(() => {
+        engines.keyboardHandler.setOnOctaveShiftChange(setOctaveShiftState);
+        return () => { engines.keyboardHandler.setOnOctaveShiftChange(null); };
+    }, [engines]);
+
+    // Time-stretch the backing track and scale beat timing to match. Safe during playback and recording,
+    // NoteLogger logs tempo changes.
+    const setTempo = useCallback((/** @type {number} */ rate) => {
+        engines.audioEngine.setTempo(rate);
+        engines.timingEngine.setTempo(rate);
+        setTempoState(rate);
+    }, [engines]);
+
+    // Follow tempo changes made by the engines, e.g. the tempo trainer
+    useEffect(() => {
+        return engines.timingEngine.on(TIMING_EVENTS.TEMPO_CHANGE, ({ tempo }) => setTempoState(tempo));
+    }, [engines]);
+
+    const setBandPartMuted = useCallback((/** @type {BandPart} */ part, /** @type {boolean} */ muted) => {
+        engines.audioEngine.setBandPartMuted(part, muted);
+        setMutedBandParts(prev => muted
+            ? [...prev.filter(p => p !== part), part]
+            : prev.filter(p => p !== part));
+    }, [engines]);
+
+    // Update some metronome settings, keeping the rest. Safe during playback.
+    const setMetronomeSettings = useCallback((/** @type {Partial<MetronomeSettings>} */ settings) => {
+        const next = { ...engines.metronome.settings, ...settings };
+        engines.metronome.setSettings(next);
+        setMetronomeSettingsState(next);
+    }, [engines]);
+
+    // Update some tempo trainer settings, keeping the rest. Safe during playback.
+    const setTempoTrainerSettings = useCallback((/** @type {Partial<TempoTrainerSettings>} */ settings) => {
+        const next = { ...engines.tempoTrainer.settings, ...settings };
+        engines.tempoTrainer.setSettings(next);
+        setTempoTrainerSettingsState(next);
+    }, [engines]);
+
+    const studio = useMemo(() => ({
+        ...engines,
+        backingTrack,
+        setBackingTrack,
+        instrument,
+        setInstrument,
+        articulation,
+        setArticulation,
+        polyphonySettings,
+        setPolyphonySettings,
+        octaveShift,
+        setOctaveShift,
+        gridOctaves,
+        setGridOctaves,
+        tempo,
+        setTempo,
+        backingSource,
+        setBackingSource,
+        mutedBandParts,
+        setBandPartMuted,
+        metronomeSettings,
+        setMetronomeSettings,
+        loopRegion,
+        setLoopRegion,
+        tempoTrainerSettings,
+        setTempoTrainerSettings,
+    }), [
+        engines, backingTrack, setBackingTrack, instrument, setInstrument, articulation, setArticulation,
+        polyphonySettings, setPolyphonySettings, octaveShift, setOctaveShift, gridOctaves, setGridOctaves,
+        tempo, setTempo, backingSource, setBackingSource, mutedBandParts, setBandPartMuted,
+        metronomeSettings, setMetronomeSettings, loopRegion, setLoopRegion, tempoTrainerSettings, setTempoTrainerSettings,
+    ]);
+
+    return (
         <StudioContext value={studio}>
             {children}
         </StudioContext>
@@ -1,10 +1,12 @@
-import { NOTE_EVENTS } from '../constants';
+import { NOTE_EVENTS, TIMING_EVENTS } from '../constants';
 
 /** @typedef {import('../constants').NoteEvent} NoteEvent */
 /** @typedef {import('../constants').NoteEventName} NoteEventName */
 /** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
 /** @typedef {import('../constants').PreferenceDifficulty} PreferenceDifficulty */
+/** @typedef {import('../constants').MusicalKey} MusicalKey */
 /** @typedef {import('../timing/TimingEngine').TimingEngine} TimingEngine */
+/** @typedef {import('../timing/TimingEngine').TimingPosition} TimingPosition */
 
 /**
  * @typedef {{
@@ -12,20 +14,38 @@ import { NOTE_EVENTS } from '../constants';
  *   eventType: NoteEventName,
  *   inputID: string,
  *   midiNumber: number,
- *   position: any,
+ *   velocity?: number,
+ *   cents?: number,
+ *   position: TimingPosition,
  * }} LoggedNoteEvent
+ * velocity (0-1) is logged for 'notestart' events from inputs that measure it.
+ * cents is logged for 'notebend' events: how far the held note is bent from midiNumber, 0 once released.
+ */
+
+/**
+ * A tempo change during logging, e.g. from the tempo trainer. Beats after timestamp are spaced at bpm.
+ * @typedef {{
+ *   timestamp: number,
+ *   bpm: number,
+ * }} LoggedTempoChange
  */
 
 /**
  * @typedef {{
  *   backingTrack: BackingTrackKey | null,
  *   difficulty: PreferenceDifficulty | null,
+ *   key: MusicalKey | null,
+ *   bpm: number | null,
+ *   tempoChanges: LoggedTempoChange[],
  *   events: LoggedNoteEvent[],
  * }} NoteLog
+ * bpm is the tempo the backing track started at, and tempoChanges any changes after; event timestamps are
+ * in seconds as played, so they line up with the recording.
+ * Timestamps are negative during a generated count-in, before the backing track starts.
  */
 
 /**
- * NoteLogger listens for custom note events ('notestart' | 'noteend') dispatched by input handlers, and logs them.
+ * NoteLogger listens for custom note events ('notestart' | 'noteend' | 'notebend') dispatched by input handlers, and logs them.
  * Uses TimingEngine as central clock.
  */
 
@@ -37,22 +57,35 @@ export class NoteLogger {
         this.events = /** @type {LoggedNoteEvent[]} */ ([]);
         this.backingTrack = /** @type {BackingTrackKey | null} */ (null);
         this.difficulty = /** @type {PreferenceDifficulty | null} */ (null);
+        this.key = /** @type {MusicalKey | null} */ (null);
+        this.bpm = /** @type {number | null} */ (null);
+        this.tempoChanges = /** @type {LoggedTempoChange[]} */ ([]);
+        /** @type {(() => void) | null} */
+        this.unsubscribeTempoChange = null;
 
         this.handleNoteEvent = this.handleNoteEvent.bind(this);
     }
 
     /**
-     * Start logging note events. Listens for 'notestart' and 'noteend' events dispatched by KeyboardHandler.
+     * Start logging note events. Listens for 'notestart', 'noteend' and 'notebend' events dispatched by input handlers.
       * @param {BackingTrackKey} backingTrack the backing track being used (e.g., 'blues')
       * @param {PreferenceDifficulty} difficulty the difficulty level (hard/medium/easy)
+      * @param {MusicalKey} key the key being played in; logged MIDI numbers and chords are already transposed
      */
-    start(backingTrack, difficulty) {
+    start(backingTrack, difficulty, key) {
         this.events = []; // Clear previous logs
         this.backingTrack = backingTrack;
         this.difficulty = difficulty;
+        this.key = key;
+        this.bpm = this.timingEngine.bpm;
+        this.tempoChanges = [];
         
         document.addEventListener(NOTE_EVENTS.START, this.handleNoteEvent);
         document.addEventListener(NOTE_EVENTS.END, this.handleNoteEvent);
+        document.addEventListener(NOTE_EVENTS.BEND, this.handleNoteEvent);
+        this.unsubscribeTempoChange = this.timingEngine.on(TIMING_EVENTS.TEMPO_CHANGE, ({ bpm, time }) => {
+            if (time !== null) this.tempoChanges.push({ timestamp: time, bpm });
+        });
     }
 
     /**
@@ -62,14 +95,23 @@ export class NoteLogger {
     stop() {
         document.removeEventListener(NOTE_EVENTS.START, this.handleNoteEvent);
         document.removeEventListener(NOTE_EVENTS.END, this.handleNoteEvent);
+        document.removeEventListener(NOTE_EVENTS.BEND, this.handleNoteEvent);
+        this.unsubscribeTempoChange?.();
+        this.unsubscribeTempoChange = null;
 
         const log = {
             backingTrack: this.backingTrack,
             difficulty: this.difficulty,
+            key: this.key,
+            bpm: this.bpm,
+            tempoChanges: this.tempoChanges,
             events: this.events,
         }
         this.backingTrack = null;
         this.difficulty = null;
+        this.key = null;
+        this.bpm = null;
+        this.tempoChanges = [];
         return log;
     }
 
@@ -80,26 +122,30 @@ export class NoteLogger {
     handleNoteEvent(event) {
         const e = /** @type {NoteEvent} */ (event);
         const timestamp = this.timingEngine.getCurrentTime();
-        const { midiNumber, uniqueID } = e.detail;
+        const { midiNumber, uniqueID, velocity, cents } = e.detail;
         const position = this.timingEngine.getCurrentPosition();
 
-        this.logEvent(timestamp, e.type, midiNumber, uniqueID, position);
+        this.logEvent(timestamp, e.type, midiNumber, uniqueID, position, velocity, cents);
     }
 
     /**
      * 
-     * @param {number} timestamp elapsed time (in seconds with sub-millisecond precision) from backing track start
-     * @param {'notestart' | 'noteend'} eventType 
+     * @param {number} timestamp elapsed time (in seconds with sub-millisecond precision) from backing track start, as played
+     * @param {NoteEventName} eventType 
      * @param {number} midiNumber
-     * @param {string} inputID key code that played the note
-     * @param {*} position additional contextual information from TimingEngine
+     * @param {string} inputID key code, grid cell or MIDI note that played the note
+     * @param {TimingPosition} position additional contextual information from TimingEngine, e.g. chord at the current beat
+     * @param {number} [velocity] 0-1, if the input measured it
+     * @param {number} [cents] bend from midiNumber, for 'notebend'
      */
-    logEvent(timestamp, eventType, midiNumber, inputID, position) {
+    logEvent(timestamp, eventType, midiNumber, inputID, position, velocity, cents) {
         this.events.push({
             timestamp,
             eventType,
             inputID,
             midiNumber,
+            ...(velocity !== undefined && { velocity }),
+            ...(cents !== undefined && { cents }),
             position
         });
     }
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import { useStudio } from '../contexts/StudioContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { usePlayback } from '../contexts/PlaybackContext';
+import { getAudioUrls, precacheAudio } from '../offline/precacheAudio';
+import { isServiceWorkerEnabled } from '../offline/registerServiceWorker';
+
+/**
+ * Hook for caching the audio of the current track, key, instrument and reverb in the background, so they play offline.
+ * The service worker precaches only the app shell, other audio caches when first played.
+ */
+export function useAudioPrecache() {
+    const { backingTrack, backingSource, instrument } = useStudio();
+    const { preferences } = usePreferences();
+    const { playbackKey: key } = usePlayback();
+    const { reverbImpulse } = preferences;
+
+    useEffect(() => {
+        if (!isServiceWorkerEnabled()) return;
+        void precacheAudio(getAudioUrls({ backingTrack, backingSource, key, instrument, reverbImpulse }));
+    }, [backingTrack, backingSource, key, instrument, reverbImpulse]);
+}
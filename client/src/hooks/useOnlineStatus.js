@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * @returns {boolean} whether the browser has a network connection, following it going up and down
+ */
+export function useOnlineStatus() {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+    return isOnline;
+}
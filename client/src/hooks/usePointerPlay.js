@@ -1,77 +1,134 @@
 import { useRef, useEffect } from 'react';
 import { useStudio } from '../contexts/StudioContext';
-import { dispatchNoteEvent } from '../utils';
+import { dispatchNoteBendEvent, dispatchNoteEvent } from '../utils';
 import { NOTE_EVENTS } from '../constants';
 
-/** @typedef {import('../visual/grid-data').KeyCode} KeyCode */
-/** @typedef {{ keyCode: KeyCode, midiNumber: number }} PointerData */
+/**
+ * @typedef {{ inputID: string, midiNumber: number, startY: number, bend: number }} PointerData
+ * startY is the clientY the pointer started its note at, for bending by dragging from it. bend is in cents.
+ */
+
+const BEND_CENTS_PER_HALF_CELL = 100; // Dragging from a cell's middle to its edge bends a half step
+
+/**
+ * Pointers without pressure sensing report 0.5 while pressed (and mice 0 while hovering), so only other values are measured.
+ * @param {number} pressure - PointerEvent.pressure
+ * @returns {number | undefined} velocity, or undefined if the pointer doesn't sense pressure
+ */
+function pressureToVelocity(pressure) {
+    if (pressure === 0 || pressure === 0.5) return undefined;
+    return pressure;
+}
 
 /** 
  * Custom hook to handle pointer interactions for playing notes on the grid.
  * Provides handlers for pointer down, enter, leave, up, and cancel events.
- * Note: for convenience, all pointer events still use keyCode as the uniqueID.
+ * Note: for convenience, all pointer events still use the cell's inputID (its keyCode in the first octave) as the uniqueID.
+ * Notes play shifted by the octave shift, and each pointer remembers the MIDI number it played for the note-off.
+ * Pressure-sensing pointers, e.g. pens and some touchscreens, play with their pressure as velocity.
+ * Dragging up or down within a cell bends its note, e.g. into a blue note.
  */
 export function usePointerPlay() {
-    const { audioEngine } = useStudio();
+    const { audioEngine, octaveShift } = useStudio();
     const activePointers = useRef(/** @type {Map<number, PointerData>} */ (new Map()));
 
+    /**
+     * Play a cell's note for a pointer, shifted by the octave shift.
+     * Notes out of the instrument's range stay silent, but the pointer is still tracked for sliding on to other cells.
+     * @param {number} pointerId 
+     * @param {string} inputID 
+     * @param {number} midiNumber - as written in the cell
+     * @param {number} pressure
+     * @param {number} clientY
+     */
+    const startNote = (pointerId, inputID, midiNumber, pressure, clientY) => {
+        const shiftedMidiNumber = midiNumber + 12 * octaveShift;
+        const velocity = pressureToVelocity(pressure);
+        activePointers.current.set(pointerId, { inputID, midiNumber: shiftedMidiNumber, startY: clientY, bend: 0 });
+        if (!audioEngine.canPlayNote(shiftedMidiNumber)) return;
+        audioEngine.playNote(inputID, shiftedMidiNumber, velocity);
+        dispatchNoteEvent(NOTE_EVENTS.START, inputID, shiftedMidiNumber, velocity);
+    };
+
+    /**
+     * Stop the note a pointer played, unless its voice was stolen and it already ended.
+     * @param {PointerData} pointerData
+     */
+    const endNote = ({ inputID, midiNumber }) => {
+        if (audioEngine.stopNote(inputID, midiNumber)) dispatchNoteEvent(NOTE_EVENTS.END, inputID, midiNumber);
+    };
+
     /**
      * Triggers note when pointer enters a cell if pointer slides from another.
      * Note: its first touch must have been a NoteCell.
      * @param {number} pointerId 
-     * @param {KeyCode} keyCode 
+     * @param {string} inputID 
      * @param {number} midiNumber 
+     * @param {number} pressure 
+     * @param {number} clientY 
      */
-    const handlePointerEnter = (pointerId, keyCode, midiNumber) => {
-        const isActive = activePointers.current.get(pointerId)?.keyCode === keyCode;
+    const handlePointerEnter = (pointerId, inputID, midiNumber, pressure, clientY) => {
+        const isActive = activePointers.current.get(pointerId)?.inputID === inputID;
         if (activePointers.current.has(pointerId) && !isActive) {
-            audioEngine.playNote(keyCode, midiNumber);
-            activePointers.current.set(pointerId, { keyCode, midiNumber });
-            dispatchNoteEvent(NOTE_EVENTS.START, keyCode, midiNumber);
+            startNote(pointerId, inputID, midiNumber, pressure, clientY);
         }
     };
 
     /**
      * Triggers note if the cell was not already playing a note.
      * @param {number} pointerId 
-     * @param {KeyCode} keyCode 
+     * @param {string} inputID 
      * @param {number} midiNumber 
+     * @param {number} pressure 
+     * @param {number} clientY 
      */
-    const handlePointerDown = (pointerId, keyCode, midiNumber) => {
-        const isActive = activePointers.current.get(pointerId)?.keyCode === keyCode;
-        activePointers.current.set(pointerId, { keyCode, midiNumber });
+    const handlePointerDown = (pointerId, inputID, midiNumber, pressure, clientY) => {
+        const isActive = activePointers.current.get(pointerId)?.inputID === inputID;
         if (!isActive) {
-            audioEngine.playNote(keyCode, midiNumber);
-            dispatchNoteEvent(NOTE_EVENTS.START, keyCode, midiNumber);
+            startNote(pointerId, inputID, midiNumber, pressure, clientY);
         }
     };
 
+    /**
+     * Bends the note a pointer plays by how far it has been dragged up or down since starting it.
+     * @param {number} pointerId 
+     * @param {string} inputID 
+     * @param {number} clientY 
+     * @param {number} cellHeight 
+     */
+    const handlePointerMove = (pointerId, inputID, clientY, cellHeight) => {
+        const active = activePointers.current.get(pointerId);
+        if (active?.inputID !== inputID || cellHeight === 0) return;
+
+        const cents = Math.round((active.startY - clientY) / (cellHeight / 2) * BEND_CENTS_PER_HALF_CELL); // Up bends up
+        const bend = audioEngine.bendNote(inputID, cents);
+        if (bend === null || bend === active.bend) return;
+        active.bend = bend;
+        dispatchNoteBendEvent(inputID, active.midiNumber, bend);
+    };
+
     /**
      * Stops note if cell is active when pointer released or cancelled.
      * @param {number} pointerId 
-     * @param {KeyCode} keyCode 
-     * @param {number} midiNumber 
+     * @param {string} inputID 
      */
-    const handlePointerUpOrCancel = (pointerId, keyCode, midiNumber) => {
-        const isActive = activePointers.current.get(pointerId)?.keyCode === keyCode;
+    const handlePointerUpOrCancel = (pointerId, inputID) => {
+        const active = activePointers.current.get(pointerId);
         activePointers.current.delete(pointerId);
-        if (isActive) {
-            audioEngine.stopNote(keyCode, midiNumber);
-            dispatchNoteEvent(NOTE_EVENTS.END, keyCode, midiNumber);
+        if (active?.inputID === inputID) {
+            endNote(active);
         }
     }
 
     /**
      * Stops note if cell is active when pointer leaves the cell.
      * @param {number} pointerId 
-     * @param {KeyCode} keyCode 
-     * @param {number} midiNumber 
+     * @param {string} inputID 
      */
-    const handlePointerLeave = (pointerId, keyCode, midiNumber) => {
-        const wasActive = activePointers.current.get(pointerId)?.keyCode === keyCode;
-        if (activePointers.current.has(pointerId) && wasActive) {
-            audioEngine.stopNote(keyCode, midiNumber);
-            dispatchNoteEvent(NOTE_EVENTS.END, keyCode, midiNumber);
+    const handlePointerLeave = (pointerId, inputID) => {
+        const active = activePointers.current.get(pointerId);
+        if (active?.inputID === inputID) {
+            endNote(active);
         }
     };
 
@@ -93,5 +150,5 @@ export function usePointerPlay() {
         };
     }, []);
 
-    return { handlePointerEnter, handlePointerDown, handlePointerLeave, handlePointerUpOrCancel };
-}
\ No newline at end of file
+    return { handlePointerEnter, handlePointerDown, handlePointerMove, handlePointerLeave, handlePointerUpOrCancel };
+}
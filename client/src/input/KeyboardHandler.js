@@ -1,27 +1,51 @@
-import { KEY_MAPPINGS, NOTE_EVENTS } from "../constants";
-import { dispatchNoteEvent } from "../utils";
+import { AUDIO_CONFIG, NOTE_EVENTS, OCTAVE_SHIFTS } from "../constants";
+import { dispatchNoteBendEvent, dispatchNoteEvent } from "../utils";
+import { getTransposition, transposeMidiNumber } from "../theory/key-data";
+import { buildKeyMappings } from "../theory/scale-data";
 /** @import { AudioEngine } from '../audio/AudioEngine.js' */
 /** @typedef {import('../constants').NoteEventName} NoteEventName */
+/** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../theory/key-data').MusicalKey} MusicalKey */
+/** @typedef {import('../theory/scale-data').KeyMapping} KeyMapping */
+
+/** Keys that shift the octave notes play in, and by how many octaves, beside the number row */
+const OCTAVE_SHIFT_KEYS = /** @type {Partial<Record<string, number>>} */ ({
+    Minus: -1,
+    Equal: 1,
+});
+
+/** Modifier keys that bend held notes while held, and by how many cents: a half step, e.g. curling the ♭3 toward the 3 */
+const BEND_KEYS = /** @type {Partial<Record<string, number>>} */ ({
+    ShiftLeft: 100,
+    ShiftRight: 100,
+});
+const KEY_BEND_TIME_CONSTANT = 0.05; // seconds, slow enough to hear the bend rather than a jump
 
 /**
- * @param {string} code
- * @returns {(typeof KEY_MAPPINGS)[keyof typeof KEY_MAPPINGS] | null}
- */
-function getKeyMapping(code) {
-    if (!(code in KEY_MAPPINGS)) return null;
-    return KEY_MAPPINGS[/** @type {keyof typeof KEY_MAPPINGS} */ (code)];
-}
-
-/**
- * Handles keyboard input only for playing notes.
+ * Handles keyboard input only for playing notes, shifting the octave they play in, and bending held notes with Shift.
  */
 export class KeyboardHandler {
     /**
      * @param {AudioEngine} audioEngine 
+     * @param {BackingTrackKey} [trackKey] - whose scale rows the keyboard plays
      */
-    constructor(audioEngine) {
+    constructor(audioEngine, trackKey = 'blues') {
         this.audioEngine = audioEngine;
-        this.activeKeys = /** @type {Set<string>} */ (new Set());
+        this.activeKeys = /** @type {Map<string, number>} */ (new Map()); // key code -> MIDI number it played, for its note-off
+        /** @type {number} */
+        this.octaveShift = OCTAVE_SHIFTS.DEFAULT; // See setOctaveShift()
+        /** @type {((octaveShift: number) => void) | null} */
+        this.onOctaveShiftChange = null;
+        this.heldBendKeys = /** @type {Set<string>} */ (new Set());
+
+        /** @type {MusicalKey} */
+        this.key = 'C';
+        // Set in setBackingTrack()
+        this.trackKey = trackKey;
+        /** @type {Partial<Record<string, KeyMapping>>} */
+        this.keyMappings = {};
+        this.transposition = getTransposition('C', 'C'); // from the track's recorded key to this.key
+        this.setBackingTrack(trackKey);
 
         // Bind event handlers to preserve 'this' context
         this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -47,26 +71,106 @@ export class KeyboardHandler {
         this.releaseAllKeys();
     }
 
+    /**
+     * Map keys to the scale rows of a backing track. Active keys are released first so they stop their original notes.
+     * @param {BackingTrackKey} trackKey
+     */
+    setBackingTrack(trackKey) {
+        this.releaseAllKeys();
+        const track = AUDIO_CONFIG.backingTracks[trackKey];
+        this.trackKey = trackKey;
+        this.keyMappings = buildKeyMappings(track.scaleRows);
+        this.transposition = getTransposition(track.key, this.key);
+        this.setOctaveShift(this.octaveShift); // Within reach of the new track's notes
+    }
+
+    /**
+     * Transpose played notes into a key. Active keys are released first so they stop their original notes.
+     * @param {MusicalKey} key
+     */
+    setKey(key) {
+        this.releaseAllKeys();
+        this.key = key;
+        this.transposition = getTransposition(AUDIO_CONFIG.backingTracks[this.trackKey].key, key);
+        this.setOctaveShift(this.octaveShift); // Within reach of the new key's notes
+    }
+
+    /**
+     * Shift the octave of notes played from now on, within the shifts the audio engine's instrument can play the track at
+     * in the key (see AUDIO_CONFIG.getOctaveShiftRange()). Active keys keep their notes until released.
+     * Call with the current shift to bring it back within reach after the instrument changes.
+     * @param {number} octaveShift
+     */
+    setOctaveShift(octaveShift) {
+        const { min, max } = AUDIO_CONFIG.getOctaveShiftRange(this.trackKey, this.key, this.audioEngine.instrument);
+        const clamped = Math.min(Math.max(octaveShift, min), max);
+        if (clamped === this.octaveShift) return;
+        this.octaveShift = clamped;
+        if (this.onOctaveShiftChange) this.onOctaveShiftChange(clamped);
+    }
+
+    /**
+     * Set the callback function to be called when the octave shift keys change the octave shift.
+     * Set to null for cleanup.
+     * @param {((octaveShift: number) => void) | null} callback
+     */
+    setOnOctaveShiftChange(callback) {
+        this.onOctaveShiftChange = callback;
+    }
+
+    /**
+     * @param {string} code
+     * @returns {KeyMapping | null}
+     */
+    getKeyMapping(code) {
+        return this.keyMappings[code] ?? null;
+    }
+
+    /**
+     * @param {string} code
+     * @returns {number | null} MIDI number in the current key and octave shift, or null if not a mapped key
+     */
+    getMidiNumber(code) {
+        const mapping = this.getKeyMapping(code);
+        if (!mapping) return null;
+        return transposeMidiNumber(mapping.midiNumber, this.transposition) + 12 * this.octaveShift;
+    }
+
     /**
      * @param {KeyboardEvent} event 
      * @returns 
      */
     handleKeyDown(event) {
         if (event.repeat) return; // Ignore key auto-repeats
+
+        const bend = BEND_KEYS[event.code];
+        if (bend !== undefined) {
+            this.heldBendKeys.add(event.code);
+            this.bendActiveKeys(bend);
+            return;
+        }
+
         if (event.metaKey || event.ctrlKey || event.altKey || event.shiftKey) return; // Let browser shortcuts through
         if (document.querySelector('dialog[open]')) return; // Don't capture input when a dialog is open  
+
+        const octaves = OCTAVE_SHIFT_KEYS[event.code];
+        if (octaves !== undefined) {
+            event.preventDefault();
+            this.setOctaveShift(this.octaveShift + octaves);
+            return;
+        }
         
-        const mapping = getKeyMapping(event.code);
-        if (!mapping) return; // Not a mapped key
-        const { midiNumber } = mapping;
+        const midiNumber = this.getMidiNumber(event.code);
+        if (midiNumber === null) return; // Not a mapped key
 
         event.preventDefault(); // Prevent default browser actions like scrolling
 
         if (this.activeKeys.has(event.code)) return; // Already active
+        if (!this.audioEngine.canPlayNote(midiNumber)) return; // Out of the instrument's range at this octave shift
 
         // Play note and track key
         this.audioEngine.playNote(event.code, midiNumber);
-        this.activeKeys.add(event.code);
+        this.activeKeys.set(event.code, midiNumber);
 
         dispatchNoteEvent(NOTE_EVENTS.START, event.code, midiNumber);
     }
@@ -76,19 +180,24 @@ export class KeyboardHandler {
      * @returns 
      */
     handleKeyUp(event) {
-        const mapping = getKeyMapping(event.code);
-        if (!mapping || document.querySelector('dialog[open]')) return; // Not a mapped key or dialog is open
-        const { midiNumber } = mapping;
+        if (BEND_KEYS[event.code] !== undefined) {
+            this.heldBendKeys.delete(event.code);
+            if (this.heldBendKeys.size === 0) this.bendActiveKeys(0);
+            return;
+        }
+
+        if (!this.getKeyMapping(event.code) || document.querySelector('dialog[open]')) return; // Not a mapped key or dialog is open
 
         event.preventDefault(); // Prevent default browser actions like scrolling
 
-        if (!this.activeKeys.has(event.code)) return; // Not active
+        const midiNumber = this.activeKeys.get(event.code); // As played, the octave shift may have changed since
+        if (midiNumber === undefined) return; // Not active
 
-        // Stop note and untrack key
-        this.audioEngine.stopNote(event.code, midiNumber);
+        // Stop note and untrack key. A stolen note has already ended
         this.activeKeys.delete(event.code);
-
-        dispatchNoteEvent(NOTE_EVENTS.END, event.code, midiNumber);
+        if (this.audioEngine.stopNote(event.code, midiNumber)) {
+            dispatchNoteEvent(NOTE_EVENTS.END, event.code, midiNumber);
+        }
     }
 
     handleVisibilityChange() {
@@ -101,19 +210,26 @@ export class KeyboardHandler {
         this.releaseAllKeys();
     }
 
+    /**
+     * Bend every active key's note, e.g. while a bend key is held. Notes played later start unbent.
+     * @param {number} cents - 0 releases the bend
+     */
+    bendActiveKeys(cents) {
+        for (const [code, midiNumber] of this.activeKeys) {
+            const bend = this.audioEngine.bendNote(code, cents, KEY_BEND_TIME_CONSTANT);
+            if (bend !== null) dispatchNoteBendEvent(code, midiNumber, bend);
+        }
+    }
+
     releaseAllKeys() {
-        for (const code of this.activeKeys) {
-            const mapping = getKeyMapping(code);
-            if (mapping) {
-                const { midiNumber } = mapping;
-                this.audioEngine.stopNote(code, midiNumber);
-                dispatchNoteEvent(NOTE_EVENTS.END, code, midiNumber);
-            }
+        this.heldBendKeys.clear(); // Their keyup may be missed, e.g. on blur
+        for (const [code, midiNumber] of this.activeKeys) {
+            if (this.audioEngine.stopNote(code, midiNumber)) dispatchNoteEvent(NOTE_EVENTS.END, code, midiNumber);
         }
         this.activeKeys.clear();
     }
 
     getActiveKeys() {
-        return Array.from(this.activeKeys);
+        return Array.from(this.activeKeys.keys());
     }
 }
\ No newline at end of file
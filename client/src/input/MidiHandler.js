@@ -0,0 +1,189 @@
+import { NOTE_EVENTS } from "../constants";
+import { dispatchNoteBendEvent, dispatchNoteEvent } from "../utils";
+/** @import { AudioEngine } from '../audio/AudioEngine.js' */
+
+const MIDI_COMMANDS = /** @type {const} */ ({
+    NOTE_OFF: 0x80,
+    NOTE_ON: 0x90,
+    PITCH_BEND: 0xe0,
+});
+const MIDI_MAX_VELOCITY = 127;
+const PITCH_BEND_CENTER = 8192;     // 14-bit wheel value at rest
+const PITCH_BEND_RANGE_CENTS = 200; // The General MIDI default of a whole step either way
+
+/**
+ * Handles Web MIDI input for playing notes, with each note-on's velocity, and bending them with the pitch wheel.
+ * A channel's wheel bends its held notes, and ones played on it while the wheel is off center start bent.
+ * Notes play as sent: a MIDI keyboard plays its own keys in any key and octave, so the key and octave shift don't apply.
+ * Access is requested by connect(), which browsers require to come from a user gesture.
+ */
+export class MidiHandler {
+    /**
+     * @param {AudioEngine} audioEngine
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        /** @type {MIDIAccess | null} */
+        this.midiAccess = null;
+        this.activeNotes = /** @type {Map<string, number>} */ (new Map()); // inputID -> MIDI number
+        this.channelBends = /** @type {Map<number, number>} */ (new Map()); // channel -> cents its wheel bends
+        this.enabled = false;
+        /** @type {((inputNames: string[]) => void) | null} */
+        this.onInputsChange = null;
+
+        // Bind event handlers to preserve 'this' context
+        this.handleMidiMessage = this.handleMidiMessage.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+    }
+
+    /**
+     * @returns {boolean} whether the browser supports Web MIDI
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+    }
+
+    /**
+     * Request MIDI access and listen to every input, including ones plugged in later.
+     * @returns {Promise<string[]>} names of the connected inputs
+     */
+    async connect() {
+        if (!MidiHandler.isSupported()) {
+            throw new Error('MidiHandler: Web MIDI is not supported in this browser.');
+        }
+        if (!this.midiAccess) {
+            this.midiAccess = await navigator.requestMIDIAccess();
+            this.midiAccess.addEventListener('statechange', this.handleStateChange);
+            this.listenToInputs();
+        }
+        return this.getInputNames();
+    }
+
+    /**
+     * Play notes from MIDI messages, e.g. while the backing track plays.
+     */
+    enable() {
+        this.enabled = true;
+    }
+
+    /**
+     * Ignore MIDI messages, stopping held notes.
+     */
+    disable() {
+        this.enabled = false;
+        this.releaseAllNotes();
+        this.channelBends.clear();
+    }
+
+    listenToInputs() {
+        // Adding the same listener twice is a no-op, so inputs already listened to are unaffected
+        this.midiAccess?.inputs.forEach(input => input.addEventListener('midimessage', this.handleMidiMessage));
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    getInputNames() {
+        if (!this.midiAccess) return [];
+        return Array.from(this.midiAccess.inputs.values()).map(input => input.name ?? 'MIDI input');
+    }
+
+    /**
+     * Set the callback function to be called when MIDI inputs are connected or disconnected.
+     * Set to null for cleanup.
+     * @param {((inputNames: string[]) => void) | null} callback
+     */
+    setOnInputsChange(callback) {
+        this.onInputsChange = callback;
+    }
+
+    handleStateChange() {
+        this.listenToInputs();
+        if (this.onInputsChange) this.onInputsChange(this.getInputNames());
+    }
+
+    /**
+     * @param {Event} event
+     */
+    handleMidiMessage(event) {
+        const { data } = /** @type {MIDIMessageEvent} */ (event);
+        if (!this.enabled || !data || data.length < 3) return;
+
+        const [status, data1, data2] = data;
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+
+        if (command === MIDI_COMMANDS.PITCH_BEND) {
+            this.pitchBend(channel, ((data2 << 7) | data1) - PITCH_BEND_CENTER); // LSB first
+            return;
+        }
+
+        const [midiNumber, velocity] = [data1, data2];
+        const inputID = `midi-${channel}-${midiNumber}`; // Channel and note, so each key is its own input
+
+        if (command === MIDI_COMMANDS.NOTE_ON && velocity > 0) {
+            this.noteOn(inputID, midiNumber, velocity / MIDI_MAX_VELOCITY, this.channelBends.get(channel));
+        } else if (command === MIDI_COMMANDS.NOTE_OFF || command === MIDI_COMMANDS.NOTE_ON) {
+            this.noteOff(inputID); // Note-on with velocity 0 is a note-off
+        }
+    }
+
+    /**
+     * @param {string} inputID
+     * @param {number} midiNumber
+     * @param {number} velocity - 0-1
+     * @param {number} [bend=0] - cents its channel's wheel bends, applied from the start
+     */
+    noteOn(inputID, midiNumber, velocity, bend = 0) {
+        if (this.activeNotes.has(inputID)) return; // Already active
+        if (!this.audioEngine.canPlayNote(midiNumber)) return; // Out of the instrument's range
+        this.audioEngine.playNote(inputID, midiNumber, velocity);
+        this.activeNotes.set(inputID, midiNumber);
+        dispatchNoteEvent(NOTE_EVENTS.START, inputID, midiNumber, velocity);
+        if (bend !== 0) this.bendNote(inputID, midiNumber, bend, 0);
+    }
+
+    /**
+     * Bend a channel's held notes as its pitch wheel moves.
+     * @param {number} channel - 0-15
+     * @param {number} value - wheel position from center, -8192 to 8191
+     */
+    pitchBend(channel, value) {
+        const cents = Math.round(value / PITCH_BEND_CENTER * PITCH_BEND_RANGE_CENTS);
+        if (cents === (this.channelBends.get(channel) ?? 0)) return;
+        this.channelBends.set(channel, cents);
+
+        for (const [inputID, midiNumber] of this.activeNotes) {
+            if (inputID.startsWith(`midi-${channel}-`)) this.bendNote(inputID, midiNumber, cents);
+        }
+    }
+
+    /**
+     * @param {string} inputID
+     * @param {number} midiNumber
+     * @param {number} cents
+     * @param {number} [timeConstant] - see AudioEngine.bendNote()
+     */
+    bendNote(inputID, midiNumber, cents, timeConstant) {
+        const bend = this.audioEngine.bendNote(inputID, cents, timeConstant);
+        if (bend !== null) dispatchNoteBendEvent(inputID, midiNumber, bend);
+    }
+
+    /**
+     * @param {string} inputID
+     */
+    noteOff(inputID) {
+        const midiNumber = this.activeNotes.get(inputID);
+        if (midiNumber === undefined) return; // Not active
+        this.activeNotes.delete(inputID);
+        if (this.audioEngine.stopNote(inputID, midiNumber)) { // A stolen note has already ended
+            dispatchNoteEvent(NOTE_EVENTS.END, inputID, midiNumber);
+        }
+    }
+
+    releaseAllNotes() {
+        for (const inputID of Array.from(this.activeNotes.keys())) {
+            this.noteOff(inputID);
+        }
+    }
+}
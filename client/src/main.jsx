@@ -6,6 +6,7 @@ import { PlaybackProvider } from './contexts/PlaybackContext';
 import { PreferencesProvider } from './contexts/PreferencesContext';
 import { AuthProvider } from './contexts/AuthContext';
 import { RecordingsProvider } from './contexts/RecordingsContext';
+import { registerServiceWorker } from './offline/registerServiceWorker';
 
 import './styles/base.css';
 import './styles/controls.css';
@@ -29,4 +30,6 @@ root.render(
             </AuthProvider>
         </StudioProvider>
     </StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
\ No newline at end of file
@@ -0,0 +1,105 @@
+const DB_NAME = 'color-improv';
+const DB_VERSION = 1;
+const STORE_NAME = 'pending-uploads';
+
+/**
+ * A recording saved to the account library while offline, waiting to be uploaded.
+ * @typedef {{
+ *   id: number,
+ *   userId: string,
+ *   audioBlob: Blob,
+ *   logObject: Object,
+ *   title: string,
+ *   notes?: string,
+ *   durationSeconds: number,
+ *   queuedAt: string,
+ * }} PendingUpload
+ * id is assigned by the queue, in the order uploads were queued. userId is who saved it, uploaded only once they're logged in.
+ * queuedAt is an ISO timestamp.
+ */
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * UploadQueue keeps recordings saved offline in IndexedDB, so they survive closing the app until they're uploaded.
+ * See RecordingsContext, which queues and uploads them.
+ */
+export class UploadQueue {
+    constructor() {
+        /** @type {Promise<IDBDatabase> | null} */
+        this.dbPromise = null; // See open()
+    }
+
+    /**
+     * @returns {boolean} whether the browser supports IndexedDB
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!UploadQueue.isSupported()) {
+            return Promise.reject(new Error('UploadQueue: IndexedDB is not supported in this browser.'));
+        }
+        if (!this.dbPromise) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            this.dbPromise = requestToPromise(request);
+            this.dbPromise.catch(() => { this.dbPromise = null; }); // Retry on the next call
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @param {IDBTransactionMode} mode
+     * @returns {Promise<IDBObjectStore>}
+     */
+    async getStore(mode) {
+        const db = await this.open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    /**
+     * @param {Omit<PendingUpload, 'id' | 'queuedAt'>} upload
+     * @returns {Promise<PendingUpload>}
+     */
+    async add(upload) {
+        const store = await this.getStore('readwrite');
+        const queuedUpload = { ...upload, queuedAt: new Date().toISOString() };
+        const id = await requestToPromise(store.add(queuedUpload));
+        return { ...queuedUpload, id: /** @type {number} */ (id) };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<PendingUpload[]>} the user's pending uploads, oldest first
+     */
+    async getAll(userId) {
+        const store = await this.getStore('readonly');
+        const uploads = /** @type {PendingUpload[]} */ (await requestToPromise(store.getAll()));
+        return uploads.filter(upload => upload.userId === userId);
+    }
+
+    /**
+     * @param {number} id
+     */
+    async remove(id) {
+        const store = await this.getStore('readwrite');
+        await requestToPromise(store.delete(id));
+    }
+}
@@ -0,0 +1,52 @@
+import { AssetCache } from '../audio/AssetCache';
+import { REVERB_IMPULSES } from '../audio/effects-data';
+import { getSampleMidiNumbers, getVelocityLayers } from '../audio/instrument-data';
+import { AUDIO_CONFIG } from '../constants';
+
+/** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../constants').BackingSource} BackingSource */
+/** @typedef {import('../constants').MusicalKey} MusicalKey */
+/** @typedef {import('../audio/instrument-data').InstrumentKey} InstrumentKey */
+/** @typedef {import('../audio/effects-data').ReverbImpulse} ReverbImpulse */
+
+/**
+ * @typedef {{
+ *   backingTrack: BackingTrackKey,
+ *   backingSource: BackingSource,
+ *   key: MusicalKey,
+ *   instrument: InstrumentKey,
+ *   reverbImpulse: ReverbImpulse,
+ * }} AudioSelection
+ */
+
+const assetCache = new AssetCache();
+
+/**
+ * @param {AudioSelection} selection
+ * @returns {string[]} URLs of the audio files playing the selection loads: the backing track's recording
+ * (none for the synthesized band), the instrument's samples for the track's notes in the key, and the reverb's impulse response
+ */
+export function getAudioUrls({ backingTrack, backingSource, key, instrument, reverbImpulse }) {
+    const midiNumbers = getSampleMidiNumbers(instrument, AUDIO_CONFIG.getSamples(backingTrack, key));
+    const sampleUrls = getVelocityLayers(instrument).flatMap((_, layer) =>
+        midiNumbers.map(midiNumber => AUDIO_CONFIG.getSamplePath(midiNumber, instrument, layer)));
+    return [
+        ...(backingSource === 'band' ? [] : [AUDIO_CONFIG.getBackingTrackPath(backingTrack, key)]),
+        ...sampleUrls,
+        `${AUDIO_CONFIG.paths.IMPULSE_RESPONSES_BASE}${REVERB_IMPULSES[reverbImpulse].file}`,
+    ];
+}
+
+/**
+ * Cache audio files not cached yet, in the cache AssetCache and the service worker play them from,
+ * so they play offline without having been played first. Doesn't fail for files that fail.
+ * @param {string[]} urls
+ * @returns {Promise<void>}
+ */
+export async function precacheAudio(urls) {
+    const results = await Promise.allSettled(urls.map(url => assetCache.add(url)));
+    const failedCount = results.filter(result => result.status === 'rejected').length;
+    if (failedCount > 0) {
+        console.warn(`Failed to precache ${failedCount} of ${urls.length} audio files, they load when played.`);
+    }
+}
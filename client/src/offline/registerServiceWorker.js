@@ -0,0 +1,24 @@
+/// <reference types="vite/client" />
+import { ASSET_CACHE_NAME } from '../audio/AssetCache';
+
+/**
+ * @returns {boolean} whether the service worker is registered: only in production builds, since it's built with them
+ * and would serve the dev server's changing files stale
+ */
+export function isServiceWorkerEnabled() {
+    return import.meta.env.PROD && 'serviceWorker' in navigator;
+}
+
+/**
+ * Register the service worker that makes the app installable and playable offline, see ./service-worker.js.
+ */
+export function registerServiceWorker() {
+    if (!isServiceWorkerEnabled()) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`/sw.js?audioCache=${encodeURIComponent(ASSET_CACHE_NAME)}`)
+            .catch(error => {
+                console.warn('Failed to register service worker, the app will need a connection to load:', error);
+            });
+    }, { once: true });
+}
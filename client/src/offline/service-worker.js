@@ -0,0 +1,123 @@
+/**
+ * Service worker that makes the app installable and playable offline, e.g. on a bus without Wi-Fi.
+ * Built into /sw.js by the serviceWorker() plugin in /vite.config.js, which defines self.__PRECACHE_MANIFEST__
+ * ahead of this script. Registered by registerServiceWorker(), whose audioCache query parameter names the cache
+ * AssetCache keeps audio in, so audio cached here is where SampleLoader looks for it.
+ * - The app shell (index.html, scripts, styles, icons) is precached per build, and older builds' caches deleted.
+ * - Audio is cached when first requested, so installing doesn't wait on every track and instrument. The page caches
+ *   the current selection's audio ahead of playing it, see /src/hooks/useAudioPrecache.js. A backing track an audio
+ *   element streams is cached from the same response as it plays.
+ * - Pages load from the network while online, so a new build is used right away, and from the precached shell offline.
+ * - /api/ requests always go to the network. Recordings saved offline are queued by RecordingsContext instead.
+ */
+
+/**
+ * @typedef {{ version: string, shell: string[] }} PrecacheManifest
+ * shell is URL paths. version changes with the shell's files.
+ */
+
+/**
+ * The service worker types used, which the DOM types the client is checked against leave out.
+ * @typedef {Event & { waitUntil: (promise: Promise<unknown>) => void }} ExtendableEvent
+ * @typedef {ExtendableEvent & { request: Request, respondWith: (response: Promise<Response>) => void }} FetchEvent
+ * @typedef {typeof globalThis & {
+ *   __PRECACHE_MANIFEST__: PrecacheManifest,
+ *   skipWaiting: () => Promise<void>,
+ *   clients: { claim: () => Promise<void> },
+ * }} ServiceWorkerScope
+ */
+
+const worker = /** @type {ServiceWorkerScope} */ (/** @type {unknown} */ (self));
+const { version, shell } = worker.__PRECACHE_MANIFEST__;
+
+const SHELL_CACHE_PREFIX = 'color-improv-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${version}`;
+const AUDIO_CACHE = new URL(worker.location.href).searchParams.get('audioCache');
+const AUDIO_PATH = '/assets/audio/';
+const API_PATH = '/api/';
+const INDEX_PATH = '/';
+
+worker.addEventListener('install', (event) => {
+    /** @type {ExtendableEvent} */ (event).waitUntil(
+        precacheShell().then(() => worker.skipWaiting())
+    );
+});
+
+worker.addEventListener('activate', (event) => {
+    /** @type {ExtendableEvent} */ (event).waitUntil(
+        deleteStaleShellCaches().then(() => worker.clients.claim()) // Control pages open since before installing
+    );
+});
+
+worker.addEventListener('fetch', (event) => {
+    const fetchEvent = /** @type {FetchEvent} */ (event);
+    const { request } = fetchEvent;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== worker.location.origin || url.pathname.startsWith(API_PATH)) return;
+
+    if (request.mode === 'navigate') {
+        fetchEvent.respondWith(fetchIndex(request));
+    } else if (url.pathname.startsWith(AUDIO_PATH)) {
+        if (!AUDIO_CACHE || !isWholeFileRequest(request)) return; // Partial responses can't be cached
+        fetchEvent.respondWith(fetchCacheFirst(fetchEvent, new Request(request.url), AUDIO_CACHE)); // Without the range
+    } else {
+        fetchEvent.respondWith(fetchCacheFirst(fetchEvent, request, SHELL_CACHE));
+    }
+});
+
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(shell.map(path => new Request(path, { cache: 'reload' }))); // Skip the HTTP cache
+}
+
+async function deleteStaleShellCaches() {
+    const names = await caches.keys();
+    const staleNames = names.filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE);
+    await Promise.all(staleNames.map(name => caches.delete(name)));
+}
+
+/**
+ * Load a page from the network, keeping it as the shell's index.html, or from the shell offline.
+ * Every path is the single-page app, like the hosting's rewrites.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fetchIndex(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(INDEX_PATH, response.clone());
+        return response;
+    } catch (error) {
+        const cachedResponse = await cache.match(INDEX_PATH);
+        if (cachedResponse) return cachedResponse;
+        throw error;
+    }
+}
+
+/**
+ * Audio elements ask for a range even when starting from the top, which the whole file answers.
+ * @param {Request} request
+ * @returns {boolean} whether the request has no range, or one from the first byte to the end
+ */
+function isWholeFileRequest(request) {
+    const range = request.headers.get('range');
+    return range === null || range === 'bytes=0-';
+}
+
+/**
+ * Respond from the cache, or from the network while caching the same response, so a streamed file downloads once.
+ * @param {FetchEvent} event - kept alive until the response is cached
+ * @param {Request} request
+ * @param {string} cacheName - where the response is cached if fetched
+ * @returns {Promise<Response>}
+ */
+async function fetchCacheFirst(event, request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cachedResponse = await cache.match(request);
+    if (cachedResponse) return cachedResponse;
+
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(cache.put(request, response.clone()));
+    return response;
+}
@@ -0,0 +1,169 @@
+/**
+ * Define the keys the instrument can be played in, and helpers to transpose notes and chords between them.
+ * Musical data elsewhere (KEY_MAPPINGS, CHORDS, progressions) is written in a track's own key
+ * and transposed at the point of use.
+ */
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/** @typedef {keyof typeof KEYS} MusicalKey */
+
+/**
+ * Interval to move notes by. Letter steps keep enharmonic spelling correct,
+ * e.g. F♯ up a perfect 4th (5 semitones, 3 letter steps) is B, not C♭.
+ * @typedef {{ semitones: number, letterSteps: number }} Transposition
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Supported keys, with their interval above C.
+ * Intervals are chosen within [-6, +5] semitones so transposed notes stay near the sampled range.
+ */
+export const KEYS = /** @type {const} */ ({
+    C: { name: 'C', display: 'C', semitones: 0, letterSteps: 0 },
+    F: { name: 'F', display: 'F', semitones: 5, letterSteps: 3 },
+    Bb: { name: 'Bb', display: 'B♭', semitones: -2, letterSteps: -1 },
+    Eb: { name: 'Eb', display: 'E♭', semitones: 3, letterSteps: 2 },
+});
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+const ACCIDENTALS = {
+    display: { sharp: '♯', flat: '♭' },
+    name: { sharp: '#', flat: 'b' },
+};
+
+/** @type {Transposition} */
+const NO_TRANSPOSITION = { semitones: 0, letterSteps: 0 };
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * @param {number} n
+ * @param {number} m
+ */
+const mod = (n, m) => ((n % m) + m) % m;
+
+/**
+ * Get the interval that moves music written in one key into another.
+ * @param {MusicalKey} fromKey
+ * @param {MusicalKey} toKey
+ * @returns {Transposition}
+ */
+export function getTransposition(fromKey, toKey) {
+    let semitones = KEYS[toKey].semitones - KEYS[fromKey].semitones;
+    let letterSteps = KEYS[toKey].letterSteps - KEYS[fromKey].letterSteps;
+
+    // Keep within [-6, +5] semitones, i.e. take the nearer octave
+    if (semitones > 5) {
+        semitones -= 12;
+        letterSteps -= 7;
+    } else if (semitones < -6) {
+        semitones += 12;
+        letterSteps += 7;
+    }
+    return semitones === 0 ? NO_TRANSPOSITION : { semitones, letterSteps };
+}
+
+/**
+ * @param {number} midiNumber
+ * @param {Transposition} transposition
+ * @returns {number}
+ */
+export function transposeMidiNumber(midiNumber, transposition) {
+    return midiNumber + transposition.semitones;
+}
+
+/**
+ * @param {string} accidentals - e.g. '♭', '##'
+ * @returns {number} semitones above (positive) or below (negative) the natural note
+ */
+const countAlteration = (accidentals) =>
+    [...accidentals].reduce((sum, a) => sum + ('#♯'.includes(a) ? 1 : -1), 0);
+
+/**
+ * Get the pitch class of a spelled note, e.g. 'B♭' → 10.
+ * @param {string} noteName
+ * @returns {number} 0-11, or NaN if not a note name
+ */
+export function getPitchClass(noteName) {
+    const match = noteName.match(/^([A-G])([#♯b♭]*)$/);
+    if (!match) return NaN;
+    const [, letter, accidentals] = match;
+    const alteration = countAlteration(accidentals);
+    return mod(LETTER_PITCH_CLASSES[LETTERS.indexOf(letter)] + alteration, 12);
+}
+
+/**
+ * Transpose a note spelled as a letter followed by accidentals, e.g. 'B♭' or 'Bb'.
+ * Any text after the accidentals (e.g. a chord quality) is kept as is.
+ * @param {string} note
+ * @param {Transposition} transposition
+ * @param {'display' | 'name'} style - '♯'/'♭' for display, '#'/'b' for chord names
+ * @returns {string}
+ */
+function transposeSpelledNote(note, transposition, style) {
+    const match = note.match(/^([A-G])([#♯b♭]*)(.*)$/);
+    if (!match) {
+        console.warn(`Cannot transpose unrecognized note ${note}`);
+        return note;
+    }
+    const [, letter, accidentals, rest] = match;
+
+    const letterIndex = LETTERS.indexOf(letter);
+    const alteration = countAlteration(accidentals);
+    const pitchClass = LETTER_PITCH_CLASSES[letterIndex] + alteration;
+
+    const newLetterIndex = mod(letterIndex + transposition.letterSteps, 7);
+    const newPitchClass = mod(pitchClass + transposition.semitones, 12);
+    const newAlteration = mod(newPitchClass - LETTER_PITCH_CLASSES[newLetterIndex] + 6, 12) - 6;
+
+    const { sharp, flat } = ACCIDENTALS[style];
+    const newAccidentals = (newAlteration > 0 ? sharp : flat).repeat(Math.abs(newAlteration));
+    return `${LETTERS[newLetterIndex]}${newAccidentals}${rest}`;
+}
+
+/**
+ * Transpose a note name for display, e.g. 'F♯' → 'B'.
+ * @param {string} noteName
+ * @param {Transposition} transposition
+ * @returns {string}
+ */
+export function transposeNoteName(noteName, transposition) {
+    if (transposition.semitones === 0 && transposition.letterSteps === 0) return noteName;
+    return transposeSpelledNote(noteName, transposition, 'display');
+}
+
+/**
+ * Transpose an internal chord name, e.g. 'F#dim7' → 'Bdim7'.
+ * @param {string} chordName
+ * @param {Transposition} transposition
+ * @returns {string}
+ */
+export function transposeChordName(chordName, transposition) {
+    if (transposition.semitones === 0 && transposition.letterSteps === 0) return chordName;
+    return transposeSpelledNote(chordName, transposition, 'name');
+}
+
+/**
+ * Transpose a chord definition (see CHORDS in /src/constants.js), including its display and root.
+ * @param {{ name: string, display: string, root: string }} chord
+ * @param {Transposition} transposition
+ * @returns {{ name: string, display: string, root: string }}
+ */
+export function transposeChord(chord, transposition) {
+    if (transposition.semitones === 0 && transposition.letterSteps === 0) return chord;
+    return {
+        name: transposeSpelledNote(chord.name, transposition, 'name'),
+        display: transposeSpelledNote(chord.display, transposition, 'display'),
+        root: transposeSpelledNote(chord.root, transposition, 'display'),
+    };
+}
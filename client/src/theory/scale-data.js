@@ -0,0 +1,216 @@
+/**
+ * Define scales by their interval formulas, and generate the notes each keyboard row plays from them.
+ * Backing tracks declare which scale rows suit their chords (see scaleRows in BACKING_TRACKS_DATA, /src/constants.js),
+ * and KEY_MAPPINGS and the grid are built from those rows.
+ */
+
+import { getPitchClass, transposeNoteName } from './key-data';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/** @typedef {keyof typeof SCALES} ScaleName */
+
+/** @typedef {keyof typeof KEYBOARD_ROWS} KeyboardRowName */
+
+/** @typedef {(typeof KEYBOARD_ROWS)[KeyboardRowName][number]} KeyCode */
+
+/**
+ * A row of notes played from one keyboard row, shown as one grid row.
+ * @typedef {{
+ *   keys: KeyboardRowName,
+ *   scale: ScaleName,
+ *   root: string,
+ *   chords: readonly string[],
+ * }} ScaleRow
+ * root is the lowest note with its octave, e.g. 'G4' (MIDI 67).
+ * chords are the chords the row fits (see CHORDS in /src/constants.js), or empty if it fits any chord.
+ */
+
+/**
+ * Musical data linked with a keyboard key.
+ * @typedef {{
+ *   midiNumber: number,
+ *   noteName: string,
+ *   scaleRoot: string,
+ *   scaleMode: string,
+ *   scaleDegree: string,
+ * }} KeyMapping
+ */
+
+/**
+ * @typedef {{ noteName: string, midiNumber: number, scaleDegree: string }} ScaleNote
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Scales as interval formulas, written as scale degrees relative to the major scale.
+ * The octave ('8') is added when building rows, for convenience.
+ */
+export const SCALES = /** @type {const} */ ({
+    mixolydian: {
+        name: 'Mixolydian',
+        formula: ['1', '2', '3', '4', '5', '6', '♭7'],
+    },
+    blues: {
+        name: 'Blues',
+        formula: ['1', '♭3', '4', '♯4', '5', '♭7'],
+    },
+    dorian: {
+        name: 'Dorian',
+        formula: ['1', '2', '♭3', '4', '5', '6', '♭7'],
+    },
+    minorPentatonic: {
+        name: 'Minor Pentatonic',
+        formula: ['1', '♭3', '4', '5', '♭7'],
+    },
+    majorPentatonic: {
+        name: 'Major Pentatonic',
+        formula: ['1', '2', '3', '5', '6'],
+    },
+    bebopDominant: {
+        name: 'Bebop Dominant',
+        formula: ['1', '2', '3', '4', '5', '6', '♭7', '7'],
+    },
+    harmonicMinor: {
+        name: 'Harmonic Minor',
+        formula: ['1', '2', '♭3', '4', '5', '♭6', '7'],
+    },
+});
+
+/**
+ * Keyboard rows by KeyboardEvent.code, left to right. Scale notes are assigned from the left.
+ */
+export const KEYBOARD_ROWS = /** @type {const} */ ({
+    number: ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0'],
+    top: ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP'],
+    home: ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon'],
+    bottom: ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash'],
+});
+
+/** Characters printed on KEYBOARD_ROWS keys that are not letters or digits */
+const KEY_CHARACTERS = {
+    Semicolon: ';',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+};
+
+const MAJOR_SCALE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Parse a scale degree into the interval above the root, e.g. '♭7' → 10 semitones, 6 letter steps.
+ * @param {string} scaleDegree
+ * @returns {import('./key-data').Transposition}
+ */
+function scaleDegreeToInterval(scaleDegree) {
+    const match = scaleDegree.match(/^([♯♭]*)(\d+)$/);
+    if (!match) {
+        throw new Error(`Invalid scale degree '${scaleDegree}'.`);
+    }
+    const [, accidentals, degreeText] = match;
+    const letterSteps = Number(degreeText) - 1;
+    const alteration = [...accidentals].reduce((sum, a) => sum + (a === '♯' ? 1 : -1), 0);
+    const semitones = 12 * Math.floor(letterSteps / 7) + MAJOR_SCALE_SEMITONES[letterSteps % 7] + alteration;
+    return { semitones, letterSteps };
+}
+
+/**
+ * Parse a note with its octave, e.g. 'G4' → G, MIDI 67, or 'Bb3' → B♭, MIDI 58.
+ * @param {string} note
+ * @returns {{ noteName: string, midiNumber: number }}
+ */
+function parseNoteWithOctave(note) {
+    const match = note.match(/^(.+?)(-?\d)$/);
+    const pitchClass = match ? getPitchClass(match[1]) : NaN;
+    if (!match || Number.isNaN(pitchClass)) {
+        throw new Error(`Invalid note '${note}'. Expected a note name with octave, e.g. 'G4'.`);
+    }
+    const [, noteName, octave] = match;
+    return {
+        noteName: noteName.replace('#', '♯').replace('b', '♭'), // display spelling
+        midiNumber: 12 * (Number(octave) + 1) + pitchClass,
+    };
+}
+
+/**
+ * Get the degrees of a scale up to and including the octave.
+ * @param {ScaleName} scale
+ * @returns {string[]}
+ */
+export function getScaleDegrees(scale) {
+    return [...SCALES[scale].formula, '8'];
+}
+
+/**
+ * Spell out a scale from its root, up to and including the octave.
+ * @param {ScaleName} scale
+ * @param {string} root - lowest note with its octave, e.g. 'G4'
+ * @returns {ScaleNote[]}
+ */
+export function getScaleNotes(scale, root) {
+    const { noteName: rootName, midiNumber: rootMidiNumber } = parseNoteWithOctave(root);
+    return getScaleDegrees(scale).map(scaleDegree => {
+        const interval = scaleDegreeToInterval(scaleDegree);
+        return {
+            noteName: transposeNoteName(rootName, interval),
+            midiNumber: rootMidiNumber + interval.semitones,
+            scaleDegree,
+        };
+    });
+}
+
+/**
+ * Get the notes of a scale row alongside the keys that play them.
+ * @param {ScaleRow} scaleRow
+ * @returns {{ keyCode: KeyCode, mapping: KeyMapping }[]}
+ */
+export function getScaleRowKeys(scaleRow) {
+    const { keys, scale, root } = scaleRow;
+    const notes = getScaleNotes(scale, root);
+    const keyCodes = KEYBOARD_ROWS[keys];
+    if (notes.length > keyCodes.length) {
+        throw new Error(`${SCALES[scale].name} scale has ${notes.length} notes, more than the ${keys} keyboard row has keys.`);
+    }
+
+    const scaleRoot = notes[0].noteName;
+    return notes.map(({ noteName, midiNumber, scaleDegree }, i) => ({
+        keyCode: keyCodes[i],
+        mapping: { midiNumber, noteName, scaleRoot, scaleMode: SCALES[scale].name, scaleDegree },
+    }));
+}
+
+/**
+ * Build keyboard mappings for a set of scale rows.
+ * @param {readonly ScaleRow[]} scaleRows
+ * @returns {Partial<Record<KeyCode, KeyMapping>>}
+ */
+export function buildKeyMappings(scaleRows) {
+    /** @type {Partial<Record<KeyCode, KeyMapping>>} */
+    const keyMappings = {};
+    for (const scaleRow of scaleRows) {
+        for (const { keyCode, mapping } of getScaleRowKeys(scaleRow)) {
+            keyMappings[keyCode] = mapping;
+        }
+    }
+    return keyMappings;
+}
+
+/**
+ * Get the characters printed on the keys a scale row uses, e.g. 'qwertyui'.
+ * @param {ScaleRow} scaleRow
+ * @returns {string}
+ */
+export function getKeyboardHint(scaleRow) {
+    return getScaleRowKeys(scaleRow)
+        .map(({ keyCode }) => /** @type {Record<string, string>} */ (KEY_CHARACTERS)[keyCode] ?? keyCode.slice(-1).toLowerCase())
+        .join('');
+}
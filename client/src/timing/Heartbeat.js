@@ -0,0 +1,50 @@
+/**
+ * Heartbeat calls back at a steady interval from a Web Worker (see /src/timing/heartbeat-worker.js),
+ * so it keeps going while the tab is hidden or requestAnimationFrame stalls.
+ * Falls back to a main-thread interval where workers are unavailable.
+ */
+export class Heartbeat {
+    /**
+     * @param {() => void} onTick
+     * @param {number} intervalMs
+     */
+    constructor(onTick, intervalMs) {
+        this.onTick = onTick;
+        this.intervalMs = intervalMs;
+        /** @type {Worker | null} */
+        this.worker = null;         // Created on first start()
+        /** @type {ReturnType<typeof setInterval> | null} */
+        this.fallbackIntervalID = null;
+    }
+
+    start() {
+        if (typeof Worker === 'undefined') {
+            if (this.fallbackIntervalID === null) {
+                this.fallbackIntervalID = setInterval(this.onTick, this.intervalMs);
+            }
+            return;
+        }
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./heartbeat-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = () => this.onTick();
+        }
+        this.worker.postMessage({ type: 'start', intervalMs: this.intervalMs });
+    }
+
+    stop() {
+        this.worker?.postMessage({ type: 'stop' });
+        if (this.fallbackIntervalID !== null) {
+            clearInterval(this.fallbackIntervalID);
+            this.fallbackIntervalID = null;
+        }
+    }
+
+    /**
+     * Stop and end the worker. start() creates a new one if called again.
+     */
+    dispose() {
+        this.stop();
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
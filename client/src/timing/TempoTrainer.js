@@ -0,0 +1,73 @@
+import { AUDIO_CONFIG, TEMPO_RATES, TIMING_EVENTS } from '../constants';
+/** @typedef {import('../audio/AudioEngine').AudioEngine} AudioEngine */
+/** @typedef {import('./TimingEngine').TimingEngine} TimingEngine */
+
+/**
+ * @typedef {{
+ *   enabled: boolean,
+ *   stepBpm: number,
+ *   targetBpm: number,
+ * }} TempoTrainerSettings
+ * enabled speeds the backing track up by stepBpm after every completed chorus of the form, until it reaches targetBpm.
+ */
+
+/** @type {TempoTrainerSettings} */
+export const TEMPO_TRAINER_DEFAULTS = {
+    enabled: false,
+    stepBpm: 4,
+    targetBpm: 120,
+};
+
+export const TEMPO_TRAINER_STEPS_BPM = /** @type {const} */ ([2, 4, 5, 10]);
+
+/**
+ * TempoTrainer raises the tempo on each of TimingEngine's 'loop-complete' events.
+ * Tempo changes go through both engines, and TimingEngine's 'tempo-change' event reports them once they apply.
+ */
+export class TempoTrainer {
+    /**
+     * @param {AudioEngine} audioEngine
+     * @param {TimingEngine} timingEngine
+     */
+    constructor(audioEngine, timingEngine) {
+        this.audioEngine = audioEngine;
+        this.timingEngine = timingEngine;
+        /** @type {TempoTrainerSettings} */
+        this.settings = { ...TEMPO_TRAINER_DEFAULTS };
+        this.unsubscribe = timingEngine.on(TIMING_EVENTS.LOOP_COMPLETE, (beat) => this.step(beat));
+    }
+
+    /**
+     * @param {TempoTrainerSettings} settings
+     */
+    setSettings(settings) {
+        this.settings = { ...settings };
+    }
+
+    /**
+     * Raise the tempo by one step towards the target, within the backing track's TEMPO_RATES.
+     * Runs as a chorus is scheduled to complete, SCHEDULE_AHEAD_TIME early (see TimingEngine), and changes the tempo
+     * on the next chorus's first beat.
+     * @param {{ time: number, contextTime: number | null }} beat - when the next chorus starts, from 'loop-complete'
+     */
+    step(beat) {
+        const { enabled, stepBpm, targetBpm } = this.settings;
+        if (!enabled) return;
+
+        const recordedBpm = AUDIO_CONFIG.backingTracks[this.timingEngine.trackKey].bpm;
+        const bpm = Math.round(this.timingEngine.bpm);
+        const maxBpm = Math.min(targetBpm, Math.floor(recordedBpm * TEMPO_RATES.MAX));
+        if (bpm >= maxBpm) return;
+
+        const tempo = Math.min(bpm + stepBpm, maxBpm) / recordedBpm;
+        this.audioEngine.setTempo(tempo, beat.contextTime ?? undefined);
+        this.timingEngine.setTempo(tempo, beat);
+    }
+
+    /**
+     * Stop listening to TimingEngine.
+     */
+    dispose() {
+        this.unsubscribe();
+    }
+}
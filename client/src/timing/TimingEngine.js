@@ -1,61 +1,566 @@
-// TODO: investigate rAF stalling, esp. on iOS Simulator, ngrok. try-catch in tick()? visibility change handling? heartbeat fallback?
-
 import {
-    getBeatDuration, getBeatNumberInMeasure, getMeasureNumberInProgression, getChordInfo, getLoopsCompleted
+    getBeatDuration, getBeatNumberInMeasure, getMeasureNumberInProgression, getChordInfo, getLoopsCompleted,
+    getSection, getFirstChord, getFormMeasureStartBeat, wrapLoopTime, applyGroove,
 } from '../timing/progression-data';
-import { AUDIO_CONFIG, VISUAL_LEAD_TIME } from '../constants';
+import { AUDIO_CONFIG, TIMING_EVENTS, VISUAL_LEAD_TIME } from '../constants';
+import { getTransposition, transposeChordName } from '../theory/key-data';
+import { Heartbeat } from './Heartbeat';
 /** @import { AudioEngine } from '../audio/AudioEngine.js' */
+/** @typedef {import('../constants').BackingTrackKey} BackingTrackKey */
+/** @typedef {import('../constants').TimingEventName} TimingEventName */
+/** @typedef {import('../theory/key-data').MusicalKey} MusicalKey */
+/** @typedef {import('../theory/key-data').Transposition} Transposition */
+/** @typedef {import('./progression-data').Progression} Progression */
+/** @typedef {import('./progression-data').ProgressionSection} ProgressionSection */
+/** @typedef {import('./progression-data').LoopRegion} LoopRegion */
+/** @typedef {import('./progression-data').LoopTimes} LoopTimes */
+/** @typedef {import('./progression-data').Groove} Groove */
+
+/**
+ * Position within the backing track, see TimingEngine.getCurrentPosition().
+ * @typedef {{
+ *   phase: 'waiting' | 'count-in' | 'playing',
+ *   section: ProgressionSection | null,
+ *   beatNumberInMeasure: number | null,
+ *   measureNumberInProgression: number | null,
+ *   currentChord: string | null,
+ *   nextChord: string | null,
+ *   beatsUntilNextChord: number | null,
+ *   loopsCompleted: number,
+ *   beatProgress: number | null,
+ * }} TimingPosition
+ */
+
+/** @typedef {TimingPosition['phase']} TimingPhase */
+
+/**
+ * A beat emitted ahead of time by the lookahead scheduler, with the 'beat' and 'measure' events.
+ * @typedef {{
+ *   beatIndex: number,
+ *   time: number,
+ *   contextTime: number | null,
+ *   position: TimingPosition,
+ * }} ScheduledBeat
+ * beatIndex counts from the first count-in beat of the track, and is negative during a generated count-in.
+ * In a loop region it is the beat played, counting again from the loop's start after each cycle.
+ * time is when the beat lands, on the same clock as getCurrentTime().
+ * contextTime is the same moment on the AudioContext clock, for scheduling audio, or null without an AudioContext.
+ */
+
+/**
+ * A subdivision of a beat emitted ahead of time, with the 'subdivision' event.
+ * subdivision counts within the beat from 0, which lands on the beat itself.
+ * beatFraction is where it lands within the beat in the current groove, e.g. 2/3 for a shuffled upbeat.
+ * @typedef {{
+ *   beatIndex: number,
+ *   subdivision: number,
+ *   beatFraction: number,
+ *   time: number,
+ *   contextTime: number | null,
+ * }} ScheduledSubdivision
+ */
+
+/**
+ * The subdivision closest to a time, see TimingEngine.getNearestSubdivision().
+ * offset is how far the time is from it in seconds, negative when early.
+ * @typedef {{
+ *   beatIndex: number,
+ *   subdivision: number,
+ *   time: number,
+ *   offset: number,
+ * }} NearestSubdivision
+ */
+
+/**
+ * Chord helpers as of VISUAL_LEAD_TIME ahead, emitted with 'chord-change' whenever any of them changes.
+ * @typedef {{
+ *   currentChord: string | null,
+ *   nextChord: string | null,
+ *   beatsUntilNextChord: number | null,
+ * }} ChordState
+ */
+
+/**
+ * Payload of each timing event, see TimingEngine.on().
+ * loop-complete lands on the first beat after a chorus of the form; phase-change lands on the first beat of a phase.
+ * phase-change back to 'waiting' happens on stop(), with time and contextTime null.
+ * seek happens right after the playhead jumps (see resync()), with the position it landed on, even while paused.
+ * tempo-change happens when a setTempo() applies, with time null unless playing or paused: right away, or on the beat
+ * it was given.
+ * @typedef {{
+ *   'beat': ScheduledBeat,
+ *   'subdivision': ScheduledSubdivision,
+ *   'measure': ScheduledBeat,
+ *   'chord-change': ChordState,
+ *   'loop-complete': { loopsCompleted: number, time: number, contextTime: number | null },
+ *   'phase-change': { phase: TimingPhase, previousPhase: TimingPhase, time: number | null, contextTime: number | null },
+ *   'seek': { time: number, position: TimingPosition },
+ *   'tempo-change': { tempo: number, bpm: number, time: number | null },
+ * }} TimingEventMap
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25;   // How often the heartbeat checks timing
+const SCHEDULE_AHEAD_TIME = 0.1;    // seconds - how far ahead beats are emitted, must cover heartbeat jitter
+const BEAT_EPSILON = 1e-6;          // seconds - nudge into a beat so floating point error doesn't land it in the previous one
+const SUBDIVISIONS_PER_BEAT = 2;    // eighth notes, placed by the groove
+const COUNT_IN_LEAD_TIME = 0.05;    // seconds - before the first generated count-in beat, so it can be scheduled
 
 /**
  * Manages timing and synchronization between audio and visual components.
  * Uses AudioEngine's backing track time as the central time source; does not manage playback.
+ * Beats are scheduled for audio on a Web Worker heartbeat, so they keep coming while the tab is hidden
+ * or requestAnimationFrame stalls. 'chord-change', which only drives drawing, is emitted from a requestAnimationFrame loop.
+ * Any number of listeners can subscribe to timing events with on(), see TIMING_EVENTS.
  */
 export class TimingEngine {
     /**
      * @param {AudioEngine} audioEngine 
-     * @param {'blues'} trackKey 
+     * @param {BackingTrackKey} trackKey 
      */
     constructor(audioEngine, trackKey = 'blues') {
         this.audioEngine = audioEngine;
 
         this.isPlaying = false;
-        this.trackKey = trackKey;
+        this.isPaused = false;
 
-        this.bpm = AUDIO_CONFIG.backingTracks[this.trackKey].bpm;
-        this.beatDuration = getBeatDuration(this.bpm);
-        this.silenceOffset = AUDIO_CONFIG.backingTracks[this.trackKey].silenceOffset;
-        this.countInBeats = AUDIO_CONFIG.backingTracks[this.trackKey].countInBeats;
-        this.maxLoops = AUDIO_CONFIG.backingTracks[this.trackKey].maxLoops; // for active chord highlighting
+        // Key that chords are reported in, set in setKey()
+        /** @type {MusicalKey} */
+        this.key = 'C';
+
+        // Backing track playback rate relative to its recorded tempo, set in setTempo()
+        this.tempo = 1;
+        // Seconds added to the backing track's time at the current tempo, so getCurrentTime() carries on
+        // from where it was when the tempo changes mid-session
+        this.clockOffset = 0;
+        /** @type {{ tempo: number, beat: Pick<ScheduledBeat, 'time' | 'contextTime'> | null } | null} */
+        this.tempoChange = null;            // Waiting for its beat, see setTempo()
+
+        // Track metadata, set in setBackingTrack(). Durations are in real seconds at the current tempo.
+        this.trackKey = trackKey;
+        this.bpm = 0;
+        this.beatDuration = 0;
+        this.silenceOffset = 0;
+        this.countInBeats = 0;
+        this.generatedCountInBeats = 0;     // Before the track's own count-in, see setGeneratedCountInBeats()
+        /** @type {LoopRegion | null} */
+        this.loopRegion = null;             // See setLoopRegion()
+        /** @type {Progression} */
+        this.progression = AUDIO_CONFIG.backingTracks[trackKey].progression;
+        /** @type {Transposition} */
+        this.transposition = getTransposition('C', 'C'); // from the track's recorded key to this.key
+        /** @type {Groove} */
+        this.groove = AUDIO_CONFIG.backingTracks[trackKey].groove; // see setGroove()
+        this.setBackingTrack(trackKey);
 
         // Internal state
-        /** @type {{currentChord: string|null, nextChord: string|null, beatsUntilNextChord: number|null} | null} */
+        /** @type {ChordState | null} */
         this.lastEmitted = null;
-        this.onBeatChange = null;
-        this.rafId = null;
+        /** @type {TimingPhase} */
+        this.lastPhase = 'waiting';
+        this.lastLoopsCompleted = 0;
+        /** @type {Map<TimingEventName, Set<(detail: any) => void>>} */
+        this.listeners = new Map();
+        /** @type {number | null} */
+        this.nextSubdivisionIndex = null;  // Next subdivision for the lookahead scheduler to emit as if never looping, null until playing
+        this.loopCycles = 0;               // Times the scheduler has seen playback cycle back to the loop's start
+        this.lastScheduledTime = 0;        // getCurrentTime() as of the previous scheduleBeats()
+        this.heartbeat = new Heartbeat(() => this.tick(), HEARTBEAT_INTERVAL_MS);
+        /** @type {number | null} */
+        this.rafId = null;                 // Draw loop, see draw()
+    }
+
+    /**
+     * Reads timing and progression metadata of the backing track that AudioEngine has loaded.
+     * Renders in other keys share the timing of the original.
+     * @param {BackingTrackKey} trackKey
+     */
+    setBackingTrack(trackKey) {
+        const track = AUDIO_CONFIG.backingTracks[trackKey];
+        this.trackKey = trackKey;
+        this.countInBeats = track.countInBeats;
+        this.progression = track.progression; // for active chord highlighting
+        this.transposition = getTransposition(track.key, this.key);
+        this.groove = track.groove;
+        this.lastEmitted = null; // Re-emit chords of the new progression
+        this.applyTempo();
+    }
+
+    /**
+     * Place subdivisions with another groove than the backing track's, until the next setBackingTrack().
+     * @param {Groove} groove
+     */
+    setGroove(groove) {
+        this.groove = groove;
+    }
+
+    /**
+     * Follow the backing track's playback rate, matching AudioEngine.setTempo(). Can be called during playback:
+     * the clock carries on from the same time, and beats from then on are spaced at the new tempo.
+     * Given a beat scheduled ahead, e.g. the one a 'loop-complete' lands on, the tempo changes on that beat rather than
+     * right away, and AudioEngine.setTempo() should be given its contextTime.
+     * @param {number} tempo - playback rate relative to the recorded tempo
+     * @param {Pick<ScheduledBeat, 'time' | 'contextTime'>} [beat] - when to change, defaults to now
+     */
+    setTempo(tempo, beat) {
+        this.tempoChange = { tempo, beat: beat ?? null };
+        this.applyTempoChange();
+    }
+
+    /**
+     * Apply the tempo change setTempo() was last given once its beat comes, and emit 'tempo-change'.
+     * Until then, the clock runs on at the previous tempo, and beats past it wait to be scheduled at the new one.
+     * @param {boolean} [immediately=false] - apply it now even if its beat is still ahead, e.g. on pause
+     */
+    applyTempoChange(immediately = false) {
+        const change = this.tempoChange;
+        if (!change) return;
+        const isAhead = this.isTempoChangeAhead();
+        if (isAhead && !immediately) return;
+        this.tempoChange = null;
+
+        const isRunning = this.isPlaying || this.isPaused;
+        const time = !isRunning ? null : change.beat && !isAhead ? change.beat.time : this.getCurrentTime();
+        const backingTrackTime = time === null ? 0 : (time - this.clockOffset) * this.tempo;
+        this.tempo = change.tempo;
+        this.applyTempo();
+        if (time !== null) this.clockOffset = time - backingTrackTime / this.tempo;
+        this.emit(TIMING_EVENTS.TEMPO_CHANGE, { tempo: this.tempo, bpm: this.bpm, time });
+    }
+
+    /**
+     * @param {number | null} contextTime
+     * @returns {boolean} whether the time is after the beat of a tempo change still ahead
+     */
+    isPastTempoChange(contextTime) {
+        const changeContextTime = this.tempoChange?.beat?.contextTime ?? null;
+        return contextTime !== null && changeContextTime !== null && contextTime > changeContextTime + BEAT_EPSILON;
+    }
+
+    /**
+     * @returns {boolean} whether setTempo() was given a beat that the AudioContext hasn't reached yet
+     */
+    isTempoChangeAhead() {
+        const contextTime = this.tempoChange?.beat?.contextTime ?? null;
+        const audioContext = this.audioEngine.audioContext;
+        return contextTime !== null && audioContext !== null && audioContext.currentTime < contextTime;
+    }
+
+    /**
+     * Scale the track's recorded timing by the tempo, so bpm, beatDuration and silenceOffset are in real seconds.
+     */
+    applyTempo() {
+        const track = AUDIO_CONFIG.backingTracks[this.trackKey];
+        this.bpm = track.bpm * this.tempo;
+        this.beatDuration = getBeatDuration(this.bpm);
+        this.silenceOffset = track.silenceOffset / this.tempo;
+    }
+
+    /**
+     * Count in before the backing track starts, ahead of any count-in recorded in the track.
+     * AudioEngine delays the backing track by getGeneratedCountInDuration(), and its time is negative until then.
+     * @param {number} beats - e.g. BEATS_PER_MEASURE for one bar, 0 for none
+     */
+    setGeneratedCountInBeats(beats) {
+        this.generatedCountInBeats = beats;
+    }
+
+    /**
+     * @returns {number} seconds from playing at the start of the backing track to the backing track starting
+     */
+    getGeneratedCountInDuration() {
+        if (this.generatedCountInBeats === 0) return 0;
+        return Math.max(0, this.generatedCountInBeats * this.beatDuration - this.silenceOffset) + COUNT_IN_LEAD_TIME;
+    }
+
+    /**
+     * Follow the backing track cycling through some measures of the form, matching AudioEngine.setLoopRegion().
+     * Can be called during playback. Null to stop looping.
+     * @param {LoopRegion | null} loopRegion
+     */
+    setLoopRegion(loopRegion) {
+        this.loopRegion = loopRegion;
+        this.lastEmitted = null; // Chords ahead change at the loop's end
+        if (this.isPlaying) this.nextSubdivisionIndex = null; // Reschedule from the playhead
+    }
+
+    /**
+     * @returns {LoopTimes | null} the loop region on the getCurrentTime() clock, spanning the form's first chorus
+     */
+    getLoopTimes() {
+        const loopBeats = this.getLoopBeats();
+        if (!loopBeats) return null;
+        return {
+            start: this.getBeatTime(this.countInBeats + loopBeats.start),
+            end: this.getBeatTime(this.countInBeats + loopBeats.end),
+        };
+    }
+
+    /**
+     * @returns {LoopTimes | null} the loop region in beats elapsed since the start of the progression
+     */
+    getLoopBeats() {
+        if (!this.loopRegion) return null;
+        return {
+            start: getFormMeasureStartBeat(this.progression, this.loopRegion.startMeasure),
+            end: getFormMeasureStartBeat(this.progression, this.loopRegion.endMeasure + 1),
+        };
+    }
+
+    /**
+     * @param {number} subdivisionIndex - counted from the first count-in beat as if never looping
+     * @returns {number} the subdivision played there, folded back into the loop region
+     */
+    getLoopedSubdivisionIndex(subdivisionIndex) {
+        const loopBeats = this.getLoopBeats();
+        if (!loopBeats) return subdivisionIndex;
+        return wrapLoopTime(subdivisionIndex, {
+            start: (this.countInBeats + loopBeats.start) * SUBDIVISIONS_PER_BEAT,
+            end: (this.countInBeats + loopBeats.end) * SUBDIVISIONS_PER_BEAT,
+        });
+    }
+
+    /**
+     * Report chords in a key, matching the backing track render AudioEngine plays.
+     * @param {MusicalKey} key
+     */
+    setKey(key) {
+        this.key = key;
+        this.transposition = getTransposition(AUDIO_CONFIG.backingTracks[this.trackKey].key, key);
+        this.lastEmitted = null; // Re-emit chords in the new key
+    }
+
+    /**
+     * @param {string | null} chordName - as written in the progression
+     * @returns {string | null} chord name in the current key
+     */
+    transposeChord(chordName) {
+        return chordName === null ? null : transposeChordName(chordName, this.transposition);
     }
 
     /**
-     * Sets the callback function to be called when a beat change occurs.
-     * Set to null for cleanup.
-     * @param {function | null} callback 
+     * Subscribe to a timing event. Beats, subdivisions, measures, loops and phases are emitted
+     * SCHEDULE_AHEAD_TIME before they land, so listeners can schedule audio at their contextTime.
+     * @template {keyof TimingEventMap} K
+     * @param {K} eventName - see TIMING_EVENTS
+     * @param {(detail: TimingEventMap[K]) => void} listener
+     * @returns {() => void} unsubscribe function, e.g. for a useEffect cleanup
      */
-    setOnBeatChange(callback) {
-        this.onBeatChange = callback;
+    on(eventName, listener) {
+        let listeners = this.listeners.get(eventName);
+        if (!listeners) {
+            listeners = new Set();
+            this.listeners.set(eventName, listeners);
+        }
+        listeners.add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Unsubscribe a listener added with on().
+     * @template {keyof TimingEventMap} K
+     * @param {K} eventName
+     * @param {(detail: TimingEventMap[K]) => void} listener
+     */
+    off(eventName, listener) {
+        this.listeners.get(eventName)?.delete(listener);
+    }
+
+    /**
+     * Call every listener of an event. A failing listener is logged so the others and the heartbeat keep running.
+     * @template {keyof TimingEventMap} K
+     * @param {K} eventName
+     * @param {TimingEventMap[K]} detail
+     */
+    emit(eventName, detail) {
+        this.listeners.get(eventName)?.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`TimingEngine: Error in ${eventName} listener:`, error);
+            }
+        });
     }
 
     /**
-     * Uses requestAnimationFrame to check for beat changes and call the callback with information on beat changes.
+     * Runs on every heartbeat: emits upcoming beats for scheduling audio.
      */
     tick() {
-        const { currentChord, nextChord, beatsUntilNextChord } = this.getCurrentPosition(VISUAL_LEAD_TIME);
+        if (!this.isPlaying) return; // A heartbeat may already be queued after pause()
+        this.applyTempoChange();
+        this.scheduleBeats();
+    }
+
+    /**
+     * Runs on every animation frame while playing: emits 'chord-change' when the chord information changes.
+     */
+    draw() {
+        this.emitChordState(this.getCurrentPosition(VISUAL_LEAD_TIME));
+        this.rafId = requestAnimationFrame(() => this.draw());
+    }
+
+    /**
+     * Cancel the draw loop, leaving the last chord information on screen.
+     */
+    stopDrawing() {
+        if (this.rafId !== null) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = null;
+        }
+    }
+
+    /**
+     * Emit 'chord-change' if the chord information differs from what was last emitted.
+     * @param {TimingPosition} position - as of VISUAL_LEAD_TIME ahead
+     */
+    emitChordState({ currentChord, nextChord, beatsUntilNextChord }) {
         if (this.lastEmitted === null ||
             currentChord !== this.lastEmitted.currentChord ||
             nextChord !== this.lastEmitted.nextChord ||
             beatsUntilNextChord !== this.lastEmitted.beatsUntilNextChord) {
-            this.onBeatChange?.({ currentChord, nextChord, beatsUntilNextChord });
+            this.emit(TIMING_EVENTS.CHORD_CHANGE, { currentChord, nextChord, beatsUntilNextChord });
         }
         this.lastEmitted = { currentChord, nextChord, beatsUntilNextChord };
-        this.rafId = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * Catch up with a jump of the backing track's playhead, e.g. after AudioEngine.seekToMeasure().
+     * Beats are rescheduled from the new time, and chords and 'seek' are emitted right away, even while paused.
+     */
+    resync() {
+        this.applyTempoChange(true);
+        const time = this.getCurrentTime();
+        const position = this.getPositionAt(time + BEAT_EPSILON);
+        this.nextSubdivisionIndex = null;
+        this.lastEmitted = null;
+        this.lastLoopsCompleted = position.loopsCompleted; // Jumping a chorus is not completing one
+        this.emit(TIMING_EVENTS.SEEK, { time, position });
+        if (this.isPlaying) {
+            this.tick();
+            this.emitChordState(this.getCurrentPosition(VISUAL_LEAD_TIME));
+            return;
+        }
+        this.emitChordState(this.getPositionAt(wrapLoopTime(time + VISUAL_LEAD_TIME, this.getLoopTimes())));
+    }
+
+    /**
+     * Lookahead scheduler: emits each subdivision landing within SCHEDULE_AHEAD_TIME exactly once,
+     * along with the beat-level events when it lands on a beat.
+     */
+    scheduleBeats() {
+        const now = this.getCurrentTime();
+        const loop = this.getLoopTimes();
+        const loopDuration = loop ? loop.end - loop.start : 0;
+        if (this.nextSubdivisionIndex === null) {
+            // Resume from the first subdivision not yet passed
+            const subdivisionDuration = this.beatDuration / SUBDIVISIONS_PER_BEAT;
+            this.nextSubdivisionIndex = Math.max(
+                -this.generatedCountInBeats * SUBDIVISIONS_PER_BEAT,
+                Math.ceil((now - this.getBeatTime(0)) / subdivisionDuration - BEAT_EPSILON),
+            );
+            this.loopCycles = 0;
+        } else if (loop && now < this.lastScheduledTime - loopDuration / 2) {
+            this.loopCycles++; // Playback jumped from the loop's end back to its start
+        }
+        this.lastScheduledTime = now;
+
+        // Subdivisions are scheduled on a timeline that keeps counting up through loop cycles
+        const linearNow = now + this.loopCycles * loopDuration;
+        const audioContext = this.audioEngine.audioContext;
+        while (true) {
+            const subdivisionIndex = this.getLoopedSubdivisionIndex(this.nextSubdivisionIndex);
+            const beatIndex = Math.floor(subdivisionIndex / SUBDIVISIONS_PER_BEAT);
+            const subdivision = subdivisionIndex - beatIndex * SUBDIVISIONS_PER_BEAT;
+            const time = this.getSubdivisionTime(beatIndex, subdivision);
+            const skippedBeats = (this.nextSubdivisionIndex - subdivisionIndex) / SUBDIVISIONS_PER_BEAT;
+            const linearTime = time + skippedBeats * this.beatDuration;
+            if (linearTime >= linearNow + SCHEDULE_AHEAD_TIME) break;
+
+            const contextTime = audioContext ? audioContext.currentTime + (linearTime - linearNow) : null;
+            if (this.isPastTempoChange(contextTime)) break; // Scheduled at the new tempo once it applies
+            const beatFraction = this.getSubdivisionFraction(subdivision);
+            if (subdivision === 0) this.emitBeat(beatIndex, time, contextTime);
+            this.emit(TIMING_EVENTS.SUBDIVISION, { beatIndex, subdivision, beatFraction, time, contextTime });
+            this.nextSubdivisionIndex++;
+        }
+    }
+
+    /**
+     * Emit a beat, and the phase, loop and measure changes that land on it.
+     * @param {number} beatIndex - counted from the first count-in beat, within the loop region if any
+     * @param {number} time - on the getCurrentTime() clock
+     * @param {number | null} contextTime - on the AudioContext clock
+     */
+    emitBeat(beatIndex, time, contextTime) {
+        const position = this.getPositionAt(time + BEAT_EPSILON);
+        if (position.phase !== this.lastPhase) {
+            const previousPhase = this.lastPhase;
+            this.lastPhase = position.phase;
+            this.emit(TIMING_EVENTS.PHASE_CHANGE, { phase: position.phase, previousPhase, time, contextTime });
+        }
+        if (position.loopsCompleted > this.lastLoopsCompleted) {
+            this.emit(TIMING_EVENTS.LOOP_COMPLETE, { loopsCompleted: position.loopsCompleted, time, contextTime });
+        }
+        this.lastLoopsCompleted = position.loopsCompleted;
+
+        const beat = { beatIndex, time, contextTime, position };
+        if (position.phase === 'playing' && position.beatNumberInMeasure === 1) {
+            this.emit(TIMING_EVENTS.MEASURE, beat);
+        }
+        this.emit(TIMING_EVENTS.BEAT, beat);
+    }
+
+    /**
+     * @param {number} beatIndex - counted from the first count-in beat of the track
+     * @returns {number} seconds on the getCurrentTime() clock
+     */
+    getBeatTime(beatIndex) {
+        return this.clockOffset + this.silenceOffset + beatIndex * this.beatDuration;
+    }
+
+    /**
+     * @param {number} beatIndex - counted from the first count-in beat
+     * @param {number} subdivision - within the beat, from 0 to SUBDIVISIONS_PER_BEAT - 1
+     * @returns {number} seconds on the getCurrentTime() clock, swung by the groove
+     */
+    getSubdivisionTime(beatIndex, subdivision) {
+        return this.getBeatTime(beatIndex) + this.getSubdivisionFraction(subdivision) * this.beatDuration;
+    }
+
+    /**
+     * @param {number} subdivision - within the beat, from 0 to SUBDIVISIONS_PER_BEAT - 1
+     * @returns {number} where the subdivision lands within a beat in the current groove, from 0 to 1
+     */
+    getSubdivisionFraction(subdivision) {
+        return applyGroove(subdivision / SUBDIVISIONS_PER_BEAT, this.groove);
+    }
+
+    /**
+     * @returns {number[]} where each subdivision lands within a beat in the current groove, e.g. [0, 0.5] when straight
+     */
+    getSubdivisionPositions() {
+        return Array.from({ length: SUBDIVISIONS_PER_BEAT }, (_, subdivision) => this.getSubdivisionFraction(subdivision));
+    }
+
+    /**
+     * Find the beat or swung upbeat closest to a time, e.g. to quantize a note or judge its timing.
+     * @param {number} time - on the getCurrentTime() clock
+     * @returns {NearestSubdivision}
+     */
+    getNearestSubdivision(time) {
+        const beatIndex = Math.floor((time - this.getBeatTime(0)) / this.beatDuration);
+        /** @type {NearestSubdivision | null} */
+        let nearest = null;
+        // Candidates within the beat, and the next downbeat
+        for (let subdivision = 0; subdivision <= SUBDIVISIONS_PER_BEAT; subdivision++) {
+            const candidate = subdivision === SUBDIVISIONS_PER_BEAT
+                ? { beatIndex: beatIndex + 1, subdivision: 0 }
+                : { beatIndex, subdivision };
+            const candidateTime = this.getSubdivisionTime(candidate.beatIndex, candidate.subdivision);
+            if (nearest === null || Math.abs(time - candidateTime) < Math.abs(nearest.offset)) {
+                nearest = { ...candidate, time: candidateTime, offset: time - candidateTime };
+            }
+        }
+        return /** @type {NearestSubdivision} */ (nearest);
     }
 
     /**
@@ -67,7 +572,11 @@ export class TimingEngine {
             return;
         }
         this.isPlaying = true;
+        this.isPaused = false;
+        this.nextSubdivisionIndex = null;
         this.tick();
+        this.heartbeat.start();
+        this.draw();
     }
 
     /**
@@ -78,31 +587,49 @@ export class TimingEngine {
             console.warn('TimingEngine not playing, cannot pause.');
             return;
         }
+        this.applyTempoChange(true);
         this.isPlaying = false;
-        if (this.rafId !== null) {
-            cancelAnimationFrame(this.rafId);
-            this.rafId = null;
-        }
+        this.isPaused = true;
+        this.heartbeat.stop();
+        this.stopDrawing();
     }
 
     /**
-     * Stop timer. Clears lastEmitted so visuals reset.
+     * Stop timer. Clears lastEmitted so visuals reset, and returns to the 'waiting' phase.
      */
     stop() {
+        this.applyTempoChange(true);
         this.isPlaying = false;
-        if (this.rafId !== null) {
-            cancelAnimationFrame(this.rafId);
-            this.rafId = null;
-        }
+        this.isPaused = false;
+        this.heartbeat.stop();
+        this.stopDrawing();
+        this.clockOffset = 0;
         this.lastEmitted = null;
+        this.lastLoopsCompleted = 0;
+        if (this.lastPhase !== 'waiting') {
+            const previousPhase = this.lastPhase;
+            this.lastPhase = 'waiting';
+            this.emit(TIMING_EVENTS.PHASE_CHANGE, { phase: 'waiting', previousPhase, time: null, contextTime: null });
+        }
+    }
+
+    /**
+     * Stop timing, end the heartbeat worker and drop all listeners.
+     */
+    dispose() {
+        this.stop();
+        this.heartbeat.dispose();
+        this.listeners.clear();
     }
 
     /**
-     * Get the current backing track time.
-     * @returns {number} The current time in backing track time.
+     * Get the time elapsed since the start of the backing track, as heard at the tempos it played at.
+     * Matches the timeline of a recording made meanwhile. Negative during a generated count-in.
+     * Seeks and loop cycles jump along with the backing track.
+     * @returns {number} The current time in seconds.
      */
     getCurrentTime() {
-        return this.audioEngine.getCurrentBackingTrackTime();
+        return this.audioEngine.getCurrentBackingTrackTime() / this.tempo + this.clockOffset;
     }
 
     /**
@@ -111,57 +638,74 @@ export class TimingEngine {
      * and fractional beat progress.
      * 
      * @param {number} [leadTime=0] Optional lead time in seconds to look ahead for visual anticipation.
-     * @returns {{phase: string, beatNumberInMeasure: number|null, measureNumberInProgression: number|null,
-     * currentChord: string|null, nextChord: string, beatsUntilNextChord: number|null,
-     * loopsCompleted: number, beatProgress: number|null
-     * }} Position object with timing and chord information. Phase can be 'waiting', 'count-in', or 'playing'.
+     * @returns {TimingPosition} Position object with timing and chord information. Phase can be 'waiting', 'count-in', or 'playing'.
+     * section is the part of the progression being played ('intro', 'form', or 'ending'), null before the progression starts.
+     * beatNumberInMeasure also counts through count-in bars. measureNumberInProgression is counted within the section.
+     * currentChord and beatsUntilNextChord are resolved per beat, so they stay correct when a measure holds several chords.
      * beatProgress is a fractional value (0-1) indicating position within the current beat, used for visualizations.
      */
     getCurrentPosition(leadTime = 0) {
+        const firstChord = this.transposeChord(getFirstChord(this.progression));
+
         // If not playing, return nulls
         if (!this.isPlaying) {
             return {
                 phase: 'waiting',
+                section: null,
                 beatNumberInMeasure: null,
                 measureNumberInProgression: null,
                 currentChord: null,
-                nextChord: 'C7', 
+                nextChord: firstChord,
                 beatsUntilNextChord: null,
                 loopsCompleted: 0,
                 beatProgress: null,
             }
         }
 
-        const elapsedTotalTime = this.audioEngine.getCurrentBackingTrackTime() + leadTime;
-        const elapsedTimeSinceSilence = elapsedTotalTime - this.silenceOffset;
-        const elapsedTimeFromProgressionStart = elapsedTotalTime - (this.silenceOffset + this.countInBeats * this.beatDuration);
+        // Looking ahead past the loop's end lands back at its start
+        return this.getPositionAt(wrapLoopTime(this.getCurrentTime() + leadTime, this.getLoopTimes()));
+    }
+
+    /**
+     * Get the position in the progression at a time on the getCurrentTime() clock, assuming playback.
+     * Upcoming chords account for the loop region, if any.
+     * @param {number} elapsedTotalTime - seconds since the start of the backing track, on the getCurrentTime() clock
+     * @returns {TimingPosition}
+     */
+    getPositionAt(elapsedTotalTime) {
+        const firstChord = this.transposeChord(getFirstChord(this.progression));
+        const elapsedTimeSinceSilence = elapsedTotalTime - this.getBeatTime(0);
+        const elapsedTimeFromProgressionStart = elapsedTotalTime - this.getBeatTime(this.countInBeats);
 
         // Before progression starts (in silence or count-in)
         if (elapsedTimeFromProgressionStart < 0) {
-            const inSilence = elapsedTotalTime < this.silenceOffset;
+            const inSilence = elapsedTotalTime < this.getBeatTime(-this.generatedCountInBeats);
+            const beatsFromProgressionStart = Math.floor(elapsedTimeFromProgressionStart / this.beatDuration); // negative
             return {
                 phase: inSilence ? 'waiting' : 'count-in',
-                beatNumberInMeasure: null,
+                section: null,
+                beatNumberInMeasure: inSilence ? null : getBeatNumberInMeasure(beatsFromProgressionStart),
                 measureNumberInProgression: null,
                 currentChord: null,
-                nextChord: 'C7', // First chord of progression
-                beatsUntilNextChord: elapsedTotalTime < this.silenceOffset ? null : Math.ceil(-elapsedTimeFromProgressionStart / this.beatDuration),
+                nextChord: firstChord,
+                beatsUntilNextChord: inSilence ? null : Math.ceil(-elapsedTimeFromProgressionStart / this.beatDuration),
                 loopsCompleted: 0,
-                beatProgress: inSilence ? null : (elapsedTimeSinceSilence / this.beatDuration) % 1,
+                beatProgress: inSilence ? null : ((elapsedTimeSinceSilence / this.beatDuration) % 1 + 1) % 1,
             }
         }
             
         // Else, during progression
         const elapsedBeats = Math.floor(elapsedTimeFromProgressionStart / this.beatDuration); // 0-indexed, integer
-        const { currentChord, nextChord, beatsUntilNextChord } = getChordInfo(elapsedBeats);
+        const { currentChord, nextChord, beatsUntilNextChord } = getChordInfo(this.progression, elapsedBeats, this.getLoopBeats());
         return {
             phase: 'playing',
+            section: getSection(this.progression, elapsedBeats),
             beatNumberInMeasure: getBeatNumberInMeasure(elapsedBeats), // beat number within measure
-            measureNumberInProgression: getMeasureNumberInProgression(elapsedBeats), // measure number within progression
-            currentChord: getLoopsCompleted(elapsedBeats) <= this.maxLoops ? currentChord : 'C7', // Ends on C7
-            nextChord,
+            measureNumberInProgression: getMeasureNumberInProgression(this.progression, elapsedBeats), // measure number within section
+            currentChord: this.transposeChord(currentChord),
+            nextChord: this.transposeChord(nextChord),
             beatsUntilNextChord,
-            loopsCompleted: getLoopsCompleted(elapsedBeats),
+            loopsCompleted: getLoopsCompleted(this.progression, elapsedBeats),
             beatProgress: (elapsedTimeFromProgressionStart / this.beatDuration) % 1,
         }
     }
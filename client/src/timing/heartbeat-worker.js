@@ -0,0 +1,28 @@
+/**
+ * Worker behind Heartbeat (see /src/timing/Heartbeat.js), for lookahead schedulers.
+ * Timers in a worker keep firing while the page is hidden or the main thread's animation frames stall,
+ * unlike requestAnimationFrame and (heavily throttled) main-thread timers.
+ *
+ * Messages in: { type: 'start', intervalMs: number } | { type: 'stop' }
+ * Messages out: 'tick'
+ */
+
+/** @typedef {{ type: 'start', intervalMs: number } | { type: 'stop' }} HeartbeatMessage */
+
+const worker = /** @type {{ postMessage: (message: 'tick') => void, onmessage: ((event: MessageEvent<HeartbeatMessage>) => void) | null }} */ (
+    /** @type {unknown} */ (self)
+);
+
+/** @type {ReturnType<typeof setInterval> | null} */
+let intervalID = null;
+
+worker.onmessage = (/** @type {MessageEvent<HeartbeatMessage>} */ event) => {
+    const message = event.data;
+    if (intervalID !== null) {
+        clearInterval(intervalID);
+        intervalID = null;
+    }
+    if (message.type === 'start') {
+        intervalID = setInterval(() => worker.postMessage('tick'), message.intervalMs);
+    }
+};
@@ -1,22 +1,111 @@
 /**
- * Define 12-bar blues progression structure
+ * Define chord progression structures and helpers to locate a beat within them, and the groove that places
+ * eighth notes within a beat.
+ * Each backing track declares its own progression and groove in BACKING_TRACKS_DATA (see /src/constants.js).
+ */
+
+import { transposeChordName } from '../theory/key-data';
+
+// ============================================================================
+// TYPE DEFINITIONS
+// ============================================================================
+
+/**
+ * Section of a progression: an optional intro played once, a form repeated for a number of choruses,
+ * and an optional ending (e.g. final hit or turnaround) played once after the last chorus.
+ * @typedef {'intro' | 'form' | 'ending'} ProgressionSection
+ */
+
+/**
+ * Progression data - each element of intro/form/ending is a measure.
+ * A measure holds one chord name, or several separated by spaces that split the measure evenly,
+ * e.g. 'C7 A7' is two beats each and 'C7 C7 C7 G7' changes to G7 on beat 4.
+ * The number of chords in a measure must divide BEATS_PER_MEASURE, see validateProgression().
+ * @typedef {{
+ *   intro?: readonly string[],
+ *   form: readonly string[],
+ *   choruses: number,
+ *   ending?: readonly string[],
+ * }} Progression
+ */
+
+/**
+ * @typedef {{
+ *   section: ProgressionSection,
+ *   beatIndexInSection: number,
+ *   loopsCompleted: number,
+ *   chord: string,
+ * }} BeatInfo
  */
 
 /**
- * 12-bar blues progression data - each element is a measure.
- * Assumes harmonic rhythm of one chord per measure.
+ * How eighth notes sit within a beat. 'straight' splits the beat evenly, 'swing' lengthens the first eighth
+ * to swingRatio times the second (e.g. 2 for triplet swing, 1.5 for a lighter lilt), and 'shuffle' is a
+ * triplet-based 2:1 feel whatever the swingRatio.
+ * @typedef {'straight' | 'swing' | 'shuffle'} GrooveFeel
  */
-const TWELVE_BAR_BLUES = [
-    'C7', 'C7', 'C7', 'C7', 'F7', 'F7', 'C7', 'C7', 'G7', 'F7', 'C7', 'G7',
-];
 
-const TOTAL_MEASURES = TWELVE_BAR_BLUES.length; // 12 measures
+/**
+ * @typedef {{ feel: GrooveFeel, swingRatio: number }} Groove
+ */
+
+/**
+ * Measures of the form to repeat, 1-indexed and inclusive, e.g. { startMeasure: 9, endMeasure: 12 } for a 12-bar blues turnaround.
+ * @typedef {{ startMeasure: number, endMeasure: number }} LoopRegion
+ */
+
+/**
+ * A loop region as times that playback cycles between, on the clock of whoever holds it.
+ * @typedef {{ start: number, end: number }} LoopTimes
+ */
+
+/**
+ * Progression sections expanded to one chord per beat.
+ * @typedef {{ intro: string[], form: string[], ending: string[] }} ExpandedProgression
+ */
 
-const BEATS_PER_MEASURE = 4;
+// ============================================================================
+// CONSTANTS
+// ============================================================================
 
-const TOTAL_BEATS = TOTAL_MEASURES * BEATS_PER_MEASURE; // 12 measures * 4 beats each = 48 beats
+export const BEATS_PER_MEASURE = 4;
 
 const DEFAULT_BPM = 120;
+const SHUFFLE_RATIO = 2; // Triplet eighths
+
+/** @type {Groove} */
+export const STRAIGHT_GROOVE = { feel: 'straight', swingRatio: 1 };
+
+/**
+ * Common forms in C. Backing tracks reference these (or their own arrays) as `progression.form`.
+ */
+export const PROGRESSION_FORMS = /** @type {const} */ ({
+    twelveBarBlues: [
+        'C7', 'C7', 'C7', 'C7', 'F7', 'F7', 'C7', 'C7', 'G7', 'F7', 'C7', 'G7',
+    ],
+    quickChangeBlues: [
+        'C7', 'F7', 'C7', 'C7', 'F7', 'F7', 'C7', 'C7', 'G7', 'F7', 'C7', 'G7',
+    ],
+    eightBarBlues: [
+        'C7', 'G7', 'F7', 'F7', 'C7', 'G7', 'C7', 'G7',
+    ],
+    sixteenBarBlues: [
+        'C7', 'C7', 'C7', 'C7', 'C7', 'C7', 'C7', 'C7', 'F7', 'F7', 'C7', 'C7', 'G7', 'F7', 'C7', 'G7',
+    ],
+    jazzBlues: [
+        'C7', 'F7', 'C7', 'Gm7 C7', 'F7', 'F#dim7', 'C7', 'A7', 'Dm7', 'G7', 'C7 A7', 'Dm7 G7',
+    ],
+    minorBlues: [
+        'Cm7', 'Cm7', 'Cm7', 'Cm7', 'Fm7', 'Fm7', 'Cm7', 'Cm7', 'G7alt', 'Fm7', 'Cm7', 'G7alt',
+    ],
+});
+
+/** @type {WeakMap<Progression, ExpandedProgression>} */
+const expandedProgressions = new WeakMap(); // Progression data is static, so expand each only once
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
 
 /**
  * Get beat duration in seconds
@@ -28,60 +117,233 @@ export const getBeatDuration = (bpm = DEFAULT_BPM) => {
 }
 
 /**
- * Get beat number within the measure, in the musical sense.
+ * Transpose measures of a form into another key, e.g. to write a track's progression from PROGRESSION_FORMS.
+ * @param {readonly string[]} measures
+ * @param {import('../theory/key-data').Transposition} transposition
+ * @returns {string[]}
+ */
+export function transposeMeasures(measures, transposition) {
+    return measures.map(measure => measure.trim().split(/\s+/)
+        .map(chord => transposeChordName(chord, transposition))
+        .join(' '));
+}
+
+/**
+ * Expand measures into one chord per beat, splitting measures with several chords evenly.
+ * @param {readonly string[]} measures
+ * @param {ProgressionSection} section - that the measures are, for errors
+ * @returns {string[]}
+ */
+function expandMeasures(measures, section) {
+    return measures.flatMap((measure, i) => {
+        const chords = measure.trim().split(/\s+/);
+        if (BEATS_PER_MEASURE % chords.length !== 0) {
+            throw new Error(`Measure ${i + 1} '${measure}' of the ${section} has ${chords.length} chords, which don't split its ${BEATS_PER_MEASURE} beats evenly.`);
+        }
+        const beatsPerChord = BEATS_PER_MEASURE / chords.length;
+        return Array.from({ length: BEATS_PER_MEASURE }, (_, beat) => chords[Math.floor(beat / beatsPerChord)]);
+    });
+}
+
+/**
+ * @param {Progression} progression
+ * @returns {ExpandedProgression}
+ */
+function expandProgression(progression) {
+    let expanded = expandedProgressions.get(progression);
+    if (!expanded) {
+        expanded = {
+            intro: expandMeasures(progression.intro ?? [], 'intro'),
+            form: expandMeasures(progression.form, 'form'),
+            ending: expandMeasures(progression.ending ?? [], 'ending'),
+        };
+        expandedProgressions.set(progression, expanded);
+    }
+    return expanded;
+}
+
+/**
+ * Check that every measure of a progression splits evenly into beats, e.g. when declaring it.
+ * @param {Progression} progression
+ * @throws {Error} naming the first measure that doesn't
+ */
+export function validateProgression(progression) {
+    expandProgression(progression); // Kept for later lookups
+}
+
+/**
+ * Get total number of beats in the progression, including intro and ending.
+ * @param {Progression} progression
+ * @returns {number} Infinity if the form repeats indefinitely
+ */
+export function getTotalBeats(progression) {
+    const { intro, form, ending } = expandProgression(progression);
+    return intro.length + form.length * progression.choruses + ending.length;
+}
+
+/**
+ * Get the beat a measure of the form starts on.
+ * @param {Progression} progression
+ * @param {number} measure - 1-indexed within the form, or one past its last measure for where it ends
+ * @param {number} [chorus=0] - choruses of the form completed before it (loopsCompleted)
+ * @returns {number} beats elapsed since the start of the progression (0-indexed, integer)
+ */
+export function getFormMeasureStartBeat(progression, measure, chorus = 0) {
+    const { intro, form } = expandProgression(progression);
+    return intro.length + chorus * form.length + (measure - 1) * BEATS_PER_MEASURE;
+}
+
+/**
+ * Fold a time past the end of a loop back into it, as if playback had cycled since reaching the loop.
+ * @param {number} time
+ * @param {LoopTimes | null} loop
+ * @returns {number}
+ */
+export function wrapLoopTime(time, loop) {
+    if (!loop || time < loop.end) return time;
+    return loop.start + (time - loop.end) % (loop.end - loop.start);
+}
+
+/**
+ * Get where the upbeat eighth lands within a beat.
+ * @param {Groove} groove
+ * @returns {number} fraction of a beat, 0.5 when straight, 2/3 for a shuffle
+ */
+export function getUpbeatFraction(groove) {
+    const ratio = groove.feel === 'straight' ? 1
+        : groove.feel === 'shuffle' ? SHUFFLE_RATIO
+        : groove.swingRatio;
+    return ratio / (ratio + 1);
+}
+
+/**
+ * Place a straight offset in beats where the groove plays it, e.g. the 'and' of 2 (1.5) is 1.667 in a shuffle.
+ * Beats stay put; offsets between them stretch or squeeze around the upbeat.
+ * @param {number} beats - straight offset, e.g. from a rhythm pattern or subdivision / subdivisions per beat
+ * @param {Groove} groove
+ * @returns {number} swung offset in beats
+ */
+export function applyGroove(beats, groove) {
+    const beat = Math.floor(beats);
+    const fraction = beats - beat;
+    const upbeat = getUpbeatFraction(groove);
+    return beat + (fraction <= 0.5
+        ? fraction * 2 * upbeat
+        : upbeat + (fraction - 0.5) * 2 * (1 - upbeat));
+}
+
+/**
+ * Locate a beat within the progression's sections.
+ * Beats past the end of the progression hold the last beat (e.g. a final chord ringing out).
+ * @param {Progression} progression
  * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer)
+ * @returns {BeatInfo}
+ */
+function getBeatInfo(progression, elapsedBeats) {
+    const { intro, form, ending } = expandProgression(progression);
+    const { choruses } = progression;
+    let i = Math.min(elapsedBeats, getTotalBeats(progression) - 1);
+
+    if (i < intro.length) {
+        return { section: 'intro', beatIndexInSection: i, loopsCompleted: 0, chord: intro[i] };
+    }
+    i -= intro.length;
+
+    if (i < form.length * choruses) {
+        const beatIndexInSection = i % form.length;
+        return {
+            section: 'form',
+            beatIndexInSection,
+            loopsCompleted: Math.floor(i / form.length),
+            chord: form[beatIndexInSection],
+        };
+    }
+    i -= form.length * choruses;
+
+    return { section: 'ending', beatIndexInSection: i, loopsCompleted: choruses, chord: ending[i] };
+}
+
+/**
+ * Get beat number within the measure, in the musical sense.
+ * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer), negative during count-in
  * @returns {number} 1, 2, 3, or 4 if BEATS_PER_MEASURE is 4
  */
 export function getBeatNumberInMeasure(elapsedBeats) {
-    return (elapsedBeats % BEATS_PER_MEASURE) + 1; // 1-indexed
+    return ((elapsedBeats % BEATS_PER_MEASURE) + BEATS_PER_MEASURE) % BEATS_PER_MEASURE + 1; // 1-indexed, also before the start
 }
 
 /**
- * Get index of measure within the progression, 0-indexed
+ * Get measure number within the current section, in the musical sense.
+ * @param {Progression} progression
  * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer)
- * @returns {number} 0-47 if TOTAL_BEATS is 48
+ * @returns {number} - 1-12 during the form of a 12-bar blues
  */
-function getMeasureIndex(elapsedBeats) {
-    return Math.floor((elapsedBeats / BEATS_PER_MEASURE) % TOTAL_MEASURES); // 0-indexed
+export function getMeasureNumberInProgression(progression, elapsedBeats) {
+    const { beatIndexInSection } = getBeatInfo(progression, elapsedBeats);
+    return Math.floor(beatIndexInSection / BEATS_PER_MEASURE) + 1; // 1-indexed
 }
 
 /**
- * Get measure number within the progression, in the musical sense.
+ * Get section of the progression at a given elapsed beat
+ * @param {Progression} progression
  * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer)
- * @returns {number} - 1-12 for the 12-bar blues
+ * @returns {ProgressionSection}
+ */
+export function getSection(progression, elapsedBeats) {
+    return getBeatInfo(progression, elapsedBeats).section;
+}
+
+/**
+ * Get the chord that starts the progression, for anticipating it before playback/count-in ends.
+ * @param {Progression} progression
+ * @returns {string}
  */
-export function getMeasureNumberInProgression(elapsedBeats) {
-    return getMeasureIndex(elapsedBeats) + 1; // 1-indexed
+export function getFirstChord(progression) {
+    return getBeatInfo(progression, 0).chord;
 }
 
 /**
- * Get chord information at a given elapsed beat
+ * Get chord information at a given elapsed beat. Chords may change mid-measure.
+ * @param {Progression} progression
  * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer)
- * @returns {{currentChord: string, nextChord: string, beatsUntilNextChord: number}}
+ * @param {LoopTimes | null} [loopBeats=null] - loop region in elapsed beats, playback cycling back to its start from its end
+ * @returns {{currentChord: string, nextChord: string|null, beatsUntilNextChord: number|null}}
+ * nextChord and beatsUntilNextChord are null if the chord does not change again before the progression ends.
  */
-export function getChordInfo(elapsedBeats) {
-    const currMeasureIdx = getMeasureIndex(elapsedBeats);
-    const currentChord = TWELVE_BAR_BLUES[currMeasureIdx];
-    let i = currMeasureIdx;
+export function getChordInfo(progression, elapsedBeats, loopBeats = null) {
+    const currentChord = getBeatInfo(progression, elapsedBeats).chord;
 
-    // Find next different chord
-    while (TWELVE_BAR_BLUES[i] === currentChord) {
-        i = (i + 1) % TOTAL_MEASURES;
+    // Find next different chord. A repeating form only needs to be searched through once, and a loop twice.
+    const { intro, form } = expandProgression(progression);
+    const totalBeats = getTotalBeats(progression);
+    let searchEnd = Number.isFinite(totalBeats)
+        ? totalBeats
+        : elapsedBeats + intro.length + form.length + 1;
+    if (loopBeats && elapsedBeats < loopBeats.end) {
+        searchEnd = Math.min(searchEnd, 2 * loopBeats.end - loopBeats.start);
     }
 
-    return {
-        currentChord: currentChord,
-        nextChord: TWELVE_BAR_BLUES[i],
-        // nextChord happens at elapsedBeats = (i * BEATS_PER_MEASURE) - could be in next loop
-        beatsUntilNextChord: ((i * BEATS_PER_MEASURE) - (elapsedBeats % TOTAL_BEATS) + TOTAL_BEATS) % TOTAL_BEATS,
+    for (let i = elapsedBeats + 1; i < searchEnd; i++) {
+        const { chord } = getBeatInfo(progression, wrapLoopTime(i, loopBeats));
+        if (chord !== currentChord) {
+            return {
+                currentChord,
+                nextChord: chord,
+                // nextChord happens at elapsedBeats = i - could be in a later chorus
+                beatsUntilNextChord: i - elapsedBeats,
+            };
+        }
     }
+
+    return { currentChord, nextChord: null, beatsUntilNextChord: null };
 }
 
 /**
- * Get number of loops completed given elapsed beats
+ * Get number of loops (choruses of the form) completed given elapsed beats
+ * @param {Progression} progression
  * @param {number} elapsedBeats - number of beats elapsed since the start of the progression (0-indexed, integer)
  * @returns {number} number of loops completed
  */
-export function getLoopsCompleted(elapsedBeats) {
-    return Math.floor(elapsedBeats / TOTAL_BEATS);
-}
\ No newline at end of file
+export function getLoopsCompleted(progression, elapsedBeats) {
+    return getBeatInfo(progression, elapsedBeats).loopsCompleted;
+}
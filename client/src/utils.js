@@ -1,5 +1,6 @@
 import JSZip from 'jszip';
 import mime from 'mime-types';
+import { NOTE_EVENTS } from './constants';
 
 /** @typedef {import('./constants').NoteEventName} NoteEventName */
 
@@ -10,12 +11,32 @@ import mime from 'mime-types';
  * @param {NoteEventName} eventName 
  * @param {string} uniqueID 
  * @param {number} midiNumber 
+ * @param {number} [velocity] - 0-1, for 'notestart' from inputs that measure it
  */
-export function dispatchNoteEvent(eventName, uniqueID, midiNumber) {
+export function dispatchNoteEvent(eventName, uniqueID, midiNumber, velocity) {
     const event = new CustomEvent(eventName, {
         detail: {
             uniqueID,
             midiNumber,
+            velocity,
+            timestamp: performance.now(),
+        }
+    });
+    document.dispatchEvent(event);
+}
+
+/**
+ * Dispatches a 'notebend' event for a held note whose pitch bend changed, see AudioEngine.bendNote().
+ * @param {string} uniqueID
+ * @param {number} midiNumber - as played, unbent
+ * @param {number} cents - the bend applied
+ */
+export function dispatchNoteBendEvent(uniqueID, midiNumber, cents) {
+    const event = new CustomEvent(NOTE_EVENTS.BEND, {
+        detail: {
+            uniqueID,
+            midiNumber,
+            cents,
             timestamp: performance.now(),
         }
     });
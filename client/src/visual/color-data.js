@@ -11,12 +11,14 @@ import { midiToPitchClass } from '../audio/audio-utils';
 const COLORS = {
     // Chromatic circle colors (used in PITCH_CLASS_TO_COLOR)
     RED: 'hsl(0, 80%, 65%)',           // C
+    RED_ORANGE: 'hsl(15, 80%, 65%)',   // C#/Db
     ORANGE: 'hsl(30, 80%, 65%)',       // D
     YELLOW_GREEN: 'hsl(45, 80%, 65%)', // D#/Eb
     GREEN_YELLOW: 'hsl(65, 80%, 65%)', // E
     GREEN: 'hsl(100, 80%, 65%)',       // F
     CYAN: 'hsl(160, 80%, 65%)',        // F#/Gb
     BLUE: 'hsl(200, 80%, 65%)',        // G
+    AZURE: 'hsl(215, 80%, 65%)',       // G#/Ab
     BLUE_VIOLET: 'hsl(230, 80%, 65%)', // A
     MAGENTA: 'hsl(290, 80%, 65%)',     // Bb
     PINK_RED: 'hsl(320, 80%, 65%)',    // B
@@ -29,14 +31,14 @@ const COLORS = {
  */
 const PITCH_CLASS_TO_COLOR = {
     0: COLORS.RED,          // C
-    // 1: no note
+    1: COLORS.RED_ORANGE,   // C#/Db
     2: COLORS.ORANGE,       // D
     3: COLORS.YELLOW_GREEN, // D#/Eb
     4: COLORS.GREEN_YELLOW, // E
     5: COLORS.GREEN,        // F
     6: COLORS.CYAN,         // F#/Gb
     7: COLORS.BLUE,         // G
-    // 8: no note
+    8: COLORS.AZURE,        // G#/Ab
     9: COLORS.BLUE_VIOLET,  // A
     10: COLORS.MAGENTA,     // A#/Bb
     11: COLORS.PINK_RED,    // B
@@ -1,10 +1,11 @@
 /**
  * This module defines the data structure for the visual grid used in the application.
+ * Rows are generated from a backing track's scale rows (see /src/theory/scale-data.js).
  */
 
 import { midiToColor } from "../visual/color-data";
-import { KEY_MAPPINGS } from "../constants";
-import { CHORDS } from "../constants";
+import { transposeChord, transposeChordName, transposeMidiNumber, transposeNoteName } from "../theory/key-data";
+import { SCALES, getKeyboardHint, getScaleDegrees, getScaleRowKeys } from "../theory/scale-data";
 
 // ============================================================================
 // TYPE DEFINITIONS
@@ -15,6 +16,7 @@ import { CHORDS } from "../constants";
  * @property {'note'} type
  * @property {string} color - HSL color string
  * @property {KeyCode} keyCode - KeyboardEvent.code
+ * @property {string} inputID - Unique ID for playing the cell: keyCode, suffixed in the second octave of rows
  * @property {number} midiNumber
  * @property {string} noteName
  * @property {string} scaleRoot
@@ -27,12 +29,13 @@ import { CHORDS } from "../constants";
  * @property {'scaleLabel'} type
  * @property {string} scaleName - The scale this label corresponds to.
  * @property {string} label - Scale label text to display
+ * @property {LabelPlacement} placement - Whether the labelled notes are above or below this row
  */
 
 /**
  * @typedef {Object} ChordLabelCellData
  * @property {'chordLabel'} type
- * @property {string|null} chordName - The chord this label corresponds to, or null if it applies to all chords. Used for determining when to highlight the label.
+ * @property {string[]} chordNames - The chords this label corresponds to, or empty if it applies to all chords. Used for determining when to highlight the label.
  * @property {string} label - Chord label text to display
  * @property {string} keyboardHint - Hint text to display under the chord label for keyboard keys that play this chord
  */
@@ -42,58 +45,43 @@ import { CHORDS } from "../constants";
  * @property {'scaleDegreeLabel'} type
  * @property {string} scaleName - The scale this label corresponds to
  * @property {string} scaleDegree - Scale degree notation (e.g., '1', '♭3', '♯4')
+ * @property {LabelPlacement} placement - Whether the labelled notes are above or below this row
  */
 
 /**
  * @typedef {Object} EmptyCellData
  * @property {'empty'} type
+ * @property {boolean} inLabelRow - Whether the cell fills a label row (hidden with labels on short screens)
  */
 
 /**
  * @typedef {NoteCellData | ScaleLabelCellData | ChordLabelCellData | ScaleDegreeLabelCellData | EmptyCellData} CellData
  */
 
+/**
+ * Where the notes a label row describes are, relative to the label row.
+ * @typedef {'above' | 'below'} LabelPlacement
+ */
+
+/**
+ * How many octaves of scale rows the grid shows. A second octave repeats the rows an octave higher, above them.
+ * @typedef {1 | 2} GridOctaves
+ */
+
 /** @typedef {import('/src/constants.js').KeyCode} KeyCode */
+/** @typedef {import('/src/constants.js').ChordDefinition} ChordDefinition */
+/** @typedef {import('/src/theory/key-data.js').Transposition} Transposition */
+/** @typedef {import('/src/theory/scale-data.js').ScaleRow} ScaleRow */
+/** @typedef {import('/src/theory/scale-data.js').ScaleName} ScaleName */
 
 // ============================================================================
 // CONSTANTS
 // ============================================================================
 
 /**
- * Dimensions of the visual grid.
+ * Number of label columns at the start of each grid row (chord and scale labels).
  */
-export const GRID = {
-    ROWS: 6, // 4 rows of scales, 2 rows of labels
-    COLS: 9,
-};
-
-/**
- * Grid layout information, mapped from musical concepts to grid coordinates.
- * Rows 1 and 2 are reserved for labels, and not used for note cells.
- */
-export const GRID_LAYOUT = {
-    mixolydian: {
-        rows: { // scaleRoot -> grid row
-            // bottom three rows
-            'G': 3, 'F': 4, 'C': 5,
-        },
-        columns: { // scaleDegree -> grid column
-            '1': 1, '2': 2, '3': 3, '4': 4,
-            '5': 5, '6': 6, '♭7': 7, '8': 8,
-        },
-    },
-    // middle rows: labels
-    blues: {
-        rows: { // scaleRoot -> grid row
-            // top row
-            'C': 0,
-        },
-        columns: {
-            '1': 1, '♭3': 2, '4': 3, '♯4': 4,
-            '5': 5, '♭7': 6, '8': 7,
-        }
-    },
-};
+export const LABEL_COLUMNS = 1;
 
 /**
  * Types of cells in the grid.
@@ -106,136 +94,126 @@ export const CELL_TYPE = /** @type {const} */ ({
     EMPTY: 'empty',
 });
 
+/** @type {Transposition} */
+const NO_TRANSPOSITION = { semitones: 0, letterSteps: 0 };
+
+/** Suffix of the inputID and keyboard hint of cells in the second octave of rows */
+const SECOND_OCTAVE_SUFFIX = '8va';
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Returns the grid coordinates from the KeyboardEvent.code.
- * Top three rows are mixolydian scales, bottom row is blues scale, middle rows are labels.
- * @param {KeyCode} key - The keyboard key as named in KEY_MAPPINGS in /src/constants.js
- * @returns {{row: number, col: number}} - The grid coordinates of the key, with (row: 0, col: 0) as top left.
+ * Get the chord label for a scale row, e.g. 'G⁷', or 'Any!' if the row fits any chord.
+ * @param {ScaleRow} scaleRow
+ * @param {Record<string, ChordDefinition>} chords - the track's chord set (see CHORDS in /src/constants.js)
+ * @param {Transposition} transposition
+ * @returns {string}
  */
-export function keyToGridCoordinates(key) {
-    const { scaleMode, scaleRoot, scaleDegree } = KEY_MAPPINGS[key];
-    if (scaleMode === 'Mixolydian') {
-        const row = GRID_LAYOUT.mixolydian.rows[scaleRoot];
-        const col = GRID_LAYOUT.mixolydian.columns[scaleDegree];
-        
-        if (row === undefined) {
-            throw new Error(`Invalid mixolydian root '${scaleRoot}'.`);
-        }
-        if (col === undefined) {
-            throw new Error(`Invalid mixolydian scale degree '${scaleDegree}'.`);
-        }
-
-        return { row, col };
-    }
-
-    if (scaleMode === 'Blues') {
-        const row = GRID_LAYOUT.blues.rows[scaleRoot];
-        const col = GRID_LAYOUT.blues.columns[scaleDegree];
-
-        if (row === undefined) {
-            throw new Error(`Invalid blues root '${scaleRoot}'.`);
-        }
-        if (col === undefined) {
-            throw new Error(`Invalid blues scale degree '${scaleDegree}'.`);
-        }
+function getChordLabel(scaleRow, chords, transposition) {
+    if (scaleRow.chords.length === 0) return 'Any!';
+    return scaleRow.chords
+        .map(name => chords[name]
+            ? transposeChord(chords[name], transposition).display
+            : transposeChordName(name, transposition))
+        .join(' / ');
+}
 
-        return { row, col };
-    }
+/**
+ * Build a row of scale degree labels.
+ * @param {ScaleName} scale
+ * @param {LabelPlacement} placement
+ * @param {number} columns
+ * @returns {CellData[]}
+ */
+function buildScaleDegreeLabelRow(scale, placement, columns) {
+    /** @type {CellData[]} */
+    const row = Array.from({ length: columns }, () => ({ type: CELL_TYPE.EMPTY, inLabelRow: true }));
+    const scaleName = SCALES[scale].name;
 
-    throw new Error(`Unknown mode '${scaleMode}'.`);
+    // This cell displays labelText
+    row[0] = { type: CELL_TYPE.SCALE_LABEL, scaleName, label: 'Scale Degrees', placement };
+    // These cells display scale degrees
+    getScaleDegrees(scale).forEach((scaleDegree, i) => {
+        row[LABEL_COLUMNS + i] = { type: CELL_TYPE.SCALE_DEGREE_LABEL, scaleName, scaleDegree, placement };
+    });
+    return row;
 }
 
 /**
- * Build the reverse mapping of constants.js's KEY_MAPPINGS for rendering of grid,
- * based off faster look-up of data based off of row/col.
- * Instead of hardcoding the reverse mapping, we build it dynamically to avoid duplication of data.
- * 
- * @return {CellData[][]} 2D array [row][col] of cell data objects.
+ * Build a row of note cells with its chord label.
+ * @param {ScaleRow} scaleRow
+ * @param {Record<string, ChordDefinition>} chords
+ * @param {Transposition} transposition
+ * @param {number} columns
+ * @param {number} octave - 0 for the scale row as written, 1 for the second octave of rows
+ * @returns {CellData[]}
  */
-export function buildGridData() {
-    /** @type {CellData[][]} */
-    const grid = Array.from({ length: GRID.ROWS }, () =>
-        Array.from({ length: GRID.COLS }, () => /** @type {EmptyCellData} */ ({ type: CELL_TYPE.EMPTY }))
-    );
-
-    // Build note cells from KEY_MAPPINGS
-    for (const keyCode of /** @type {KeyCode[]} */ (Object.keys(KEY_MAPPINGS))) {
-        const mapping = KEY_MAPPINGS[keyCode];
-        const { row, col } = keyToGridCoordinates(keyCode);
-        const { midiNumber, noteName, scaleRoot, scaleMode, scaleDegree } = mapping;
-
-        // These cells should display note names
-        grid[row][col] = {
+function buildNoteRow(scaleRow, chords, transposition, columns, octave) {
+    /** @type {CellData[]} */
+    const row = Array.from({ length: columns }, () => ({ type: CELL_TYPE.EMPTY, inLabelRow: false }));
+
+    // Chord label. This cell displays labelText with keyboard keys
+    row[0] = {
+        type: CELL_TYPE.CHORD_LABEL,
+        chordNames: scaleRow.chords.map(chord => transposeChordName(chord, transposition)),
+        label: getChordLabel(scaleRow, chords, transposition),
+        keyboardHint: octave === 0
+            ? `(${getKeyboardHint(scaleRow)})`
+            : `(${getKeyboardHint(scaleRow)} ${SECOND_OCTAVE_SUFFIX})`,
+    };
+
+    // These cells should display note names
+    getScaleRowKeys(scaleRow).forEach(({ keyCode, mapping }, i) => {
+        const midiNumber = transposeMidiNumber(mapping.midiNumber, transposition) + 12 * octave;
+        row[LABEL_COLUMNS + i] = {
             type: CELL_TYPE.NOTE,
             color: midiToColor(midiNumber),
             keyCode,
+            inputID: octave === 0 ? keyCode : `${keyCode}-${SECOND_OCTAVE_SUFFIX}`,
             midiNumber,
-            noteName,
-            scaleRoot,
-            scaleMode,
-            scaleDegree,
+            noteName: transposeNoteName(mapping.noteName, transposition),
+            scaleRoot: transposeNoteName(mapping.scaleRoot, transposition),
+            scaleMode: mapping.scaleMode,
+            scaleDegree: mapping.scaleDegree,
         };
-    }
-
-    // Chord labels (column 0). These cells display labelText with keyboard keys
-    grid[3][0] = { 
-        type: CELL_TYPE.CHORD_LABEL,
-        chordName: 'G7',
-        label: CHORDS['G7'].display,
-        keyboardHint: '(qwertyui)',
-    };
-    grid[4][0] = { 
-        type: CELL_TYPE.CHORD_LABEL,
-        chordName: 'F7',
-        label: CHORDS['F7'].display,
-        keyboardHint: '(asdfghjk)'
-    };
-    grid[5][0] = { 
-        type: CELL_TYPE.CHORD_LABEL,
-        chordName: 'C7',
-        label: CHORDS['C7'].display,
-        keyboardHint: '(zxcvbnm,)'
-    };
-    grid[0][0] = { 
-        type: CELL_TYPE.CHORD_LABEL,
-        chordName: null,
-        label: 'Any!',
-        keyboardHint: '(1234567)',
-    };
+    });
+    return row;
+}
 
-    // Mixolydian scale degree labels (row 2). This cell displays labelText
-    grid[2][0] = {
-        type: CELL_TYPE.SCALE_LABEL,
-        scaleName: 'mixolydian',
-        label: 'Scale Degrees',
-    };
-    // These cells display scale degrees
-    for (const [scaleDegree, col] of Object.entries(GRID_LAYOUT.mixolydian.columns)) {
-        grid[2][col] = {
-            type: CELL_TYPE.SCALE_DEGREE_LABEL,
-            scaleName: 'mixolydian',
-            scaleDegree,
-        };
-    }
+/**
+ * Build the grid for rendering from a backing track's scale rows, with faster look-up of data based off of row/col.
+ * Rows that fit any chord get their scale degree labels below; each group of consecutive chord rows
+ * sharing a scale gets one row of scale degree labels above.
+ * Notes, colors and chord labels are transposed by the given interval, e.g. from the track's key to the user's.
+ * With two octaves, all rows repeat an octave higher above the written ones.
+ * 
+ * @param {{ scaleRows: readonly ScaleRow[], chords: Record<string, ChordDefinition> }} track - scale rows top to bottom, and chord set
+ * @param {Transposition} [transposition] - defaults to none
+ * @param {GridOctaves} [octaves] - defaults to 1
+ * @return {CellData[][]} 2D array [row][col] of cell data objects.
+ */
+export function buildGridData({ scaleRows, chords }, transposition = NO_TRANSPOSITION, octaves = 1) {
+    const columns = LABEL_COLUMNS + Math.max(...scaleRows.map(({ scale }) => getScaleDegrees(scale).length));
 
-    // Blues scale degree labels (row 1). This cell displays labelText
-    grid[1][0] = {
-        type: CELL_TYPE.SCALE_LABEL,
-        scaleName: 'blues',
-        label: 'Scale Degrees',
-    };
-    // These cells display scale degrees
-    for (const [scaleDegree, col] of Object.entries(GRID_LAYOUT.blues.columns)) {
-        grid[1][col] = {
-            type: CELL_TYPE.SCALE_DEGREE_LABEL,
-            scaleName: 'blues',
-            scaleDegree,
-        };
+    /** @type {CellData[][]} */
+    const grid = [];
+    for (let octave = octaves - 1; octave >= 0; octave--) {
+        scaleRows.forEach((scaleRow, i) => {
+            const fitsAnyChord = scaleRow.chords.length === 0;
+            const previous = scaleRows[i - 1];
+            const startsGroup = !previous || previous.chords.length === 0 || previous.scale !== scaleRow.scale;
+
+            if (!fitsAnyChord && startsGroup) {
+                grid.push(buildScaleDegreeLabelRow(scaleRow.scale, 'below', columns));
+            }
+            grid.push(buildNoteRow(scaleRow, chords, transposition, columns, octave));
+            if (fitsAnyChord) {
+                grid.push(buildScaleDegreeLabelRow(scaleRow.scale, 'above', columns));
+            }
+        });
     }
 
     return grid;
-}
\ No newline at end of file
+}
@@ -2,7 +2,8 @@ import { AudioEngine } from '../src/audio/AudioEngine.js';
 import { TimingEngine } from '../src/timing/TimingEngine.js';
 import { NoteLogger } from '../src/events/NoteLogger.js';
 import { KeyboardHandler } from '../src/input/KeyboardHandler.js';
-import { PREFERENCE_DEFAULTS } from '../src/constants.js';
+import { NOTE_EVENTS, PREFERENCE_DEFAULTS } from '../src/constants.js';
+import { dispatchNoteBendEvent, dispatchNoteEvent } from '../src/utils.js';
 
 const output = document.getElementById('output');
 
@@ -21,6 +22,22 @@ function clearOutput() {
     if (output) output.textContent = '';
 }
 
+function expect(description, actual, expected) {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    log(`${description}: ${JSON.stringify(actual)}${passed ? '' : ` (expected ${JSON.stringify(expected)})`}`, !passed);
+}
+
+// Stands in for AudioEngine, with the backing track stopped at backingTrackTime
+function createStoppedClock() {
+    return {
+        audioContext: null,
+        backingTrackTime: 0,
+        getCurrentBackingTrackTime() {
+            return this.backingTrackTime;
+        },
+    };
+}
+
 let audioEngine = null;
 let timing = null;
 let noteLogger = null;
@@ -67,8 +84,8 @@ async function startInteractiveSession() {
     // Listen for note events and log them as they occur
     const handleNoteStart = (e) => {
         if (!isLogging) return;
-        const { midiNumber, uniqueID } = e.detail;
-        log(`→ notestart: MIDI ${midiNumber} (${uniqueID})`);
+        const { midiNumber, uniqueID, velocity } = e.detail;
+        log(`→ notestart: MIDI ${midiNumber} (${uniqueID})${velocity !== undefined ? ` velocity ${velocity.toFixed(2)}` : ''}`);
     };
     
     const handleNoteEnd = (e) => {
@@ -113,7 +130,7 @@ function stopInteractiveSession() {
     if (result.events.length > 0) {
         log('Events:');
         result.events.forEach((event, index) => {
-            log(`  ${index + 1}. [${event.timestamp.toFixed(3)}s] ${event.eventType} - MIDI ${event.midiNumber} (${event.inputID})`);
+            log(`  ${index + 1}. [${event.timestamp.toFixed(3)}s] ${event.eventType} - MIDI ${event.midiNumber} (${event.inputID})${event.cents !== undefined ? ` ${event.cents} cents` : ''}`);
         });
         
         log('\nFull result object:');
@@ -123,6 +140,61 @@ function stopInteractiveSession() {
     }
 }
 
+// Tempo changes, e.g. from the tempo trainer, should be logged with the time they happened
+function tempoChangesTest() {
+    clearOutput();
+    log('=== Tempo Changes ===');
+    const clock = createStoppedClock();
+    const tempoTiming = new TimingEngine(clock);
+    const tempoLogger = new NoteLogger(tempoTiming);
+    tempoLogger.start('blues', 'medium', 'C');
+    clock.backingTrackTime = 10;
+    tempoTiming.play();
+    tempoTiming.pause();
+    const { bpm } = tempoTiming;
+    tempoTiming.setTempo(1.25);
+    clock.backingTrackTime = 20;
+    tempoTiming.setTempo(1.5);
+
+    const result = tempoLogger.stop();
+    expect('Starting bpm', result.bpm, bpm);
+    expect('tempoChanges', result.tempoChanges, [{ timestamp: 10, bpm: bpm * 1.25 }, { timestamp: 18, bpm: bpm * 1.5 }]);
+    tempoTiming.dispose();
+}
+
+// Velocity should be logged for notes from inputs that measure it, and left out otherwise
+function velocityTest() {
+    clearOutput();
+    log('=== Velocity ===');
+    const velocityLogger = new NoteLogger(new TimingEngine(createStoppedClock()));
+    velocityLogger.start('blues', 'medium', 'C');
+    dispatchNoteEvent(NOTE_EVENTS.START, 'midi-1-60', 60, 0.4);
+    dispatchNoteEvent(NOTE_EVENTS.END, 'midi-1-60', 60);
+    dispatchNoteEvent(NOTE_EVENTS.START, 'KeyA', 62);
+    const { events } = velocityLogger.stop();
+    expect('Logged velocities', events.map(event => event.velocity ?? null), [0.4, null, null]);
+    expect('Velocity left out where unmeasured', events.map(event => 'velocity' in event), [true, false, false]);
+    velocityLogger.timingEngine.dispose();
+}
+
+// Bends of a held note should be logged as 'notebend' events with their cents, back to 0 once released
+function bendTest() {
+    clearOutput();
+    log('=== Pitch Bends ===');
+    const bendLogger = new NoteLogger(new TimingEngine(createStoppedClock()));
+    bendLogger.start('blues', 'medium', 'C');
+    dispatchNoteEvent(NOTE_EVENTS.START, 'KeyA', 63);
+    dispatchNoteBendEvent('KeyA', 63, 50);
+    dispatchNoteBendEvent('KeyA', 63, 100);
+    dispatchNoteBendEvent('KeyA', 63, 0);
+    dispatchNoteEvent(NOTE_EVENTS.END, 'KeyA', 63);
+    const { events } = bendLogger.stop();
+    expect('Event types', events.map(event => event.eventType), ['notestart', 'notebend', 'notebend', 'notebend', 'noteend']);
+    expect('Logged cents', events.map(event => event.cents ?? null), [null, 50, 100, 0, null]);
+    expect('midiNumber stays unbent', events.map(event => event.midiNumber), [63, 63, 63, 63, 63]);
+    bendLogger.timingEngine.dispose();
+}
+
 // Event Listeners
 document.getElementById('basicTest').addEventListener('click', startInteractiveSession);
 document.getElementById('multipleEventsTest').addEventListener('click', stopInteractiveSession);
@@ -130,6 +202,9 @@ document.getElementById('sessionMetadataTest').addEventListener('click', () => {
     clearOutput();
     log('NoteLogger test page ready. Click "Basic Session Test" to start.');
 });
+document.getElementById('tempoChangesTest').addEventListener('click', tempoChangesTest);
+document.getElementById('velocityTest').addEventListener('click', velocityTest);
+document.getElementById('bendTest').addEventListener('click', bendTest);
 document.getElementById('clearOutput').addEventListener('click', clearOutput);
 
 log('NoteLogger interactive test page ready. Click "Basic Session Test" to start.');
@@ -1,6 +1,16 @@
 import { AudioEngine } from '../src/audio/AudioEngine.js';
 import { TimingEngine } from '../src/timing/TimingEngine.js';
-import { PREFERENCE_DEFAULTS } from '../src/constants.js';
+import { PREFERENCE_DEFAULTS, TIMING_EVENTS } from '../src/constants.js';
+import {
+    PROGRESSION_FORMS,
+    STRAIGHT_GROOVE,
+    applyGroove,
+    getChordInfo,
+    getFormMeasureStartBeat,
+    getUpbeatFraction,
+    validateProgression,
+    wrapLoopTime,
+} from '../src/timing/progression-data.js';
 
 const output = document.getElementById('output');
 
@@ -15,6 +25,40 @@ function log(message, isError = false) {
     }
 }
 
+function expect(description, actual, expected) {
+    const passed = JSON.stringify(actual) === JSON.stringify(expected);
+    log(`${description}: ${JSON.stringify(actual)}${passed ? '' : ` (expected ${JSON.stringify(expected)})`}`, !passed);
+}
+
+function expectThrows(description, fn) {
+    try {
+        fn();
+        log(`${description}: did not throw`, true);
+    } catch (error) {
+        log(`${description}: threw "${error.message}"`);
+    }
+}
+
+// Stands in for AudioEngine, with the backing track stopped at backingTrackTime, which tests set to seek
+function createStoppedClock() {
+    return {
+        audioContext: null,
+        backingTrackTime: 0,
+        getCurrentBackingTrackTime() {
+            return this.backingTrackTime;
+        },
+    };
+}
+
+// Stands in for AudioEngine, with the backing track playing from when it was created
+function createRunningClock() {
+    const startedAt = performance.now();
+    return {
+        audioContext: null,
+        getCurrentBackingTrackTime: () => (performance.now() - startedAt) / 1000,
+    };
+}
+
 let audioEngine = null;
 let timing = null;
 let logIntervalId = null;
@@ -92,8 +136,159 @@ function logPositionOnce() {
     log(`Position -> phase:${pos.phase}, beat:${pos.beatNumberInMeasure}, measure:${pos.measureNumberInProgression}, chord:${pos.currentChord}, loops:${pos.loopsCompleted}`);
 }
 
+// Measures holding several chords, e.g. 'Gm7 C7' in bar 4 of a jazz blues
+function chordSplitTest() {
+    log('=== Chord Splits ===');
+    const jazzBlues = { form: PROGRESSION_FORMS.jazzBlues, choruses: 1 };
+    try {
+        validateProgression(jazzBlues);
+        log('Jazz blues validates');
+    } catch (error) {
+        log(`Jazz blues rejected: ${error.message}`, true);
+    }
+    expect('Bar 4 beat 1', getChordInfo(jazzBlues, 12), { currentChord: 'Gm7', nextChord: 'C7', beatsUntilNextChord: 2 });
+    expect('Bar 4 beat 3', getChordInfo(jazzBlues, 14), { currentChord: 'C7', nextChord: 'F7', beatsUntilNextChord: 2 });
+    expect('Last beat', getChordInfo(jazzBlues, 47), { currentChord: 'G7', nextChord: null, beatsUntilNextChord: null });
+    expectThrows('Three chords in a form measure', () => validateProgression({ form: ['C7', 'C7 F7 G7'], choruses: 1 }));
+    expectThrows('Three chords in an intro measure', () => validateProgression({ intro: ['C7 A7 D7'], form: ['C7'], choruses: 1 }));
+}
+
+// Beats should keep coming from the heartbeat worker while the tab is hidden, and chord changes pause with drawing
+async function heartbeatTest() {
+    log('=== Heartbeat: switch to another tab now and come back after 10 seconds ===');
+    const heartbeatTiming = new TimingEngine(createRunningClock());
+    let beats = 0;
+    let hiddenBeats = 0;
+    let hiddenChordChanges = 0;
+    let wasHidden = false;
+    const handleVisibilityChange = () => { wasHidden ||= document.hidden; };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    heartbeatTiming.on(TIMING_EVENTS.BEAT, () => {
+        beats++;
+        if (document.hidden) hiddenBeats++;
+    });
+    heartbeatTiming.on(TIMING_EVENTS.CHORD_CHANGE, () => {
+        if (document.hidden) hiddenChordChanges++;
+    });
+
+    heartbeatTiming.play();
+    await new Promise(resolve => setTimeout(resolve, 12000));
+    const elapsed = heartbeatTiming.getCurrentTime();
+    const expectedBeats = Math.floor((elapsed - heartbeatTiming.getBeatTime(0)) / heartbeatTiming.beatDuration) + 1;
+    heartbeatTiming.dispose();
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+    log(`Beats emitted over ${elapsed.toFixed(1)}s: ${beats}, expected ${expectedBeats} (±1 for lookahead)`, Math.abs(beats - expectedBeats) > 1);
+    if (!wasHidden) {
+        log('Tab was never hidden, run again and switch tabs', true);
+        return;
+    }
+    log(`Beats emitted while hidden: ${hiddenBeats}`, hiddenBeats === 0);
+    log(`Chord changes emitted while hidden: ${hiddenChordChanges}`, hiddenChordChanges > 0);
+}
+
+// Looping bars 9-12 of a 12-bar blues, beats 32-48 of the form
+function loopRegionTest() {
+    log('=== Loop Region ===');
+    const blues = { form: PROGRESSION_FORMS.twelveBarBlues, choruses: 3 };
+    const loopBeats = { start: 32, end: 48 };
+    expect('wrapLoopTime before, at and past the loop end', [31, 47, 48, 53, 64].map(beat => wrapLoopTime(beat, loopBeats)), [31, 47, 32, 37, 32]);
+    expect('wrapLoopTime without a loop', wrapLoopTime(60, null), 60);
+    expect('Bar 12 beat 4, looping', getChordInfo(blues, 47, loopBeats), { currentChord: 'G7', nextChord: 'F7', beatsUntilNextChord: 5 });
+    expect('Bar 12 beat 4, not looping', getChordInfo(blues, 47), { currentChord: 'G7', nextChord: 'C7', beatsUntilNextChord: 1 });
+
+    const loopTiming = new TimingEngine(createStoppedClock());
+    loopTiming.setLoopRegion({ startMeasure: 9, endMeasure: 12 });
+    expect('TimingEngine loop beats', loopTiming.getLoopBeats(), loopBeats);
+    const loopTimes = loopTiming.getLoopTimes();
+    const wrappedPosition = loopTiming.getPositionAt(wrapLoopTime(loopTimes.end + 0.01, loopTimes));
+    expect('Just past the loop end', [wrappedPosition.measureNumberInProgression, wrappedPosition.beatNumberInMeasure, wrappedPosition.currentChord], [9, 1, 'G7']);
+    loopTiming.dispose();
+}
+
+// Seeking to bar 9 of the second chorus should report it and its chords right away, before playing
+function seekTest() {
+    log('=== Seek ===');
+    expect('Bar 9 of the second chorus starts on beat', getFormMeasureStartBeat({ form: PROGRESSION_FORMS.twelveBarBlues, choruses: 2 }, 9, 1), 80);
+    expect('...after a two-bar intro', getFormMeasureStartBeat({ intro: ['C7', 'G7'], form: PROGRESSION_FORMS.twelveBarBlues, choruses: 2 }, 9, 1), 88);
+
+    const clock = createStoppedClock();
+    const seekTiming = new TimingEngine(clock);
+    let seekPosition = null;
+    let chordState = null;
+    seekTiming.on(TIMING_EVENTS.SEEK, ({ position }) => { seekPosition = position; });
+    seekTiming.on(TIMING_EVENTS.CHORD_CHANGE, state => { chordState = state; });
+    clock.backingTrackTime = seekTiming.getBeatTime(seekTiming.countInBeats + getFormMeasureStartBeat(seekTiming.progression, 9, 1));
+    seekTiming.resync();
+    expect('Seek position (bar, beat, choruses, chord)',
+        seekPosition && [seekPosition.measureNumberInProgression, seekPosition.beatNumberInMeasure, seekPosition.loopsCompleted, seekPosition.currentChord],
+        [9, 1, 1, 'G7']);
+    expect('Chords after seeking', chordState, { currentChord: 'G7', nextChord: 'F7', beatsUntilNextChord: 4 });
+    seekTiming.dispose();
+}
+
+// Changing tempo mid-session should carry the clock on from the same time through clockOffset, now or on a later beat
+function tempoChangeTest() {
+    log('=== Tempo Change ===');
+    const clock = createStoppedClock();
+    const tempoTiming = new TimingEngine(clock);
+    const tempoChanges = [];
+    tempoTiming.on(TIMING_EVENTS.TEMPO_CHANGE, change => tempoChanges.push(change));
+    clock.backingTrackTime = 10;
+    tempoTiming.play();
+    tempoTiming.pause();
+    const { bpm } = tempoTiming;
+
+    tempoTiming.setTempo(1.25);
+    expect('Time right after speeding up', tempoTiming.getCurrentTime(), 10);
+    expect('clockOffset', tempoTiming.clockOffset, 2);
+    expect('bpm and beat duration', [tempoTiming.bpm, tempoTiming.beatDuration], [bpm * 1.25, 60 / (bpm * 1.25)]);
+    clock.backingTrackTime = 12.5;
+    expect('Time after 2.5s of backing track at 1.25x', tempoTiming.getCurrentTime(), 12);
+
+    // A change on a beat the AudioContext hasn't reached waits for it
+    clock.audioContext = { currentTime: 4 };
+    tempoTiming.setTempo(1.5, { time: 14, contextTime: 6 });
+    expect('Tempo before the beat', [tempoTiming.tempo, tempoTiming.isTempoChangeAhead()], [1.25, true]);
+    clock.audioContext.currentTime = 6;
+    clock.backingTrackTime = 15;
+    tempoTiming.applyTempoChange();
+    expect('Tempo and time on the beat', [tempoTiming.tempo, tempoTiming.getCurrentTime()], [1.5, 14]);
+    expect('clockOffset', tempoTiming.clockOffset, 4);
+    expect('tempo-change events (time)', tempoChanges.map(change => change.time), [10, 14]);
+    tempoTiming.dispose();
+}
+
+// Upbeats should land later in a swing or shuffle, while beats stay put
+function grooveTest() {
+    log('=== Groove ===');
+    const round = value => Number(value.toFixed(3));
+    const shuffle = { feel: 'shuffle', swingRatio: 1 };
+    const swing = { feel: 'swing', swingRatio: 1.5 };
+    expect('Upbeat fraction (straight, shuffle, 1.5 swing)', [STRAIGHT_GROOVE, shuffle, swing].map(groove => round(getUpbeatFraction(groove))), [0.5, 0.667, 0.6]);
+    expect('Shuffled offsets 1.5, 2, 1.25', [1.5, 2, 1.25].map(beats => round(applyGroove(beats, shuffle))), [1.667, 2, 1.333]);
+
+    const grooveTiming = new TimingEngine(createStoppedClock());
+    log(`Blues track groove: ${JSON.stringify(grooveTiming.groove)}`);
+    const beatTime = grooveTiming.getBeatTime(8);
+    const nearTime = beatTime + 0.3 * grooveTiming.beatDuration;
+    grooveTiming.setGroove(STRAIGHT_GROOVE);
+    expect('Straight subdivision positions', grooveTiming.getSubdivisionPositions(), [0, 0.5]);
+    expect('Nearest to 0.3 beats in, straight', grooveTiming.getNearestSubdivision(nearTime).subdivision, 1);
+    grooveTiming.setGroove(shuffle);
+    expect('Shuffled subdivision positions', grooveTiming.getSubdivisionPositions().map(round), [0, 0.667]);
+    expect('Nearest to 0.3 beats in, shuffled', grooveTiming.getNearestSubdivision(nearTime).subdivision, 0);
+    grooveTiming.dispose();
+}
+
 document.getElementById('startTest').addEventListener('click', startTest);
 document.getElementById('pauseTest').addEventListener('click', pauseTest);
 document.getElementById('resumeTest').addEventListener('click', resumeTest);
 document.getElementById('stopTest').addEventListener('click', stopTest);
-document.getElementById('logPosition').addEventListener('click', logPositionOnce);
\ No newline at end of file
+document.getElementById('logPosition').addEventListener('click', logPositionOnce);
+document.getElementById('chordSplitTest').addEventListener('click', chordSplitTest);
+document.getElementById('heartbeatTest').addEventListener('click', heartbeatTest);
+document.getElementById('loopRegionTest').addEventListener('click', loopRegionTest);
+document.getElementById('seekTest').addEventListener('click', seekTest);
+document.getElementById('tempoChangeTest').addEventListener('click', tempoChangeTest);
+document.getElementById('grooveTest').addEventListener('click', grooveTest);
\ No newline at end of file
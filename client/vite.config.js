@@ -1,8 +1,71 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = fileURLToPath(new URL('.', import.meta.url));
+const PUBLIC_DIR = join(ROOT_DIR, 'public');
+const AUDIO_DIR = join(PUBLIC_DIR, 'assets', 'audio');
+const SERVICE_WORKER_SOURCE = join(ROOT_DIR, 'src', 'offline', 'service-worker.js');
+const SKIPPED_FILE_EXTENSIONS = ['.asd', '.map']; // Audio editor analysis files, source maps
+
+/**
+ * @param {string} dir
+ * @returns {string[]} paths of the files in dir and its subdirectories
+ */
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  });
+}
+
+/**
+ * @param {string} path - relative to the public directory, in the OS's separators
+ * @returns {string} the URL path it's served at
+ */
+function toUrlPath(path) {
+  return `/${path.split(sep).map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Build the service worker (see src/offline/service-worker.js) into /sw.js, defining the files it precaches:
+ * the app shell, i.e. the built bundle and public files. Audio files under public/assets/audio/ are left out,
+ * cached when first requested instead.
+ */
+function serviceWorker() {
+  return {
+    name: 'color-improv-service-worker',
+    apply: 'build',
+    generateBundle(_options, bundle) {
+      const publicShellFiles = listFiles(PUBLIC_DIR)
+        .filter(path => !path.startsWith(AUDIO_DIR + sep) && !SKIPPED_FILE_EXTENSIONS.some(ext => path.endsWith(ext)));
+      const bundleFiles = Object.keys(bundle).filter(fileName => fileName !== 'index.html' && !SKIPPED_FILE_EXTENSIONS.some(ext => fileName.endsWith(ext)));
+      const shell = [
+        '/',
+        ...bundleFiles.map(fileName => `/${fileName}`),
+        ...publicShellFiles.map(path => toUrlPath(relative(PUBLIC_DIR, path))),
+      ];
+
+      // Bundle file names are hashed by content, public files aren't
+      const hash = createHash('sha256').update(shell.join('\n'));
+      publicShellFiles.forEach(path => hash.update(readFileSync(path)));
+      const version = hash.digest('hex').slice(0, 12);
+
+      const manifest = JSON.stringify({ version, shell });
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE_MANIFEST__ = ${manifest};\n${readFileSync(SERVICE_WORKER_SOURCE, 'utf-8')}`,
+      });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     proxy: {
       '/api': {
@@ -11,4 +74,4 @@ export default defineConfig({
       }
     }
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "MusicalKey" AS ENUM ('C', 'F', 'Bb', 'Eb');
+
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "key" "MusicalKey" NOT NULL DEFAULT 'C';
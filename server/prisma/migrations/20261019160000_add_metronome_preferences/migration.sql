@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "metronomeMuted" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "metronomeVolume" DOUBLE PRECISION NOT NULL DEFAULT 0.5;
@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "ReverbImpulse" AS ENUM ('room', 'plate', 'hall');
+
+-- CreateEnum
+CREATE TYPE "DelayDivision" AS ENUM ('quarter', 'dottedEighth', 'eighth', 'triplet');
+
+-- AlterTable
+ALTER TABLE "UserPreferences" ADD COLUMN     "delayDivision" "DelayDivision" NOT NULL DEFAULT 'eighth',
+ADD COLUMN     "delayMix" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "eqHigh" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "eqLow" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "eqMid" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "reverbImpulse" "ReverbImpulse" NOT NULL DEFAULT 'room',
+ADD COLUMN     "reverbMix" DOUBLE PRECISION NOT NULL DEFAULT 0.2;
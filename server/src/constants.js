@@ -1,9 +1,19 @@
 export const PREFERENCE_DEFAULTS = {
     difficulty: 'EASY', // 'EASY', 'MEDIUM', 'HARD'
+    key: 'C', // 'C', 'F', 'Bb', 'Eb'
     backingTrackVolume: 0.6,
     samplesVolume: 0.8,
     backingTrackMuted: false,
     samplesMuted: false,
+    metronomeVolume: 0.5,
+    metronomeMuted: false,
+    reverbImpulse: 'room', // 'room', 'plate', 'hall'
+    reverbMix: 0.2,
+    delayDivision: 'eighth', // 'quarter', 'dottedEighth', 'eighth', 'triplet'
+    delayMix: 0,
+    eqLow: 0, // dB
+    eqMid: 0,
+    eqHigh: 0,
 };
 
 export const MAX_RECORDINGS_PER_USER = 10;
@@ -41,29 +41,59 @@ router.put('/', async (req, res) => {
 
     const {
         difficulty,
+        key,
         backingTrackVolume,
         samplesVolume,
         backingTrackMuted,
         samplesMuted,
+        metronomeVolume,
+        metronomeMuted,
+        reverbImpulse,
+        reverbMix,
+        delayDivision,
+        delayMix,
+        eqLow,
+        eqMid,
+        eqHigh,
     } = result.data;
 
     const preferences = await prisma.userPreferences.upsert({
         where: { userId },
         update: {
             ...(difficulty !== undefined && { difficulty }),
+            ...(key !== undefined && { key }),
             ...(backingTrackVolume !== undefined && { backingTrackVolume }),
             ...(samplesVolume !== undefined && { samplesVolume }),
             ...(backingTrackMuted !== undefined && { backingTrackMuted }),
             ...(samplesMuted !== undefined && { samplesMuted }),
+            ...(metronomeVolume !== undefined && { metronomeVolume }),
+            ...(metronomeMuted !== undefined && { metronomeMuted }),
+            ...(reverbImpulse !== undefined && { reverbImpulse }),
+            ...(reverbMix !== undefined && { reverbMix }),
+            ...(delayDivision !== undefined && { delayDivision }),
+            ...(delayMix !== undefined && { delayMix }),
+            ...(eqLow !== undefined && { eqLow }),
+            ...(eqMid !== undefined && { eqMid }),
+            ...(eqHigh !== undefined && { eqHigh }),
         },
         create: {
             // Defaults provided if optional fields are missing
             userId,
             difficulty: difficulty ?? PREFERENCE_DEFAULTS.difficulty,
+            key: key ?? PREFERENCE_DEFAULTS.key,
             backingTrackVolume: backingTrackVolume ?? PREFERENCE_DEFAULTS.backingTrackVolume,
             samplesVolume: samplesVolume ?? PREFERENCE_DEFAULTS.samplesVolume,
             backingTrackMuted: backingTrackMuted ?? PREFERENCE_DEFAULTS.backingTrackMuted,
             samplesMuted: samplesMuted ?? PREFERENCE_DEFAULTS.samplesMuted,
+            metronomeVolume: metronomeVolume ?? PREFERENCE_DEFAULTS.metronomeVolume,
+            metronomeMuted: metronomeMuted ?? PREFERENCE_DEFAULTS.metronomeMuted,
+            reverbImpulse: reverbImpulse ?? PREFERENCE_DEFAULTS.reverbImpulse,
+            reverbMix: reverbMix ?? PREFERENCE_DEFAULTS.reverbMix,
+            delayDivision: delayDivision ?? PREFERENCE_DEFAULTS.delayDivision,
+            delayMix: delayMix ?? PREFERENCE_DEFAULTS.delayMix,
+            eqLow: eqLow ?? PREFERENCE_DEFAULTS.eqLow,
+            eqMid: eqMid ?? PREFERENCE_DEFAULTS.eqMid,
+            eqHigh: eqHigh ?? PREFERENCE_DEFAULTS.eqHigh,
         },
     });
 
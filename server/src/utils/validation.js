@@ -79,6 +79,16 @@ export function validateDifficulty(input) {
     return { valid: true, data: input };
 }
 
+export function validateKey(input) {
+    if (input === undefined) return { valid: true, data: undefined }; // Optional field
+    const valid = ['C', 'F', 'Bb', 'Eb'];
+    if (!valid.includes(input)) {
+        return { valid: false, error: `Invalid key value: ${input}. Must be ${valid.join(', ')}` };
+    }
+
+    return { valid: true, data: input };
+}
+
 export function validateVolume(input) {
     if (input === undefined) return { valid: true, data: undefined }; // Optional field
     if (typeof input !== 'number' || isNaN(input)) {
@@ -88,6 +98,44 @@ export function validateVolume(input) {
     return { valid: true, data: clamp(input, 0, 1) };
 }
 
+export function validateReverbImpulse(input) {
+    if (input === undefined) return { valid: true, data: undefined }; // Optional field
+    const valid = ['room', 'plate', 'hall'];
+    if (!valid.includes(input)) {
+        return { valid: false, error: `Invalid reverbImpulse value: ${input}. Must be ${valid.join(', ')}` };
+    }
+
+    return { valid: true, data: input };
+}
+
+export function validateDelayDivision(input) {
+    if (input === undefined) return { valid: true, data: undefined }; // Optional field
+    const valid = ['quarter', 'dottedEighth', 'eighth', 'triplet'];
+    if (!valid.includes(input)) {
+        return { valid: false, error: `Invalid delayDivision value: ${input}. Must be ${valid.join(', ')}` };
+    }
+
+    return { valid: true, data: input };
+}
+
+export function validateEffectMix(input, fieldName) {
+    if (input === undefined) return { valid: true, data: undefined }; // Optional field
+    if (typeof input !== 'number' || isNaN(input)) {
+        return { valid: false, error: `Invalid ${fieldName} value: ${input}. Must be a number between 0 and 1.` };
+    }
+
+    return { valid: true, data: clamp(input, 0, 1) };
+}
+
+export function validateEqGain(input, fieldName) {
+    if (input === undefined) return { valid: true, data: undefined }; // Optional field
+    if (typeof input !== 'number' || isNaN(input)) {
+        return { valid: false, error: `Invalid ${fieldName} value: ${input}. Must be a number of dB between -12 and 12.` };
+    }
+
+    return { valid: true, data: clamp(input, -12, 12) };
+}
+
 export function validateBoolean(input, fieldName) {
     if (input === undefined) return { valid: true, data: undefined }; // Optional field
     if (typeof input !== 'boolean') {
@@ -141,10 +189,16 @@ export function validateLoginBody({ email, password } = {}) {
     };
 }
 
-export function validatePreferencesBody({ difficulty, backingTrackVolume, samplesVolume, backingTrackMuted, samplesMuted } = {}) {
+export function validatePreferencesBody({
+    difficulty, key, backingTrackVolume, samplesVolume, backingTrackMuted, samplesMuted, metronomeVolume, metronomeMuted,
+    reverbImpulse, reverbMix, delayDivision, delayMix, eqLow, eqMid, eqHigh,
+} = {}) {
     const difficultyResult = validateDifficulty(difficulty);
     if (!difficultyResult.valid) return difficultyResult;
 
+    const keyResult = validateKey(key);
+    if (!keyResult.valid) return keyResult;
+
     const backingTrackVolumeResult = validateVolume(backingTrackVolume);
     if (!backingTrackVolumeResult.valid) return backingTrackVolumeResult;
 
@@ -157,14 +211,51 @@ export function validatePreferencesBody({ difficulty, backingTrackVolume, sample
     const samplesMutedResult = validateBoolean(samplesMuted, 'samplesMuted');
     if (!samplesMutedResult.valid) return samplesMutedResult;
 
+    const metronomeVolumeResult = validateVolume(metronomeVolume);
+    if (!metronomeVolumeResult.valid) return metronomeVolumeResult;
+
+    const metronomeMutedResult = validateBoolean(metronomeMuted, 'metronomeMuted');
+    if (!metronomeMutedResult.valid) return metronomeMutedResult;
+
+    const reverbImpulseResult = validateReverbImpulse(reverbImpulse);
+    if (!reverbImpulseResult.valid) return reverbImpulseResult;
+
+    const reverbMixResult = validateEffectMix(reverbMix, 'reverbMix');
+    if (!reverbMixResult.valid) return reverbMixResult;
+
+    const delayDivisionResult = validateDelayDivision(delayDivision);
+    if (!delayDivisionResult.valid) return delayDivisionResult;
+
+    const delayMixResult = validateEffectMix(delayMix, 'delayMix');
+    if (!delayMixResult.valid) return delayMixResult;
+
+    const eqLowResult = validateEqGain(eqLow, 'eqLow');
+    if (!eqLowResult.valid) return eqLowResult;
+
+    const eqMidResult = validateEqGain(eqMid, 'eqMid');
+    if (!eqMidResult.valid) return eqMidResult;
+
+    const eqHighResult = validateEqGain(eqHigh, 'eqHigh');
+    if (!eqHighResult.valid) return eqHighResult;
+
     return {
         valid: true,
         data: {
             difficulty: difficultyResult.data,
+            key: keyResult.data,
             backingTrackVolume: backingTrackVolumeResult.data,
             samplesVolume: samplesVolumeResult.data,
             backingTrackMuted: backingTrackMutedResult.data,
             samplesMuted: samplesMutedResult.data,
+            metronomeVolume: metronomeVolumeResult.data,
+            metronomeMuted: metronomeMutedResult.data,
+            reverbImpulse: reverbImpulseResult.data,
+            reverbMix: reverbMixResult.data,
+            delayDivision: delayDivisionResult.data,
+            delayMix: delayMixResult.data,
+            eqLow: eqLowResult.data,
+            eqMid: eqMidResult.data,
+            eqHigh: eqHighResult.data,
         }
     };
 }
@@ -215,6 +215,85 @@ fi
 
 echo ""
 
+# Test 7c: Key preference (should accept supported keys and reject others)
+echo -e "${YELLOW}Test 7c: PUT /api/preferences (key - should accept Bb)${NC}"
+KEY_RESPONSE=$(curl -s -b "$COOKIE_FILE" -X PUT "$API_URL/preferences" \
+  -H "Content-Type: application/json" \
+  -d '{"key":"Bb"}')
+echo "$KEY_RESPONSE" | jq '.'
+
+if echo "$KEY_RESPONSE" | jq -e '.preferences.key == "Bb"' > /dev/null; then
+    echo -e "${GREEN}✓ Updated key${NC}"
+else
+    echo -e "${RED}✗ Failed to update key${NC}"
+    exit 1
+fi
+
+INVALID_KEY_RESPONSE=$(curl -s -b "$COOKIE_FILE" -X PUT "$API_URL/preferences" \
+  -H "Content-Type: application/json" \
+  -d '{"key":"H"}')
+echo "$INVALID_KEY_RESPONSE" | jq '.'
+
+if echo "$INVALID_KEY_RESPONSE" | jq -e '.error' > /dev/null; then
+    echo -e "${GREEN}✓ Rejected invalid key${NC}"
+else
+    echo -e "${RED}✗ Should have rejected invalid key${NC}"
+    exit 1
+fi
+
+echo ""
+
+# Test 7d: Metronome mixer preferences
+echo -e "${YELLOW}Test 7d: PUT /api/preferences (metronome volume and mute)${NC}"
+METRONOME_RESPONSE=$(curl -s -b "$COOKIE_FILE" -X PUT "$API_URL/preferences" \
+  -H "Content-Type: application/json" \
+  -d '{"metronomeVolume":0.3,"metronomeMuted":true}')
+echo "$METRONOME_RESPONSE" | jq '.'
+
+if echo "$METRONOME_RESPONSE" | jq -e '.preferences.metronomeVolume == 0.3 and .preferences.metronomeMuted == true' > /dev/null; then
+    echo -e "${GREEN}✓ Updated metronome volume and mute${NC}"
+else
+    echo -e "${RED}✗ Failed to update metronome preferences${NC}"
+    exit 1
+fi
+
+echo ""
+
+# Test 7e: Effects preferences
+echo -e "${YELLOW}Test 7e: PUT /api/preferences (reverb, delay and EQ)${NC}"
+EFFECTS_RESPONSE=$(curl -s -b "$COOKIE_FILE" -X PUT "$API_URL/preferences" \
+  -H "Content-Type: application/json" \
+  -d '{"reverbImpulse":"hall","reverbMix":0.4,"delayDivision":"dottedEighth","delayMix":0.25,"eqLow":-3,"eqHigh":20}')
+echo "$EFFECTS_RESPONSE" | jq '.'
+
+if echo "$EFFECTS_RESPONSE" | jq -e '.preferences.reverbImpulse == "hall" and .preferences.reverbMix == 0.4 and .preferences.delayDivision == "dottedEighth" and .preferences.delayMix == 0.25' > /dev/null; then
+    echo -e "${GREEN}✓ Updated reverb and delay${NC}"
+else
+    echo -e "${RED}✗ Failed to update reverb and delay${NC}"
+    exit 1
+fi
+
+if echo "$EFFECTS_RESPONSE" | jq -e '.preferences.eqLow == -3 and .preferences.eqMid == 0 and .preferences.eqHigh == 12' > /dev/null; then
+    echo -e "${GREEN}✓ Updated EQ, clamped to 12 dB${NC}"
+else
+    echo -e "${RED}✗ Failed to update EQ${NC}"
+    exit 1
+fi
+
+INVALID_REVERB_RESPONSE=$(curl -s -b "$COOKIE_FILE" -X PUT "$API_URL/preferences" \
+  -H "Content-Type: application/json" \
+  -d '{"reverbImpulse":"cathedral"}')
+echo "$INVALID_REVERB_RESPONSE" | jq '.'
+
+if echo "$INVALID_REVERB_RESPONSE" | jq -e '.error' > /dev/null; then
+    echo -e "${GREEN}✓ Rejected invalid reverbImpulse${NC}"
+else
+    echo -e "${RED}✗ Should have rejected invalid reverbImpulse${NC}"
+    exit 1
+fi
+
+echo ""
+
 # Test 8: Unauthenticated request (should fail)
 echo -e "${YELLOW}Test 8: GET /api/preferences (no auth - should fail)${NC}"
 UNAUTH_RESPONSE=$(curl -s -w "\nHTTP_CODE:%{http_code}" "$API_URL/preferences")
@@ -238,4 +317,7 @@ echo "  ✓ Partial updates only change specified fields"
 echo "  ✓ Boolean fields update correctly"
 echo "  ✓ Empty updates are no-ops"
 echo "  ✓ Invalid data is rejected (lowercase and invalid enum values)"
+echo "  ✓ Key preference accepts supported keys only"
+echo "  ✓ Metronome volume and mute update"
+echo "  ✓ Effects update, EQ is clamped and unknown reverbs are rejected"
 echo "  ✓ Unauthenticated requests are blocked"
\ No newline at end of file